@@ -1,12 +1,12 @@
 // Keep conversation history for better context
 
 // ====== GLOBAL VARIABLES ======
-let conversationHistory = [];
 let recognition = null;
 let isListening = false;
 let autoSpeakEnabled = false;
 let slowModeEnabled = false;
 let pronunciationModeEnabled = false;
+let activeReplyController = null; // AbortController for the tutor reply being streamed
 
 // Language codes for speech recognition and synthesis
 const LANGUAGE_CODES = {
@@ -43,55 +43,544 @@ let selectedSuggestionIndex = -1;
 // Initialize Firebase when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
   console.log('🚀 DOM loaded, starting Firebase initialization...');
+  registerServiceWorker();
+  setupConnectionHandling();
   initializeApp();
 });
 
+// ====== STORAGE ======
+// Features never talk to Firestore directly: they use the repositories on
+// `storage` (storage.messages, storage.vocabulary, storage.favorites, ...).
+// The repositories sit on a small document-store backend - Firestore, or
+// localStorage when STORAGE_CONFIG.backend is 'local' in config.js, so the app
+// can run without a Firebase project. Repositories take and return plain
+// objects with JS Dates, whichever backend is active.
+
+let storage = null; // repositories for the signed-in user, see createStorage()
+
+function getStorageConfig() {
+  const config = typeof STORAGE_CONFIG !== 'undefined' ? STORAGE_CONFIG : {};
+  return {
+    backend: config.backend === 'local' ? 'local' : 'firestore'
+  };
+}
+
+function isLocalMode() {
+  return getStorageConfig().backend === 'local';
+}
+
+// Marks a numeric field to be increased by `amount` in a set/update
+function incrementBy(amount) {
+  return { __increment: amount };
+}
+
+function isIncrement(value) {
+  return value !== null && typeof value === 'object' && '__increment' in value;
+}
+
+// Marks a field to be set to the time the backend receives the write, so order
+// and "last active" don't depend on each device's clock
+function serverTimestamp() {
+  return { __serverTimestamp: true };
+}
+
+function isServerTimestamp(value) {
+  return value !== null && typeof value === 'object' && value.__serverTimestamp === true;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !isIncrement(value) && !isServerTimestamp(value);
+}
+
+function mapObject(object, transform) {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    result[key] = transform(value);
+  });
+  return result;
+}
+
+// { a: 1 } -> { 'prefix.a': 1 } for updates of nested profile fields
+function prefixFields(prefix, fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    result[`${prefix}.${key}`] = value;
+  });
+  return result;
+}
+
+// Firestore backend: users/{uid} is the profile, sub-collections hold the rest
+function createFirestoreBackend(firestore, uid) {
+  const userRef = () => firestore.collection('users').doc(uid);
+  
+  const toFirestore = value => {
+    if (isIncrement(value)) return firebase.firestore.FieldValue.increment(value.__increment);
+    if (isServerTimestamp(value)) return firebase.firestore.FieldValue.serverTimestamp();
+    if (value instanceof Date) return firebase.firestore.Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(toFirestore);
+    if (isPlainObject(value)) return mapObject(value, toFirestore);
+    return value;
+  };
+  const fromFirestore = value => {
+    if (value instanceof firebase.firestore.Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    if (isPlainObject(value)) return mapObject(value, fromFirestore);
+    return value;
+  };
+  const toDoc = doc => ({ id: doc.id, ...fromFirestore(doc.data()) });
+  
+  return {
+    remote: true,
+    
+    async getProfile() {
+      const doc = await userRef().get();
+      return doc.exists ? fromFirestore(doc.data()) : null;
+    },
+    async setProfile(data) {
+      await userRef().set(toFirestore(data));
+    },
+    async updateProfile(fields) {
+      await userRef().update(toFirestore(fields));
+    },
+    
+    newId(collection) {
+      return userRef().collection(collection).doc().id;
+    },
+    async get(collection, id) {
+      const doc = await userRef().collection(collection).doc(id).get();
+      return doc.exists ? toDoc(doc) : null;
+    },
+    async set(collection, id, data, merge = false) {
+      await userRef().collection(collection).doc(id).set(toFirestore(data), { merge: merge });
+    },
+    async add(collection, data) {
+      const ref = await userRef().collection(collection).add(toFirestore(data));
+      return ref.id;
+    },
+    // Batched adds (Firestore allows 500 writes per batch)
+    async addMany(collection, items) {
+      const ids = [];
+      for (let i = 0; i < items.length; i += 500) {
+        const batch = firestore.batch();
+        items.slice(i, i + 500).forEach(data => {
+          const ref = userRef().collection(collection).doc();
+          batch.set(ref, toFirestore(data));
+          ids.push(ref.id);
+        });
+        await batch.commit();
+      }
+      return ids;
+    },
+    async update(collection, id, fields) {
+      await userRef().collection(collection).doc(id).update(toFirestore(fields));
+    },
+    async remove(collection, id) {
+      await userRef().collection(collection).doc(id).delete();
+    },
+    // Batched deletes (Firestore allows 500 writes per batch)
+    async removeMany(collection, ids) {
+      for (let i = 0; i < ids.length; i += 500) {
+        const batch = firestore.batch();
+        ids.slice(i, i + 500).forEach(id => batch.delete(userRef().collection(collection).doc(id)));
+        await batch.commit();
+      }
+    },
+    // options: { where: [[field, op, value]], orderBy: [field, 'asc'|'desc'], limit }
+    async query(collection, options = {}) {
+      let query = userRef().collection(collection);
+      (options.where || []).forEach(([field, op, value]) => {
+        query = query.where(field, op, toFirestore(value));
+      });
+      if (options.orderBy) query = query.orderBy(options.orderBy[0], options.orderBy[1] || 'asc');
+      if (options.limit) query = query.limit(options.limit);
+      const snapshot = await query.get();
+      return snapshot.docs.map(toDoc);
+    }
+  };
+}
+
+// localStorage backend: one JSON object per collection, keyed by document id.
+// Dates are stored as { $date: ms } and revived on load.
+function createLocalBackend(uid) {
+  const PROFILE = '__profile__';
+  const cache = {};
+  const storageKey = collection => `languageBuddy:${uid}:${collection}`;
+  
+  function serialize(key, value) {
+    return this[key] instanceof Date ? { $date: this[key].getTime() } : value;
+  }
+  function revive(key, value) {
+    return value && typeof value === 'object' && '$date' in value ? new Date(value.$date) : value;
+  }
+  const clone = value => (value === undefined ? value : JSON.parse(JSON.stringify(value, serialize), revive));
+  
+  const load = collection => {
+    if (!cache[collection]) {
+      cache[collection] = JSON.parse(localStorage.getItem(storageKey(collection)) || '{}', revive);
+    }
+    return cache[collection];
+  };
+  const save = collection => {
+    localStorage.setItem(storageKey(collection), JSON.stringify(cache[collection], serialize));
+  };
+  
+  // Resolve increments against the current value; nested maps merge like Firestore's merge: true
+  function applyValue(current, value, merge) {
+    if (isIncrement(value)) return (typeof current === 'number' ? current : 0) + value.__increment;
+    if (isServerTimestamp(value)) return new Date(); // the browser is the server here
+    if (isPlainObject(value)) {
+      const base = merge && isPlainObject(current) ? { ...current } : {};
+      Object.entries(value).forEach(([key, nested]) => {
+        base[key] = applyValue(base[key], nested, merge);
+      });
+      return base;
+    }
+    return clone(value);
+  }
+  
+  // update() semantics: dotted keys address nested fields
+  function applyUpdate(doc, fields) {
+    Object.entries(fields).forEach(([path, value]) => {
+      const keys = path.split('.');
+      let target = doc;
+      keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+      });
+      const last = keys[keys.length - 1];
+      target[last] = applyValue(target[last], value, false);
+    });
+  }
+  
+  const compare = (a, b) => {
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+  };
+  const MATCHERS = {
+    '==': (a, b) => compare(a, b) === 0,
+    '>=': (a, b) => a != null && compare(a, b) >= 0,
+    '<=': (a, b) => a != null && compare(a, b) <= 0,
+    '>': (a, b) => a != null && compare(a, b) > 0,
+    '<': (a, b) => a != null && compare(a, b) < 0
+  };
+  
+  const notFound = (collection, id) => Object.assign(new Error(`No document to update: ${collection}/${id}`), { code: 'not-found' });
+  
+  return {
+    remote: false,
+    
+    async getProfile() {
+      return clone(load(PROFILE).profile) || null;
+    },
+    async setProfile(data) {
+      load(PROFILE).profile = applyValue(undefined, data, false);
+      save(PROFILE);
+    },
+    async updateProfile(fields) {
+      const profiles = load(PROFILE);
+      if (!profiles.profile) throw notFound('profile', uid);
+      applyUpdate(profiles.profile, fields);
+      save(PROFILE);
+    },
+    
+    newId() {
+      return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    },
+    async get(collection, id) {
+      const doc = load(collection)[id];
+      return doc ? { id: id, ...clone(doc) } : null;
+    },
+    async set(collection, id, data, merge = false) {
+      const docs = load(collection);
+      docs[id] = applyValue(merge ? docs[id] : undefined, data, merge);
+      save(collection);
+    },
+    async add(collection, data) {
+      const id = this.newId();
+      await this.set(collection, id, data);
+      return id;
+    },
+    async addMany(collection, items) {
+      const docs = load(collection);
+      const ids = items.map(data => {
+        const id = this.newId();
+        docs[id] = applyValue(undefined, data, false);
+        return id;
+      });
+      save(collection);
+      return ids;
+    },
+    async update(collection, id, fields) {
+      const docs = load(collection);
+      if (!docs[id]) throw notFound(collection, id);
+      applyUpdate(docs[id], fields);
+      save(collection);
+    },
+    async remove(collection, id) {
+      delete load(collection)[id];
+      save(collection);
+    },
+    async removeMany(collection, ids) {
+      const docs = load(collection);
+      ids.forEach(id => delete docs[id]);
+      save(collection);
+    },
+    async query(collection, options = {}) {
+      let docs = Object.entries(load(collection)).map(([id, doc]) => ({ id: id, ...clone(doc) }));
+      (options.where || []).forEach(([field, op, value]) => {
+        docs = docs.filter(doc => MATCHERS[op](doc[field], value));
+      });
+      if (options.orderBy) {
+        const [field, direction] = options.orderBy;
+        docs.sort((a, b) => compare(a[field], b[field]) * (direction === 'desc' ? -1 : 1));
+      }
+      return options.limit ? docs.slice(0, options.limit) : docs;
+    }
+  };
+}
+
+// Repositories for one user, on top of either backend
+function createRepositories(backend) {
+  return {
+    isRemote: backend.remote,
+    
+    profile: {
+      get: () => backend.getProfile(),
+      create: data => backend.setProfile(data),
+      update: fields => backend.updateProfile(fields)
+    },
+    
+    stats: {
+      async get() {
+        const profile = await backend.getProfile();
+        return (profile && profile.stats) || {};
+      },
+      update: fields => backend.updateProfile(prefixFields('stats', fields)),
+      increment: counters => backend.updateProfile(prefixFields('stats', mapObject(counters, incrementBy)))
+    },
+    
+    preferences: {
+      async get() {
+        const profile = await backend.getProfile();
+        return (profile && profile.preferences) || {};
+      },
+      update: fields => backend.updateProfile(prefixFields('preferences', fields))
+    },
+    
+    messages: {
+      newId: () => backend.newId('conversations'),
+      save: (id, data) => backend.set('conversations', id, data, true),
+      listRecent: limit => backend.query('conversations', { orderBy: ['timestamp', 'desc'], limit: limit }),
+      listAll: () => backend.query('conversations'),
+      listBySender: sender => backend.query('conversations', { where: [['sender', '==', sender]] }),
+      async removeByLanguage(language) {
+        const docs = await backend.query('conversations', { where: [['language', '==', language]] });
+        await backend.removeMany('conversations', docs.map(doc => doc.id));
+        return docs.length;
+      }
+    },
+    
+    vocabulary: {
+      list: language => backend.query('vocabulary', {
+        where: [['language', '==', language]],
+        orderBy: ['learnedAt', 'desc']
+      }),
+      listAll: () => backend.query('vocabulary'),
+      async findByPhrase(phrase, language) {
+        const docs = await backend.query('vocabulary', {
+          where: [['phrase', '==', phrase], ['language', '==', language]]
+        });
+        return docs[0] || null;
+      },
+      add: data => backend.add('vocabulary', data),
+      addMany: items => backend.addMany('vocabulary', items),
+      update: (id, fields) => backend.update('vocabulary', id, fields)
+    },
+    
+    favorites: {
+      newId: () => backend.newId('favorites'),
+      save: (id, data) => backend.set('favorites', id, data),
+      listRecent: limit => backend.query('favorites', { orderBy: ['savedAt', 'desc'], limit: limit }),
+      listByLanguage: language => backend.query('favorites', { where: [['language', '==', language]] }),
+      update: (id, fields) => backend.update('favorites', id, fields),
+      remove: id => backend.remove('favorites', id)
+    },
+    
+    summaries: {
+      add: data => backend.add('summaries', data),
+      get: id => backend.get('summaries', id),
+      listRecent: limit => backend.query('summaries', { orderBy: ['timestamp', 'desc'], limit: limit }),
+      listSince: date => backend.query('summaries', {
+        where: [['timestamp', '>=', date]],
+        orderBy: ['timestamp', 'desc']
+      })
+    },
+    
+    weeklySummaries: {
+      add: data => backend.add('weeklySummaries', data)
+    },
+    
+    reviews: {
+      add: data => backend.add('reviews', data),
+      listSince: date => backend.query('reviews', { where: [['reviewedAt', '>=', date]] })
+    },
+    
+    activity: {
+      // Merge counters into the day's document
+      record: (day, data) => backend.set('activity', day, data, true),
+      listSince: date => backend.query('activity', { where: [['date', '>=', date]] })
+    },
+    
+    tutorMemory: {
+      list: () => backend.query('tutorMemory'),
+      save: (language, data) => backend.set('tutorMemory', language, data),
+      remove: language => backend.remove('tutorMemory', language)
+    },
+    
+    // Score history per drilled phrase
+    pronunciation: {
+      get: id => backend.get('pronunciation', id),
+      save: (id, data) => backend.set('pronunciation', id, data)
+    },
+    
+    shadowingSessions: {
+      add: data => backend.add('shadowingSessions', data),
+      listRecent: limit => backend.query('shadowingSessions', { orderBy: ['finishedAt', 'desc'], limit: limit })
+    },
+    
+    // One document per language practised in a study session
+    studySessions: {
+      save: (id, data) => backend.set('sessions', id, data, true)
+    },
+    
+    // Finished streak runs
+    streakHistory: {
+      add: data => backend.add('streakHistory', data),
+      listRecent: limit => backend.query('streakHistory', { orderBy: ['endedAt', 'desc'], limit: limit })
+    },
+    
+    grammarNotes: {
+      add: data => backend.add('grammarNotes', data),
+      listAll: () => backend.query('grammarNotes'),
+      listByLanguage: language => backend.query('grammarNotes', {
+        where: [['language', '==', language]],
+        orderBy: ['createdAt', 'desc']
+      }),
+      remove: id => backend.remove('grammarNotes', id)
+    }
+  };
+}
+
+function createStorage(uid) {
+  const backend = isLocalMode() ? createLocalBackend(uid) : createFirestoreBackend(db, uid);
+  return createRepositories(backend);
+}
+
+// Stand-in for firebase.auth() in local mode. Profiles live only in this
+// browser and are keyed by email; there is no password check - signing in just
+// picks which local profile to use.
+function createLocalAuth() {
+  const SESSION_KEY = 'languageBuddy:localUser';
+  const listeners = [];
+  const saved = localStorage.getItem(SESSION_KEY);
+  
+  const auth = {
+    currentUser: saved ? JSON.parse(saved) : null,
+    onAuthStateChanged(callback) {
+      listeners.push(callback);
+      setTimeout(() => callback(auth.currentUser), 0);
+    },
+    async signInWithEmailAndPassword(email) {
+      return setUser({ uid: `local-${email.trim().toLowerCase()}`, email: email.trim() });
+    },
+    async createUserWithEmailAndPassword(email) {
+      return auth.signInWithEmailAndPassword(email);
+    },
+    async signOut() {
+      setUser(null);
+    }
+  };
+  
+  function setUser(user) {
+    auth.currentUser = user;
+    if (user) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(user));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    listeners.forEach(callback => callback(user));
+    return { user: user };
+  }
+  
+  return auth;
+}
+
 // ====== Firestore Initialization ======
 let db;
 
 function initializeApp() {
   try {
-    // Check if Firebase is loaded
-    if (typeof firebase === 'undefined') {
-      console.log('Waiting for Firebase to load...');
-      setTimeout(initializeApp, 100);
-      return;
-    }
+    if (isLocalMode()) {
+      // Local-only mode: no Firebase, everything stays in this browser
+      window.auth = createLocalAuth();
+      console.log('💾 Local mode - data is stored in this browser only');
+    } else {
+      // Check if Firebase is loaded
+      if (typeof firebase === 'undefined') {
+        console.log('Waiting for Firebase to load...');
+        setTimeout(initializeApp, 100);
+        return;
+      }
 
-    // Check if config is loaded
-    if (typeof firebaseConfig === 'undefined') {
-      console.error('Config not loaded. Make sure config.js is included before app.js');
-      return;
-    }
+      // Check if config is loaded
+      if (typeof firebaseConfig === 'undefined') {
+        console.error('Config not loaded. Make sure config.js is included before app.js');
+        return;
+      }
 
-    // Initialize Firebase (only once)
-    if (!firebase.apps.length) {
-      firebase.initializeApp(firebaseConfig);
-      console.log('✅ Firebase initialized successfully');
+      // Initialize Firebase (only once)
+      if (!firebase.apps.length) {
+        firebase.initializeApp(firebaseConfig);
+        console.log('✅ Firebase initialized successfully');
+      }
+      // Initialize Firestore
+      db = firebase.firestore();
+      console.log('✅ Firestore initialized');
+      // Get auth reference
+      window.auth = firebase.auth();
     }
-    // Initialize Firestore
-    db = firebase.firestore();
-    console.log('✅ Firestore initialized');
-    // Get auth reference
-    window.auth = firebase.auth();
 
     // Auth state listener
     window.auth.onAuthStateChanged(async (user) => {
       if (user) {
         console.log('User authenticated:', user.email);
-        createUserProfile(user);
-        updateStreak();
+        storage = createStorage(user.uid);
+        // Before preferences load, so a brand-new account starts from its own profile
+        await createUserProfile(user).catch(error => console.error('Error creating user profile:', error));
         initializeSidebar(); // Initialize sidebar
         initializeWordSuggestions(); // Initialize word suggestions
-        setTimeout(() => {
-          loadConversationHistory();
-          recalculateMessageCount(); // Fix any incorrect message counts
-        }, 1000);
+        const historyLoaded = new Promise(resolve => {
+          setTimeout(() => {
+            resolve(loadConversationHistory());
+            recalculateMessageCount(); // Fix any incorrect message counts
+            updateReviewDueBadges(); // Show words due for review per language
+          }, 1000);
+        });
         // Load user preferences
         await loadUserPreferences(user);
+        refreshStreak(); // Needs the saved timezone and freeze settings
         showChatInterface();
+        flushOutbox(); // Send anything queued while offline
+        // Needs both the saved levels and the loaded chat to show in
+        historyLoaded.then(() => maybeSuggestPlacement(currentActiveLanguage));
       } else {
         console.log('User signed out');
+        storage = null;
         showAuthInterface();
       }
     });
@@ -101,6 +590,8 @@ function initializeApp() {
     // Initialize voice features, keyboard shortcuts, and UI setup
     initializeVoiceFeatures();
     setupKeyboardShortcuts();
+    setupWordLookup();
+    setupSessionTracking();
     setupUIAndGlobals();
 
   } catch (error) {
@@ -110,10 +601,10 @@ function initializeApp() {
 }
 
 function setupEventListeners() {
-  // Helper function to check if Gemini API key is configured
+  // Helper function to check if the AI provider is configured
   function checkAPIConfiguration() {
-    if (typeof GEMINI_API_KEY === 'undefined' || GEMINI_API_KEY === 'YOUR_GEMINI_API_KEY_HERE') {
-      console.warn('⚠️ Gemini API key not configured! Get your free key at https://ai.google.dev');
+    if (!isAIConfigured()) {
+      console.warn(`⚠️ AI provider "${getAIConfig().provider}" not configured! Get your free Gemini key at https://ai.google.dev`);
       return false;
     }
     return true;
@@ -121,20 +612,19 @@ function setupEventListeners() {
 
   // Initialize API check
   if (!checkAPIConfiguration()) {
-    console.log('🔑 Don\'t forget to add your free Gemini API key!');
+    console.log('🔑 Don\'t forget to configure AI_CONFIG or add your free Gemini API key!');
   }
 }
 
 // ====== USER DATA STRUCTURE ======
 async function createUserProfile(user) {
-    if (!db) return;
-    const userRef = db.collection('users').doc(user.uid);
-    const doc = await userRef.get();
-    if (!doc.exists) {
+    if (!storage) return;
+    const profile = await storage.profile.get();
+    if (!profile) {
         // New user - create profile
-        await userRef.set({
+        await storage.profile.create({
             email: user.email,
-            createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+            createdAt: serverTimestamp(),
             stats: {
                 totalSessions: 0,
                 totalMessages: 0,
@@ -146,60 +636,314 @@ async function createUserProfile(user) {
             preferences: {
                 targetLanguage: 'Spanish',
                 nativeLanguage: 'English'
-            }
+            },
+            levels: {} // CEFR level per language, see CEFR LEVELS
         });
         console.log('✅ User profile created');
     }
     // Update last active
-    await userRef.update({
-        'stats.lastActive': firebase.firestore.FieldValue.serverTimestamp()
+    await storage.stats.update({ lastActive: serverTimestamp() });
+}
+
+// ====== OFFLINE OUTBOX ======
+// Writes made while offline (or that fail) are queued in IndexedDB and replayed
+// in order when the connection comes back, so nothing typed offline is lost.
+// Writes that can never succeed (rejected by the rules, bad data) are moved to a
+// dead-letter store instead of blocking the queue; transient failures are
+// retried with backoff.
+const OUTBOX_DB_NAME = 'language-buddy';
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_FAILED_STORE = 'outboxFailed';
+const OUTBOX_RETRY = { baseDelay: 5000, maxDelay: 5 * 60 * 1000, maxAttempts: 8 };
+
+// Firestore error codes that retrying won't fix
+const PERMANENT_WRITE_ERRORS = ['permission-denied', 'invalid-argument', 'failed-precondition', 'not-found', 'already-exists', 'out-of-range', 'unimplemented', 'data-loss'];
+
+let outboxDBPromise = null;
+let isFlushingOutbox = false;
+let outboxRetryTimer = null;
+let outboxRetryCount = 0;
+
+// How each queued write is performed. isReplay: the write is being replayed
+// from the outbox, so timestamps come from when it was first made.
+const OUTBOX_HANDLERS = {
+    message: (payload, isReplay) => writeMessageDoc(payload, isReplay),
+    messageCount: payload => writeMessageCount(payload),
+    corrections: payload => writeMessageCorrections(payload),
+    favorite: (payload, isReplay) => writeFavoriteDoc(payload, isReplay),
+    vocabulary: payload => writeLearnedVocabulary(payload.phrases, payload.language, payload.details),
+    vocabularyUsage: payload => writeVocabularyUsage(payload.phrase, payload.language)
+};
+
+function openOutboxDB() {
+    if (!outboxDBPromise) {
+        outboxDBPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+                    database.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!database.objectStoreNames.contains(OUTBOX_FAILED_STORE)) {
+                    database.createObjectStore(OUTBOX_FAILED_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return outboxDBPromise;
+}
+
+// Run one IndexedDB request against the outbox store
+async function outboxRequest(mode, makeRequest) {
+    const database = await openOutboxDB();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(OUTBOX_STORE, mode);
+        const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
 }
 
-// ====== SAVE CONVERSATIONS ======
-async function saveMessageToFirestore(message, sender, language) {
-    if (!db || !window.auth.currentUser) return;
+async function addToOutbox(type, payload) {
+    await outboxRequest('readwrite', store => store.add({
+        type: type,
+        payload: payload,
+        uid: window.auth.currentUser.uid,
+        createdAt: Date.now()
+    }));
+}
+
+function isPermanentWriteError(error) {
+    // Errors without a code are bugs in the payload (TypeError etc.), not the network
+    return !error || PERMANENT_WRITE_ERRORS.includes(error.code) || (!error.code && error instanceof TypeError);
+}
+
+// Move an entry that can't be written to the dead-letter store, out of the queue
+async function moveToFailedOutbox(entry, error) {
+    const database = await openOutboxDB();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([OUTBOX_STORE, OUTBOX_FAILED_STORE], 'readwrite');
+        transaction.objectStore(OUTBOX_FAILED_STORE).put({
+            ...entry,
+            id: entry.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            failedAt: Date.now(),
+            error: { code: error?.code || null, message: error?.message || String(error) }
+        });
+        if (entry.id) transaction.objectStore(OUTBOX_STORE).delete(entry.id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Try the queue again later, backing off after each failed attempt
+function scheduleOutboxRetry() {
+    if (outboxRetryTimer) return;
+    const delay = Math.min(OUTBOX_RETRY.baseDelay * 2 ** outboxRetryCount, OUTBOX_RETRY.maxDelay);
+    outboxRetryCount++;
+    outboxRetryTimer = setTimeout(() => {
+        outboxRetryTimer = null;
+        flushOutbox();
+    }, delay);
+}
+
+// Queued writes for the signed-in user, oldest first
+async function getOutboxEntries() {
+    if (!window.auth || !window.auth.currentUser) return [];
+    const entries = await outboxRequest('readonly', store => store.getAll());
+    return entries.filter(entry => entry.uid === window.auth.currentUser.uid);
+}
+
+// Perform a write now, or queue it when offline or when the write fails
+async function performOrQueueWrite(type, payload) {
+    if (!storage || !window.auth.currentUser) return false;
+    
+    // Local storage never needs the network
+    if (navigator.onLine || !storage.isRemote) {
+        try {
+            await OUTBOX_HANDLERS[type](payload, false);
+            return true;
+        } catch (error) {
+            if (isPermanentWriteError(error)) {
+                console.error(`Error saving ${type}, it can't be retried:`, error);
+                await moveToFailedOutbox({ type: type, payload: payload, uid: window.auth.currentUser.uid, createdAt: Date.now() }, error)
+                    .catch(console.error);
+                return false;
+            }
+            console.error(`Error saving ${type}, queueing it for later:`, error);
+        }
+    }
+    
     try {
-        // Save to user's conversation history
-        await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('conversations')
-            .add({
-                message: message,
-                sender: sender,
-                language: language,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp()
-            });
-        // Only increment totalMessages counter for user messages (conversation exchanges)
-        if (sender === 'user') {
-            const userRef = db.collection('users').doc(window.auth.currentUser.uid);
-            await userRef.update({
-                'stats.totalMessages': firebase.firestore.FieldValue.increment(1)
-            });
+        await addToOutbox(type, payload);
+        console.log(`📥 Queued ${type} until the connection is back`);
+        // Failed while online: don't wait for an 'online' event that won't come
+        if (navigator.onLine) scheduleOutboxRetry();
+    } catch (error) {
+        console.error('Error queueing offline write:', error);
+    }
+    updateConnectionStatus();
+    return false;
+}
+
+// Replay queued writes in order. A transient failure stops the run (keeping the
+// order) and schedules a retry; a permanent one, or an entry that has failed too
+// often, is moved to the dead-letter store and the run carries on.
+async function flushOutbox() {
+    if (isFlushingOutbox || !navigator.onLine || !storage || !window.auth.currentUser) return;
+    isFlushingOutbox = true;
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = null;
+    let replayed = 0;
+    let dropped = 0;
+    try {
+        const entries = await getOutboxEntries();
+        updateConnectionStatus(entries.length);
+        for (const entry of entries) {
+            try {
+                const handler = OUTBOX_HANDLERS[entry.type];
+                if (!handler) throw Object.assign(new Error(`Unknown outbox entry type "${entry.type}"`), { code: 'invalid-argument' });
+                await handler(entry.payload, true);
+            } catch (error) {
+                const attempts = (entry.attempts || 0) + 1;
+                if (isPermanentWriteError(error) || attempts >= OUTBOX_RETRY.maxAttempts) {
+                    console.error(`Dropping queued ${entry.type} after ${attempts} attempt(s):`, error);
+                    await moveToFailedOutbox(entry, error);
+                    dropped++;
+                    continue;
+                }
+                await outboxRequest('readwrite', store => store.put({ ...entry, attempts: attempts }));
+                throw error;
+            }
+            await outboxRequest('readwrite', store => store.delete(entry.id));
+            replayed++;
         }
+        outboxRetryCount = 0;
     } catch (error) {
-        console.error('Error saving message:', error);
+        console.error('Error syncing offline changes, will retry:', error);
+        scheduleOutboxRetry();
+    } finally {
+        if (dropped > 0) {
+            showNotification(`⚠️ ${dropped} offline change${dropped === 1 ? '' : 's'} couldn't be saved`);
+        }
+        if (replayed > 0) {
+            console.log(`✅ Synced ${replayed} offline change(s)`);
+            showNotification(`✅ Synced ${replayed} offline change${replayed === 1 ? '' : 's'}`);
+        }
+        isFlushingOutbox = false;
+        updateConnectionStatus();
     }
 }
 
+// Offline / syncing badge in the chat header
+async function updateConnectionStatus(pendingCount = null) {
+    const status = document.getElementById('connection-status');
+    if (!status) return;
+    
+    if (pendingCount === null) {
+        try {
+            pendingCount = (await getOutboxEntries()).length;
+        } catch (error) {
+            pendingCount = 0;
+        }
+    }
+    
+    if (!navigator.onLine) {
+        status.textContent = pendingCount > 0 ? `📴 Offline · ${pendingCount} to sync` : '📴 Offline';
+        status.className = 'connection-status offline';
+    } else if (pendingCount > 0) {
+        status.textContent = `🔄 Syncing ${pendingCount}...`;
+        status.className = 'connection-status syncing';
+    } else {
+        status.className = 'connection-status';
+        status.textContent = '';
+    }
+}
+
+function setupConnectionHandling() {
+    window.addEventListener('online', () => {
+        console.log('🌐 Back online');
+        flushOutbox();
+    });
+    window.addEventListener('offline', () => {
+        console.log('📴 Connection lost - changes will be queued');
+        updateConnectionStatus();
+    });
+}
+
+// Cache the app shell so the app opens without a connection
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('✅ Service worker registered'))
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+// ====== SAVE CONVERSATIONS ======
+// Reserve a Firestore id for a message up front so later updates (corrections)
+// can target it before the write has finished
+function createMessageId() {
+    if (!storage || !window.auth.currentUser) return null;
+    return storage.messages.newId();
+}
+
+// Save a message, or queue it in the offline outbox. The counters are queued
+// as their own write: saving the message can safely be retried, counting it can't.
+async function saveMessageToFirestore(message, sender, language, messageId = null) {
+    if (!storage || !window.auth.currentUser) return;
+    const createdAt = Date.now();
+    const saved = await performOrQueueWrite('message', {
+        id: messageId || createMessageId(),
+        message: message,
+        sender: sender,
+        language: language,
+        createdAt: createdAt
+    });
+    // Only count user messages (conversation exchanges)
+    if (sender === 'user') {
+        await performOrQueueWrite('messageCount', { language: language, createdAt: createdAt });
+    }
+    return saved;
+}
+
+async function writeMessageDoc(payload, isReplay = false) {
+    // Save to user's conversation history
+    await storage.messages.save(payload.id, {
+        message: payload.message,
+        sender: payload.sender,
+        language: payload.language,
+        timestamp: isReplay ? new Date(payload.createdAt) : serverTimestamp()
+    });
+}
+
+// recordActivity handles its own errors, so only a failed increment is retried
+async function writeMessageCount(payload) {
+    await storage.stats.increment({ totalMessages: 1 });
+    await recordActivity('messages', payload.language, 1, new Date(payload.createdAt));
+}
+
+// Store the tutor's structured corrections with the learner's message
+async function saveMessageCorrections(messageId, corrections) {
+    if (!storage || !window.auth.currentUser || !messageId) return;
+    return performOrQueueWrite('corrections', { id: messageId, corrections: corrections });
+}
+
+async function writeMessageCorrections(payload) {
+    // merge so this works even if the message write is still in flight
+    await storage.messages.save(payload.id, { corrections: payload.corrections });
+}
+
 // Function to recalculate accurate message count from database
 async function recalculateMessageCount() {
-    if (!db || !window.auth.currentUser) return;
+    if (!storage || !window.auth.currentUser) return;
     try {
         // Count only user messages (conversation exchanges)
-        const snapshot = await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('conversations')
-            .where('sender', '==', 'user')
-            .get();
-        
-        const actualCount = snapshot.size;
+        const userMessages = await storage.messages.listBySender('user');
+        const actualCount = userMessages.length;
         
         // Update the user's stats with the correct count
-        const userRef = db.collection('users').doc(window.auth.currentUser.uid);
-        await userRef.update({
-            'stats.totalMessages': actualCount
-        });
+        await storage.stats.update({ totalMessages: actualCount });
         
         console.log(`✅ Message count corrected: ${actualCount} conversations`);
         return actualCount;
@@ -232,26 +976,20 @@ async function fixMessageCount() {
 
 // ====== LOAD CONVERSATION HISTORY ======
 async function loadConversationHistory() {
-    if (!db || !window.auth.currentUser) return;
+    if (!storage || !window.auth.currentUser) return;
     try {
-        const snapshot = await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('conversations')
-            .orderBy('timestamp', 'desc')
-            .limit(200) // Increased limit to accommodate multiple languages
-            .get();
+        const recentMessages = await storage.messages.listRecent(200); // Increased limit to accommodate multiple languages
         
         // Group messages by language
         const messagesByLanguage = {};
         
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            const language = data.language || 'Spanish'; // Default to Spanish for older messages
+        recentMessages.forEach(msg => {
+            const language = msg.language || 'Spanish'; // Default to Spanish for older messages
             
             if (!messagesByLanguage[language]) {
                 messagesByLanguage[language] = [];
             }
-            messagesByLanguage[language].push(data);
+            messagesByLanguage[language].push(msg);
         });
         
         // Store conversation history by language but don't display yet
@@ -260,12 +998,19 @@ async function loadConversationHistory() {
                 // Store messages in correct order (oldest first)
                 const messages = messagesByLanguage[language].reverse();
                 conversationHistoryByLanguage[language] = messages.map(msg => ({
+                    id: msg.id,
                     message: msg.message,
-                    sender: msg.sender
+                    sender: msg.sender,
+                    corrections: msg.corrections || [],
+                    readings: msg.readings || null,
+                    timestamp: msg.timestamp || null
                 }));
             }
         });
         
+        // Rolling summaries of older turns, so the tutor remembers past sessions
+        await loadTutorMemory();
+        
         // Load conversation for the current active language
         loadConversationForLanguage(currentActiveLanguage);
         
@@ -276,2195 +1021,7377 @@ async function loadConversationHistory() {
 }
 
 // ====== TRACK LEARNING STATS ======
-async function updateLearningStats(sessionMinutes = 0) {
-    if (!db || !window.auth.currentUser) return;
-    const userRef = db.collection('users').doc(window.auth.currentUser.uid);
+// countSession: false when adding more minutes to a session already counted
+async function updateLearningStats(sessionMinutes = 0, language = currentActiveLanguage, countSession = true) {
+    if (!storage || !window.auth.currentUser) return;
     try {
-        await userRef.update({
-            'stats.totalSessions': firebase.firestore.FieldValue.increment(1),
-            'stats.minutesLearned': firebase.firestore.FieldValue.increment(sessionMinutes),
-            'stats.lastActive': firebase.firestore.FieldValue.serverTimestamp()
+        await storage.stats.update({
+            ...(countSession ? { totalSessions: incrementBy(1) } : {}),
+            minutesLearned: incrementBy(sessionMinutes),
+            lastActive: serverTimestamp()
         });
+        await recordActivity('minutes', language, sessionMinutes);
     } catch (error) {
         console.error('Error updating stats:', error);
     }
 }
 
-// ====== LEARNING STREAKS ======
-async function updateStreak() {
-    if (!db || !window.auth.currentUser) return;
-    const userRef = db.collection('users').doc(window.auth.currentUser.uid);
-    const doc = await userRef.get();
-    if (doc.exists) {
-        const userData = doc.data();
-        const lastStreakUpdate = userData.stats.lastStreakUpdate;
-        const currentStreak = userData.stats.streak || 0;
-        const today = new Date();
-        
-        // Get today's date at midnight for comparison
-        const todayMidnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-        
-        if (lastStreakUpdate) {
-            const lastStreakDate = lastStreakUpdate.toDate();
-            const lastStreakMidnight = new Date(lastStreakDate.getFullYear(), lastStreakDate.getMonth(), lastStreakDate.getDate());
-            
-            // Calculate difference in calendar days
-            const diffTime = todayMidnight - lastStreakMidnight;
-            const diffDays = diffTime / (1000 * 60 * 60 * 24);
-            
-            if (diffDays === 0) {
-                // Same day - don't update streak
-                console.log('Same day login - streak unchanged');
-                return;
-            } else if (diffDays === 1) {
-                // Next day - increase streak
-                await userRef.update({
-                    'stats.streak': currentStreak + 1,
-                    'stats.lastStreakUpdate': firebase.firestore.FieldValue.serverTimestamp()
-                });
-                console.log(`✅ Streak increased to ${currentStreak + 1}`);
-            } else if (diffDays > 1) {
-                // Missed day(s) - reset streak to 1
-                await userRef.update({
-                    'stats.streak': 1,
-                    'stats.lastStreakUpdate': firebase.firestore.FieldValue.serverTimestamp()
-                });
-                console.log('🔄 Streak reset to 1 (missed days)');
-            }
-        } else {
-            // First time - start streak
-            await userRef.update({
-                'stats.streak': 1,
-                'stats.lastStreakUpdate': firebase.firestore.FieldValue.serverTimestamp()
-            });
-            console.log('🌟 Streak started at 1 (first time)');
+// ====== STUDY SESSIONS ======
+// A session starts with the first interaction after signing in. Time only
+// counts while the tab is visible and the learner has interacted recently (or
+// the app is speaking); it pauses when idle or hidden and ends on sign-out or
+// after a long break. Each language practised gets a document in `sessions`,
+// and whole minutes are added to the stats as they accumulate.
+const SESSION_SETTINGS = {
+    tickSeconds: 15,
+    idleSeconds: 120,        // no interaction for this long pauses the session
+    endAfterMinutes: 30,     // a break this long ends it
+    flushEveryMinutes: 5,    // save progress during long sessions
+    minSessionSeconds: 60    // shorter sessions aren't recorded
+};
+
+const SESSION_INTERACTION_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+let studySession = null;
+let studySessionTimer = null;
+
+function createStudySession(now = Date.now()) {
+    return {
+        id: `${now.toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        startedAt: new Date(now),
+        lastTick: now,
+        lastInteraction: now,
+        lastFlush: now,
+        pausedAt: null,
+        languages: {}, // language -> { seconds, recordedMinutes, startedAt, lastActiveAt }
+        counted: false // totalSessions is incremented once, with the first minute
+    };
+}
+
+function isSessionIdle(now) {
+    const speaking = typeof speechSynthesis !== 'undefined' && speechSynthesis.speaking;
+    return !speaking && now - studySession.lastInteraction > SESSION_SETTINGS.idleSeconds * 1000;
+}
+
+// Credit the time since the last tick to the language being practised
+function trackSessionTick(now = Date.now()) {
+    if (!studySession) return;
+    const session = studySession;
+
+    if (session.pausedAt === null) {
+        if (document.hidden || isSessionIdle(now)) {
+            // Idle time up to the threshold still counts: the learner was reading
+            const activeUntil = document.hidden ? now : Math.min(now, session.lastInteraction + SESSION_SETTINGS.idleSeconds * 1000);
+            creditSessionTime(session, Math.max(activeUntil, session.lastTick), currentActiveLanguage);
+            session.pausedAt = activeUntil;
+            flushStudySession().catch(error => console.error('Error saving study session:', error));
+            return;
         }
+        creditSessionTime(session, now, currentActiveLanguage);
+    } else if (now - session.pausedAt > SESSION_SETTINGS.endAfterMinutes * 60 * 1000) {
+        endStudySession();
+        return;
+    }
+
+    if (now - session.lastFlush > SESSION_SETTINGS.flushEveryMinutes * 60 * 1000) {
+        flushStudySession().catch(error => console.error('Error saving study session:', error));
     }
 }
 
-// ====== FAVORITE PHRASES ======
-async function saveFavoritePhrase(phrase, translation, language) {
-    if (!db || !window.auth.currentUser) return;
-    try {
-        await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('favorites')
-            .add({
-                phrase: phrase,
-                translation: translation,
-                language: language,
-                savedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-        console.log('✅ Phrase saved to favorites');
-        alert('Phrase saved to your favorites!');
-    } catch (error) {
-        console.error('Error saving favorite:', error);
+function creditSessionTime(session, until, language) {
+    const seconds = Math.max(0, (until - session.lastTick) / 1000);
+    session.lastTick = until;
+    if (!language || seconds === 0) return;
+    if (!session.languages[language]) {
+        session.languages[language] = { seconds: 0, recordedMinutes: 0, startedAt: new Date(until - seconds * 1000), lastActiveAt: null };
     }
+    const entry = session.languages[language];
+    entry.seconds += seconds;
+    entry.lastActiveAt = new Date(until);
 }
 
-// ====== VOCABULARY TRACKING SYSTEM ======
+// Any interaction starts a session, or resumes a paused one
+function noteSessionInteraction() {
+    if (!storage || !window.auth.currentUser || document.hidden) return;
+    const now = Date.now();
+    if (studySession && studySession.pausedAt !== null && now - studySession.pausedAt > SESSION_SETTINGS.endAfterMinutes * 60 * 1000) {
+        endStudySession();
+    }
+    if (!studySession) {
+        studySession = createStudySession(now);
+        console.log('⏱️ Study session started');
+    } else if (studySession.pausedAt !== null) {
+        studySession.pausedAt = null;
+        studySession.lastTick = now;
+    }
+    studySession.lastInteraction = now;
+}
 
-// Save learned vocabulary from conversation summaries
-async function saveLearnedVocabulary(phrases, language) {
-    if (!db || !window.auth.currentUser || !phrases || phrases.length === 0) return;
-    
-    try {
-        const batch = db.batch();
-        const vocabRef = db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('vocabulary');
-        
-        for (const phrase of phrases) {
-            // Check if phrase already exists
-            const existingDoc = await vocabRef
-                .where('phrase', '==', phrase)
-                .where('language', '==', language)
-                .get();
-            
-            if (existingDoc.empty) {
-                // Add new vocabulary entry
-                const docRef = vocabRef.doc();
-                batch.set(docRef, {
-                    phrase: phrase,
-                    language: language,
-                    learnedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    usageCount: 0,
-                    lastUsed: null,
-                    isActive: false // Starts as passive vocabulary
-                });
-            }
+// Save the session documents and add whole new minutes to the stats.
+// `final`: the session is over, so a last partial minute is rounded.
+async function flushStudySession(session = studySession, final = false) {
+    if (!session || !storage || !window.auth.currentUser) return;
+    session.lastFlush = Date.now();
+
+    const totalSeconds = Object.values(session.languages).reduce((sum, entry) => sum + entry.seconds, 0);
+    if (totalSeconds < SESSION_SETTINGS.minSessionSeconds) return;
+
+    for (const [language, entry] of Object.entries(session.languages)) {
+        const minutes = final ? Math.round(entry.seconds / 60) : Math.floor(entry.seconds / 60);
+        const newMinutes = minutes - entry.recordedMinutes;
+        if (newMinutes > 0) {
+            entry.recordedMinutes = minutes;
+            const countSession = !session.counted;
+            session.counted = true;
+            await updateLearningStats(newMinutes, language, countSession);
         }
-        
-        await batch.commit();
-        console.log('✅ Learned vocabulary saved:', phrases);
-        
-        // Update local cache by reloading vocabulary for this language
-        await loadLearnedVocabulary(language);
-    } catch (error) {
-        console.error('Error saving learned vocabulary:', error);
+        await storage.studySessions.save(`${session.id}-${language}`, {
+            sessionId: session.id,
+            language: language,
+            startedAt: entry.startedAt,
+            lastActiveAt: entry.lastActiveAt,
+            activeSeconds: Math.round(entry.seconds),
+            minutes: entry.recordedMinutes,
+            ended: final
+        });
     }
 }
 
-// Load learned vocabulary for a language
-async function loadLearnedVocabulary(language) {
-    if (!db || !window.auth.currentUser) return;
-    
-    try {
-        const snapshot = await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('vocabulary')
-            .where('language', '==', language)
-            .orderBy('learnedAt', 'desc')
-            .get();
-        
-        const vocabulary = [];
-        snapshot.forEach(doc => {
-            vocabulary.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
-        
-        // Update cache
-        learnedVocabulary[language] = vocabulary;
-        console.log(`📚 Loaded ${vocabulary.length} vocabulary items for ${language}`);
-        
-        return vocabulary;
-    } catch (error) {
-        console.error('Error loading learned vocabulary:', error);
-        return [];
+function endStudySession() {
+    if (!studySession) return Promise.resolve();
+    const session = studySession;
+    studySession = null;
+    if (session.pausedAt === null) {
+        creditSessionTime(session, Date.now(), currentActiveLanguage);
     }
+    console.log('⏹️ Study session ended');
+    return flushStudySession(session, true).catch(error => console.error('Error saving study session:', error));
 }
 
-// Mark vocabulary as actively used
-async function markVocabularyAsActive(phrase, language) {
-    if (!db || !window.auth.currentUser) return;
-    
+function setupSessionTracking() {
+    SESSION_INTERACTION_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, noteSessionInteraction, { passive: true, capture: true });
+    });
+    document.addEventListener('visibilitychange', () => trackSessionTick());
+    // Best effort: the page may close before the writes finish
+    window.addEventListener('pagehide', () => endStudySession());
+    if (!studySessionTimer) {
+        studySessionTimer = setInterval(() => trackSessionTick(), SESSION_SETTINGS.tickSeconds * 1000);
+    }
+}
+
+// ====== APP EVENTS ======
+// A small publish/subscribe hub so features can react to each other's
+// progress ('activity-recorded', 'goal-met', 'vocabulary-used') without calling
+// into one another.
+const appEventListeners = new Map();
+
+function onAppEvent(name, listener) {
+    if (!appEventListeners.has(name)) {
+        appEventListeners.set(name, []);
+    }
+    appEventListeners.get(name).push(listener);
+}
+
+// Listeners run after the current call returns; one failing doesn't stop the others
+function emitAppEvent(name, detail = {}) {
+    (appEventListeners.get(name) || []).forEach(listener => {
+        Promise.resolve()
+            .then(() => listener(detail))
+            .catch(error => console.error(`Error in ${name} listener:`, error));
+    });
+}
+
+// ====== DAILY ACTIVITY ======
+// One document per calendar day in users/{uid}/activity/{YYYY-MM-DD}, counted
+// in the learner's timezone (see getLearningDay), with totals and a per-language
+// breakdown. Drives the dashboard heatmap and
+// the learning goals.
+const ACTIVITY_KINDS = ['messages', 'minutes', 'reviews', 'words'];
+
+// kind: 'messages' | 'minutes' | 'reviews' | 'words'; date: when it happened (replayed offline writes)
+async function recordActivity(kind, language, amount = 1, date = new Date()) {
+    if (!storage || !window.auth.currentUser || !ACTIVITY_KINDS.includes(kind) || !amount) return;
+    const dayStart = getLearningDay(date);
     try {
-        const snapshot = await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('vocabulary')
-            .where('phrase', '==', phrase)
-            .where('language', '==', language)
-            .get();
-        
-        if (!snapshot.empty) {
-            const doc = snapshot.docs[0];
-            await doc.ref.update({
-                usageCount: firebase.firestore.FieldValue.increment(1),
-                lastUsed: firebase.firestore.FieldValue.serverTimestamp(),
-                isActive: true
-            });
-            
-            console.log('✅ Vocabulary marked as active:', phrase);
-            
-            // Update local cache
-            const cachedVocab = learnedVocabulary[language];
-            if (cachedVocab) {
-                const item = cachedVocab.find(v => v.phrase === phrase);
-                if (item) {
-                    item.usageCount = (item.usageCount || 0) + 1;
-                    item.isActive = true;
-                }
-            }
-        }
+        await storage.activity.record(getDateKey(dayStart), {
+            day: getDateKey(dayStart),
+            date: dayStart,
+            [kind]: incrementBy(amount),
+            languages: {
+                [language || 'Unknown']: { [kind]: incrementBy(amount) }
+            },
+            updatedAt: new Date()
+        });
+        emitAppEvent('activity-recorded', { kind: kind, language: language, amount: amount, date: date });
     } catch (error) {
-        console.error('Error marking vocabulary as active:', error);
+        console.error('Error recording activity:', error);
     }
 }
 
-// ====== GET USER STATS FOR DASHBOARD ======
-async function getUserStats() {
-    if (!db || !window.auth.currentUser) return null;
+// Activity documents from `since` onwards, keyed by day
+async function loadActivityByDay(since) {
+    if (!storage || !window.auth.currentUser) return {};
+    const days = await storage.activity.listSince(since);
+    const activityByDay = {};
+    days.forEach(day => {
+        activityByDay[day.id] = day;
+    });
+    return activityByDay;
+}
+
+// ====== LEARNING STREAKS ======
+// A day counts towards the streak when the learner practises (sends a message
+// or reviews a card), measured in the timezone chosen in preferences.streak.
+// Missed days can be covered by streak freezes, earned by meeting daily goals.
+// The running streak lives in stats (streak, streakDay, streakStart,
+// longestStreak, freezeTokens, ...); finished runs go to streakHistory.
+const STREAK_DEFAULTS = {
+    timeZone: null, // null: the browser's timezone
+    freezesEnabled: true,
+    earnEvery: 5,   // daily goals met per freeze earned
+    maxFreezes: 2
+};
+
+// Activity that keeps a streak alive
+const STREAK_ACTIVITY_KINDS = ['messages', 'reviews'];
+
+let streakSettings = { ...STREAK_DEFAULTS };
+let lastCreditedStreakDay = null; // skip the profile read for every message of the day
+let streakUpdate = Promise.resolve(); // credits run one at a time
+
+function getStreakTimeZone() {
+    return streakSettings.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Calendar day (YYYY-MM-DD) of a moment in the given timezone
+function getZonedDateKey(date = new Date(), timeZone = getStreakTimeZone()) {
     try {
-        const doc = await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .get();
-        if (doc.exists) {
-            return doc.data().stats;
-        }
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(date);
+        const part = type => parts.find(item => item.type === type).value;
+        return `${part('year')}-${part('month')}-${part('day')}`;
     } catch (error) {
-        console.error('Error getting stats:', error);
+        // Unknown timezone: fall back to the device's
+        return getDateKey(date);
     }
-    return null;
 }
 
-// ====== UPDATE YOUR EXISTING FUNCTIONS ======
-// Modify your existing sendMessage function to save to Firestore
+// The learner's calendar day of a moment as a local-midnight Date. Activity,
+// goals and streaks all count days in the timezone chosen in preferences.streak.
+function getLearningDay(date = new Date()) {
+    const [year, month, day] = getZonedDateKey(date).split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
 
+// Whole days from one day key to another
+function daysBetweenKeys(fromKey, toKey) {
+    const toUTC = key => {
+        const [year, month, day] = key.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toKey) - toUTC(fromKey)) / (1000 * 60 * 60 * 24));
+}
 
-// Helper function for auth validation
-function validateAuthInput() {
-  const email = document.getElementById('email').value;
-  const password = document.getElementById('password').value;
-  
-  if (!email || !password) {
-    document.getElementById('auth-error').textContent = 'Please fill in all fields';
-    return null;
-  }
+// Last credited day; profiles from before practice-based streaks only have lastStreakUpdate
+function getStreakDay(stats) {
+    if (stats.streakDay) return stats.streakDay;
+    return stats.lastStreakUpdate ? getZonedDateKey(new Date(stats.lastStreakUpdate)) : null;
+}
 
-  if (!window.auth) {
-    document.getElementById('auth-error').textContent = 'Authentication service not ready. Please wait and try again.';
-    return null;
-  }
-  
-  // Clear any previous errors
-  document.getElementById('auth-error').textContent = '';
-  return { email, password };
+// Missed days the learner's freezes can cover right now
+function getUsableFreezes(stats) {
+    return streakSettings.freezesEnabled ? stats.freezeTokens || 0 : 0;
 }
 
-// Helper function for notification styling
-function getNotificationBaseStyles() {
-  return `
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    color: white;
-    padding: 15px 20px;
-    border-radius: 10px;
-    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
-    z-index: 10000;
-  `;
+function creditPractice(date = new Date()) {
+    const run = streakUpdate.then(() => applyPracticeToStreak(date));
+    streakUpdate = run.catch(error => console.error('Error updating streak:', error));
+    return run;
 }
 
-// GLOBAL Authentication Functions (accessible to HTML onclick)
-function signUp() {
-  const credentials = validateAuthInput();
-  if (!credentials) return;
-  
-  window.auth.createUserWithEmailAndPassword(credentials.email, credentials.password)
-    .then((userCredential) => {
-      console.log('✅ User signed up:', userCredential.user.email);
-      showChatInterface();
-    })
-    .catch((error) => {
-      console.error('❌ Sign up error:', error);
-      document.getElementById('auth-error').textContent = getReadableError(error.code);
-    });
+async function applyPracticeToStreak(date) {
+    if (!storage || !window.auth.currentUser) return;
+    const day = getZonedDateKey(date);
+    if (day === lastCreditedStreakDay) return;
+
+    const stats = await storage.stats.get();
+    const lastDay = getStreakDay(stats);
+    if (lastDay && day <= lastDay) {
+        // Already credited (or a replayed write from an earlier day)
+        if (day === lastDay) lastCreditedStreakDay = day;
+        return;
+    }
+
+    const currentStreak = stats.streak || 0;
+    const missedDays = lastDay ? daysBetweenKeys(lastDay, day) - 1 : 0;
+    const update = { streakDay: day, lastStreakUpdate: serverTimestamp() };
+
+    if (!lastDay || currentStreak === 0) {
+        Object.assign(update, { streak: 1, streakStart: day, streakFreezesUsed: 0 });
+        console.log('🌟 Streak started at 1');
+    } else if (missedDays === 0) {
+        update.streak = currentStreak + 1;
+        console.log(`✅ Streak increased to ${update.streak}`);
+    } else if (missedDays <= getUsableFreezes(stats)) {
+        Object.assign(update, {
+            streak: currentStreak + 1,
+            freezeTokens: (stats.freezeTokens || 0) - missedDays,
+            streakFreezesUsed: (stats.streakFreezesUsed || 0) + missedDays
+        });
+        showNotification(`🧊 ${missedDays === 1 ? 'A streak freeze' : `${missedDays} streak freezes`} kept your ${update.streak}-day streak going`);
+    } else {
+        await closeStreakRun(stats, lastDay);
+        Object.assign(update, { streak: 1, streakStart: day, streakFreezesUsed: 0 });
+        console.log('🔄 Streak reset to 1 (missed days)');
+    }
+    update.longestStreak = Math.max(stats.longestStreak || 0, update.streak);
+
+    await storage.stats.update(update);
+    lastCreditedStreakDay = day;
+    emitAppEvent('streak-updated', { streak: update.streak, day: day });
 }
 
-function signIn() {
-  const credentials = validateAuthInput();
-  if (!credentials) return;
-  
-  window.auth.signInWithEmailAndPassword(credentials.email, credentials.password)
-    .then((userCredential) => {
-      console.log('✅ User signed in:', userCredential.user.email);
-      showChatInterface();
-    })
-    .catch((error) => {
-      console.error('❌ Sign in error:', error);
-      document.getElementById('auth-error').textContent = getReadableError(error.code);
+// Keep a finished run in the history
+async function closeStreakRun(stats, lastDay = getStreakDay(stats)) {
+    if (!(stats.streak > 0)) return;
+    await storage.streakHistory.add({
+        length: stats.streak,
+        startDay: stats.streakStart || null,
+        endDay: lastDay,
+        freezesUsed: stats.streakFreezesUsed || 0,
+        endedAt: new Date()
     });
 }
 
-async function signOut() {
-  if (!window.auth) {
-    alert('Authentication service not ready. Please wait and try again.');
-    return;
-  }
-  
-  // Check if there are conversations to summarize before signing out
-  const languagesWithMessages = Object.keys(conversationHistoryByLanguage).filter(
-    lang => conversationHistoryByLanguage[lang] && conversationHistoryByLanguage[lang].length >= 4
-  );
-  
-  if (languagesWithMessages.length > 0) {
-    const generateSummary = confirm(
-      `📚 You have active conversations in ${languagesWithMessages.join(', ')}.\n\nWould you like to generate learning summaries before signing out?`
-    );
-    
-    if (generateSummary) {
-      for (const language of languagesWithMessages) {
-        await generateAndSaveSummary(language);
-      }
+// On sign-in: end a streak whose missed days are more than the freezes can cover
+async function refreshStreak() {
+    if (!storage || !window.auth.currentUser) return;
+    try {
+        const stats = await storage.stats.get();
+        const lastDay = getStreakDay(stats);
+        if (!lastDay || !(stats.streak > 0)) return;
+        const missedDays = daysBetweenKeys(lastDay, getZonedDateKey()) - 1;
+        if (missedDays > getUsableFreezes(stats)) {
+            await closeStreakRun(stats, lastDay);
+            await storage.stats.update({ streak: 0, streakFreezesUsed: 0 });
+            console.log('🔄 Streak ended (missed days)');
+        }
+    } catch (error) {
+        console.error('Error refreshing streak:', error);
     }
-  }
-  
-  window.auth.signOut().then(() => {
-    console.log('✅ User signed out');
-    conversationHistory = []; // Clear conversation when signing out
-    // Clear conversation history by language to prevent duplication on re-login
-    conversationHistoryByLanguage = {
-      'Spanish': [],
-      'French': [],
-      'German': [],
-      'Italian': [],
-      'Portuguese': [],
-      'Japanese': [],
-      'Korean': [],
-      'Chinese': []
-    };
-    const chatMessages = document.getElementById('chat-messages');
-    if (chatMessages) chatMessages.innerHTML = '';
-    showAuthInterface();
-  }).catch((error) => {
-    console.error('❌ Sign out error:', error);
-    alert('Sign out failed: ' + (error && error.message ? error.message : 'Unknown error'));
-  });
 }
 
-// GLOBAL Helper Functions
-function getReadableError(errorCode) {
-  switch(errorCode) {
-    case 'auth/user-not-found':
-      return 'No account found with this email. Please sign up first.';
-    case 'auth/wrong-password':
-      return 'Incorrect password. Please try again.';
-    case 'auth/email-already-in-use':
-      return 'An account with this email already exists. Please sign in.';
-    case 'auth/weak-password':
-      return 'Password should be at least 6 characters.';
-    case 'auth/invalid-email':
-      return 'Please enter a valid email address.';
-    case 'auth/too-many-requests':
-      return 'Too many failed attempts. Please try again later.';
-    case 'auth/network-request-failed':
-      return 'Network error. Please check your internet connection.';
-    default:
-      return `Authentication error: ${errorCode}. Please try again.`;
-  }
+// Each daily goal met counts towards the next freeze
+async function earnStreakFreezeProgress() {
+    if (!storage || !window.auth.currentUser || !streakSettings.freezesEnabled) return;
+    const stats = await storage.stats.get();
+    const tokens = stats.freezeTokens || 0;
+    if (tokens >= streakSettings.maxFreezes) return;
+
+    const progress = (stats.freezeProgress || 0) + 1;
+    if (progress >= streakSettings.earnEvery) {
+        await storage.stats.update({ freezeTokens: tokens + 1, freezeProgress: 0 });
+        showNotification('🧊 You earned a streak freeze!');
+    } else {
+        await storage.stats.update({ freezeProgress: progress });
+    }
 }
 
-// GLOBAL Chat Functions
-function sendMessage() {
-  const messageInput = document.getElementById('messageInput');
-  const message = messageInput.value.trim();
-  
-  if (message === '') return;
-  
-  const targetLanguage = document.getElementById('targetLanguage').value;
-  const nativeLanguage = document.getElementById('nativeLanguage').value;
-  
-  // Validate language selection
-  if (!targetLanguage || !nativeLanguage) {
-    alert('Please select both target language and native language first!');
-    return;
-  }
-  
-  // Add user message to chat
-  addMessage(message, 'user');
-  messageInput.value = '';
-  
-  // Show typing indicator
-  showTypingIndicator();
-  
-  // Get AI response
-  getAIResponse(message, targetLanguage, nativeLanguage)
-    .then(response => {
-      hideTypingIndicator();
-      addMessage(response, 'ai');
-    })
-    .catch(error => {
-      hideTypingIndicator();
-      console.error('Error getting AI response:', error);
-      addMessage('Sorry, I had trouble understanding. Could you try again? 😊', 'ai');
-    });
+onAppEvent('activity-recorded', ({ kind, date }) => {
+    if (STREAK_ACTIVITY_KINDS.includes(kind)) {
+        return creditPractice(date);
+    }
+});
+
+onAppEvent('goal-met', ({ period }) => {
+    if (period === 'daily') {
+        return earnStreakFreezeProgress();
+    }
+});
+
+// ---- Streak details ----
+
+function formatStreakDay(day) {
+    if (!day) return '?';
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString();
 }
 
-function addMessage(message, sender, shouldAutoSpeak = true, shouldSaveToDatabase = true) {
-    const chatMessages = document.getElementById('chat-messages');
-    if (!chatMessages) {
-        console.error('Chat messages container not found');
+async function openStreakDetails() {
+    if (!storage || !window.auth.currentUser) return;
+    let stats;
+    let history;
+    try {
+        [stats, history] = await Promise.all([storage.stats.get(), storage.streakHistory.listRecent(10)]);
+    } catch (error) {
+        console.error('Error loading streak details:', error);
+        showNotification('❌ Could not load your streak history');
         return;
     }
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.classList.add('message', sender);
-    
-    const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    
-    // Add buttons to messages
-    const messageHTML = `
-        <div class="message-content">
-            <div class="message-text">${message}</div>
-            <div class="message-actions">
-                <button class="message-speaker-btn" onclick="speakMessage('${message.replace(/'/g, "\\'")}', '${sender}')">🔊</button>
-                <button class="message-favorite-btn" onclick="favoriteMessage('${message.replace(/'/g, "\\'")}', '${sender}')">⭐</button>
+
+    const currentTimeZone = getStreakTimeZone();
+    const timeZones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!timeZones.includes(currentTimeZone)) timeZones.unshift(currentTimeZone);
+
+    const modalHTML = `
+        <div id="streak-modal" class="summary-modal-overlay">
+            <div class="summary-modal">
+                <div class="summary-header">
+                    <h3>🔥 Streak</h3>
+                    <button class="btn-close" onclick="closeStreakDetails()">✖</button>
+                </div>
+                <div class="summary-content">
+                    <div class="streak-overview">
+                        <div><strong>${stats.streak || 0}</strong><span>Current</span></div>
+                        <div><strong>${Math.max(stats.longestStreak || 0, stats.streak || 0)}</strong><span>Longest</span></div>
+                        <div><strong>🧊 ${stats.freezeTokens || 0}/${streakSettings.maxFreezes}</strong><span>Freezes</span></div>
+                    </div>
+                    ${streakSettings.freezesEnabled ? `
+                        <p class="streak-freeze-progress">Next freeze: ${stats.freezeProgress || 0}/${streakSettings.earnEvery} daily goals met</p>
+                    ` : ''}
+                    <h4>Past streaks</h4>
+                    ${history.length > 0 ? `
+                        <ul class="streak-history">
+                            ${history.map(run => `
+                                <li>
+                                    <strong>${run.length} day${run.length === 1 ? '' : 's'}</strong>
+                                    <span>${formatStreakDay(run.startDay)} – ${formatStreakDay(run.endDay)}${run.freezesUsed ? ` · 🧊 ${run.freezesUsed}` : ''}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="streak-history-empty">No finished streaks yet.</p>'}
+                    <h4>Settings</h4>
+                    <div class="streak-settings">
+                        <label>Timezone
+                            <select id="streak-timezone">
+                                ${timeZones.map(zone => `<option value="${escapeHTML(zone)}" ${zone === currentTimeZone ? 'selected' : ''}>${escapeHTML(zone)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label class="streak-checkbox">
+                            <input type="checkbox" id="streak-freezes-enabled" ${streakSettings.freezesEnabled ? 'checked' : ''}>
+                            Use streak freezes for missed days
+                        </label>
+                        <label>Earn a freeze every
+                            <input type="number" id="streak-earn-every" min="1" max="30" value="${streakSettings.earnEvery}"> daily goals
+                        </label>
+                        <label>Keep at most
+                            <input type="number" id="streak-max-freezes" min="0" max="10" value="${streakSettings.maxFreezes}"> freezes
+                        </label>
+                    </div>
+                    <div class="goals-editor-actions">
+                        <button class="btn btn-primary" onclick="saveStreakSettings()">Save settings</button>
+                    </div>
+                </div>
             </div>
-            <div class="message-time">${timestamp}</div>
         </div>
     `;
-    
-    messageDiv.innerHTML = messageHTML;
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
-    
-    // Auto-speak if enabled and allowed
-    if (sender === 'ai' && autoSpeakEnabled && shouldAutoSpeak) {
-        const targetLanguage = currentActiveLanguage || 'Spanish';
-        setTimeout(() => speakText(message, targetLanguage), 500);
+
+    closeStreakDetails();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function closeStreakDetails() {
+    const modal = document.getElementById('streak-modal');
+    if (modal) {
+        modal.remove();
     }
-    
-    // Save to Firestore only for new messages (not loaded ones)
-    if (shouldSaveToDatabase && db && window.auth.currentUser) {
-        const targetLanguage = document.getElementById('targetLanguage')?.value || currentActiveLanguage || 'Spanish';
-        saveMessageToFirestore(message, sender, targetLanguage);
-        
-        // Also update local conversation history to keep it in sync
-        if (!conversationHistoryByLanguage[targetLanguage]) {
-            conversationHistoryByLanguage[targetLanguage] = [];
+}
+
+async function saveStreakSettings() {
+    const clamp = (value, min, max, fallback) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+    const settings = {
+        timeZone: document.getElementById('streak-timezone')?.value || null,
+        freezesEnabled: document.getElementById('streak-freezes-enabled')?.checked ?? true,
+        earnEvery: clamp(document.getElementById('streak-earn-every')?.value, 1, 30, STREAK_DEFAULTS.earnEvery),
+        maxFreezes: clamp(document.getElementById('streak-max-freezes')?.value, 0, 10, STREAK_DEFAULTS.maxFreezes)
+    };
+
+    try {
+        streakSettings = settings;
+        lastCreditedStreakDay = null; // the day may be different in the new timezone
+        if (storage && window.auth.currentUser) {
+            await storage.preferences.update({ streak: settings });
         }
-        conversationHistoryByLanguage[targetLanguage].push({
-            message: message,
-            sender: sender
-        });
+        closeStreakDetails();
+        showNotification('🔥 Streak settings saved');
+    } catch (error) {
+        console.error('Error saving streak settings:', error);
+        showNotification('❌ Could not save your streak settings');
     }
 }
 
-// Legacy function for compatibility
-function addMessageToLanguageTab(message, sender, language) {
-    addMessage(message, sender);
-}
+// ====== LEARNING GOALS ======
+// Daily and weekly targets per language, kept in the profile under
+// goals.{language}. Progress comes from the activity documents; meeting every
+// target of a period marks it in that day's activity (goalsMet) and emits a
+// 'goal-met' event once.
+const GOAL_METRICS = [
+    { id: 'minutes', label: 'Minutes', icon: '⏱️' },
+    { id: 'messages', label: 'Messages', icon: '💬' },
+    { id: 'words', label: 'New words', icon: '📚' },
+    { id: 'reviews', label: 'Reviews', icon: '🔁' }
+];
+
+const GOAL_PERIODS = [
+    { id: 'daily', label: 'Today' },
+    { id: 'weekly', label: 'This week' }
+];
+
+// A target of 0 means the metric isn't tracked
+const DEFAULT_GOALS = {
+    daily: { minutes: 15, messages: 20, words: 5, reviews: 20 },
+    weekly: { minutes: 90, messages: 100, words: 25, reviews: 100 }
+};
 
-function showTypingIndicator() {
-  const chatMessages = document.getElementById('chat-messages');
-  if (!chatMessages) {
-    console.error('Chat messages container not found');
-    return;
-  }
-  
-  const typingDiv = document.createElement('div');
-  typingDiv.classList.add('message', 'ai', 'typing');
-  typingDiv.id = 'typing-indicator';
-  typingDiv.innerHTML = `
-    <div class="typing-dots">
-      <span></span><span></span><span></span>
-    </div>
-    <div class="typing-text">Thinking...</div>
-  `;
-  chatMessages.appendChild(typingDiv);
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+let learningGoals = {}; // language -> { daily, weekly }, from the profile
+const announcedGoals = new Set(); // `${language}|${period}|${periodKey}` already emitted this session
+
+function getGoals(language) {
+    const saved = learningGoals[language] || {};
+    const goals = {};
+    GOAL_PERIODS.forEach(period => {
+        goals[period.id] = { ...DEFAULT_GOALS[period.id], ...(saved[period.id] || {}) };
+    });
+    return goals;
 }
 
-function hideTypingIndicator() {
-  const typingIndicator = document.getElementById('typing-indicator');
-  if (typingIndicator) {
-    typingIndicator.remove();
-  }
+async function saveGoals(language, goals) {
+    learningGoals[language] = goals;
+    if (!storage || !window.auth.currentUser) return;
+    await storage.profile.update({ [`goals.${language}`]: goals });
 }
 
-// GLOBAL UI Functions
-function showChatInterface() {
-  const authContainer = document.getElementById('auth-container');
-  const chatContainer = document.getElementById('chat-container');
-  if (authContainer) authContainer.style.display = 'none';
-  if (chatContainer) chatContainer.style.display = 'flex';
-  
-  // Focus on message input
-  setTimeout(() => {
-    const messageInput = document.getElementById('messageInput');
-    if (messageInput) messageInput.focus();
-  }, 100);
+// Weeks start on Monday
+function getWeekStart(date = new Date()) {
+    const start = getLearningDay(date);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
 }
 
-function showAuthInterface() {
-  const authContainer = document.getElementById('auth-container');
-  const chatContainer = document.getElementById('chat-container');
-  if (authContainer) authContainer.style.display = 'block';
-  if (chatContainer) chatContainer.style.display = 'none';
-  
-  // Clear form fields
-  const email = document.getElementById('email');
-  const password = document.getElementById('password');
-  if (email) email.value = '';
-  if (password) password.value = '';
+function getPeriodKey(period, date = new Date()) {
+    return period === 'daily' ? getZonedDateKey(date) : getDateKey(getWeekStart(date));
 }
 
-async function clearChat() {
-  // Generate summary before clearing if there are enough messages
-  const currentMessages = conversationHistoryByLanguage[currentActiveLanguage] || [];
-  let shouldGenerateSummary = currentMessages.length >= 4; // At least 2 exchanges
-  
-  if (shouldGenerateSummary) {
-    const generateSummary = confirm(
-      `📚 You have ${currentMessages.length} messages in this ${currentActiveLanguage} conversation.\n\nWould you like to generate a learning summary before clearing?`
-    );
-    
-    if (generateSummary) {
-      await generateAndSaveSummary(currentActiveLanguage);
-    }
-  }
+// Progress of one language's goals from this week's activity documents:
+// { daily: { metrics: [{ id, done, target, percent }], percent, met }, weekly: {...} }
+function computeGoalProgress(language, activityByDay, date = new Date()) {
+    const goals = getGoals(language);
+    const today = getZonedDateKey(date);
+    const counts = { daily: {}, weekly: {} };
+    Object.values(activityByDay).forEach(activity => {
+        const languageCounts = (activity.languages || {})[language] || {};
+        GOAL_METRICS.forEach(metric => {
+            const amount = languageCounts[metric.id] || 0;
+            counts.weekly[metric.id] = (counts.weekly[metric.id] || 0) + amount;
+            if (activity.day === today) {
+                counts.daily[metric.id] = (counts.daily[metric.id] || 0) + amount;
+            }
+        });
+    });
 
-  // Show confirmation dialog since this is permanent
-  const confirmClear = confirm(
-    `⚠️ Are you sure you want to permanently delete all ${currentActiveLanguage} conversation messages?\n\nThis action cannot be undone.`
-  );
-  
-  if (!confirmClear) {
-    console.log('Chat clear cancelled by user');
-    return;
-  }
-  
-  // Show loading message
-  addSystemMessage(`Clearing ${currentActiveLanguage} conversation...`);
-  
-  const chatMessages = document.getElementById('chat-messages');
-  if (chatMessages) {
-    chatMessages.innerHTML = '';
-  }
-  
-  // Clear the conversation history for the current language
-  if (conversationHistoryByLanguage[currentActiveLanguage]) {
-    conversationHistoryByLanguage[currentActiveLanguage] = [];
-  }
-  
-  // Keep backward compatibility
-  conversationHistory = [];
-  
-  // Delete messages from Firebase for the current language
-  await clearChatFromDatabase(currentActiveLanguage);
-  
-  console.log('✅ Chat cleared permanently for', currentActiveLanguage);
+    const progress = {};
+    GOAL_PERIODS.forEach(period => {
+        const metrics = GOAL_METRICS.map(metric => {
+            const target = Number(goals[period.id][metric.id]) || 0;
+            const done = counts[period.id][metric.id] || 0;
+            return { id: metric.id, done: done, target: target, percent: target > 0 ? Math.min(done / target * 100, 100) : 0 };
+        });
+        const tracked = metrics.filter(metric => metric.target > 0);
+        progress[period.id] = {
+            metrics: metrics,
+            percent: tracked.length > 0 ? tracked.reduce((sum, metric) => sum + metric.percent, 0) / tracked.length : 0,
+            met: tracked.length > 0 && tracked.every(metric => metric.done >= metric.target)
+        };
+    });
+    return progress;
 }
 
-async function clearChatFromDatabase(language) {
-  if (!db || !window.auth.currentUser) {
-    console.log('No database connection or user not authenticated');
-    return;
-  }
-  
-  try {
-    const conversationsRef = db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('conversations');
-    
-    // Query for messages in the specific language
-    const snapshot = await conversationsRef.where('language', '==', language).get();
-    
-    if (snapshot.empty) {
-      console.log(`No messages found for language: ${language}`);
-      addSystemMessage(`✅ ${language} conversation was already empty`);
-      return;
+async function loadGoalProgress(language, date = new Date()) {
+    const activityByDay = await loadActivityByDay(getWeekStart(date));
+    return { progress: computeGoalProgress(language, activityByDay, date), activityByDay: activityByDay };
+}
+
+function isGoalMarked(activityByDay, language, period, date) {
+    if (period === 'daily') {
+        return Boolean(activityByDay[getZonedDateKey(date)]?.goalsMet?.[language]?.daily);
     }
-    
-    // Delete all messages for this language in batches
-    const batch = db.batch();
-    snapshot.docs.forEach((doc) => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
-    console.log(`✅ Successfully deleted ${snapshot.docs.length} messages for ${language} from database`);
-    
-    // Show success message to user
-    const exchangeCount = Math.ceil(snapshot.docs.length / 2); // Approximate conversation exchanges
-    if (snapshot.docs.length === 1) {
-        addSystemMessage(`✅ Successfully cleared 1 ${language} message permanently`);
-    } else if (snapshot.docs.length === 2) {
-        addSystemMessage(`✅ Successfully cleared 1 ${language} conversation exchange (2 messages) permanently`);
-    } else {
-        addSystemMessage(`✅ Successfully cleared ${snapshot.docs.length} ${language} messages (≈${exchangeCount} exchanges) permanently`);
+    return Object.values(activityByDay).some(activity => activity.goalsMet?.[language]?.weekly);
+}
+
+// Mark and announce any period whose goals were just met
+async function checkGoals(language, date = new Date()) {
+    if (!storage || !window.auth.currentUser || !language) return;
+    const { progress, activityByDay } = await loadGoalProgress(language, date);
+    for (const period of GOAL_PERIODS) {
+        if (!progress[period.id].met) continue;
+        const periodKey = getPeriodKey(period.id, date);
+        const key = `${language}|${period.id}|${periodKey}`;
+        if (announcedGoals.has(key) || isGoalMarked(activityByDay, language, period.id, date)) continue;
+        announcedGoals.add(key);
+        await storage.activity.record(getZonedDateKey(date), {
+            goalsMet: { [language]: { [period.id]: true } }
+        });
+        emitAppEvent('goal-met', { language: language, period: period.id, periodKey: periodKey, progress: progress[period.id] });
     }
-    
-  } catch (error) {
-    console.error('❌ Error clearing chat from database:', error);
-    // Show user-friendly error message
-    addSystemMessage(`❌ Failed to permanently delete messages. Error: ${error.message}`);
-  }
 }
 
-// Handle Enter key press in message input
-function handleKeyPress(event) {
-  if (event.key === 'Enter') {
-    sendMessage();
-  } else if (event.key === 'ArrowDown' && isShowingSuggestions) {
-    event.preventDefault();
-    navigateSuggestions(1);
-  } else if (event.key === 'ArrowUp' && isShowingSuggestions) {
-    event.preventDefault();
-    navigateSuggestions(-1);
-  } else if (event.key === 'Tab' && isShowingSuggestions && selectedSuggestionIndex >= 0) {
-    event.preventDefault();
-    selectSuggestion(selectedSuggestionIndex);
-  } else if (event.key === 'Escape' && isShowingSuggestions) {
-    hideSuggestions();
-  }
+onAppEvent('activity-recorded', ({ language, date }) => {
+    // Replayed offline writes from earlier days don't announce goals late
+    if (getZonedDateKey(date) === getZonedDateKey()) {
+        return checkGoals(language);
+    }
+});
+
+onAppEvent('goal-met', ({ language, period }) => {
+    showNotification(period === 'daily' ? `🎯 Daily ${language} goal met!` : `🏅 Weekly ${language} goal met!`);
+});
+
+// ---- Dashboard ----
+
+// Goal section of the dashboard for the language being practised
+function renderGoalsSection(language, progress) {
+    const languageLabel = document.getElementById('goals-language');
+    if (languageLabel) languageLabel.textContent = language;
+    const container = document.getElementById('goals-progress');
+    if (!container) return;
+
+    container.innerHTML = GOAL_PERIODS.map(period => {
+        const periodProgress = progress[period.id];
+        const rows = periodProgress.metrics.filter(metric => metric.target > 0).map(metric => {
+            const definition = GOAL_METRICS.find(item => item.id === metric.id);
+            return `
+                <div class="goal-row ${metric.done >= metric.target ? 'done' : ''}">
+                    <span class="goal-label">${definition.icon} ${definition.label}</span>
+                    <span class="goal-count">${metric.done}/${metric.target}</span>
+                    <div class="goal-bar"><div class="goal-bar-fill" style="width: ${metric.percent}%"></div></div>
+                </div>
+            `;
+        }).join('');
+        return `
+            <div class="goal-period ${periodProgress.met ? 'met' : ''}">
+                <h4>${period.label} ${periodProgress.met ? '✅' : `<span class="goal-percent">${Math.round(periodProgress.percent)}%</span>`}</h4>
+                ${rows || '<p class="goal-empty">No goals set</p>'}
+            </div>
+        `;
+    }).join('');
 }
 
-// ====== WORD SUGGESTION SYSTEM ======
+function openGoalsEditor(language = currentActiveLanguage) {
+    const languages = Object.keys(LANGUAGE_CODES).filter(option => option !== 'English');
+    const modalHTML = `
+        <div id="goals-modal" class="summary-modal-overlay">
+            <div class="summary-modal">
+                <div class="summary-header">
+                    <h3>🎯 Learning Goals</h3>
+                    <button class="btn-close" onclick="closeGoalsEditor()">✖</button>
+                </div>
+                <div class="summary-content">
+                    <label class="goals-editor-language">Language
+                        <select id="goals-language-select">
+                            ${languages.map(option => `<option value="${option}" ${option === language ? 'selected' : ''}>${option}</option>`).join('')}
+                        </select>
+                    </label>
+                    <table class="goals-editor">
+                        <thead>
+                            <tr><th></th>${GOAL_PERIODS.map(period => `<th>${period.id === 'daily' ? 'Daily' : 'Weekly'}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${GOAL_METRICS.map(metric => `
+                                <tr>
+                                    <td>${metric.icon} ${metric.label}</td>
+                                    ${GOAL_PERIODS.map(period => `
+                                        <td><input type="number" min="0" step="1" data-period="${period.id}" data-metric="${metric.id}"></td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p class="goals-editor-hint">Set a target to 0 to stop tracking it.</p>
+                    <div class="goals-editor-actions">
+                        <button class="btn-small" onclick="resetGoalsEditor()">Reset to defaults</button>
+                        <button class="btn btn-primary" onclick="saveGoalsEditor()">Save goals</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
 
-// Initialize word suggestions when page loads
-function initializeWordSuggestions() {
-  const messageInput = document.getElementById('messageInput');
-  if (messageInput) {
-    // Add input event listener for real-time suggestions
-    messageInput.addEventListener('input', handleInputChange);
-    messageInput.addEventListener('focus', handleInputFocus);
-    messageInput.addEventListener('blur', handleInputBlur);
-    
-    // Create suggestions container
-    createSuggestionsContainer();
-  }
+    closeGoalsEditor();
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    document.getElementById('goals-language-select').addEventListener('change', event => fillGoalsEditor(getGoals(event.target.value)));
+    fillGoalsEditor(getGoals(language));
 }
 
-// Handle input changes for word suggestions
-function handleInputChange(event) {
-  const input = event.target.value;
-  const cursorPos = event.target.selectionStart;
-  
-  // Get the current word being typed
-  const currentWord = getCurrentWord(input, cursorPos);
-  
-  if (currentWord && currentWord.length >= 2) {
-    showWordSuggestions(currentWord);
-  } else {
-    hideSuggestions();
-  }
+function closeGoalsEditor() {
+    const modal = document.getElementById('goals-modal');
+    if (modal) {
+        modal.remove();
+    }
 }
 
-// Get the current word being typed at cursor position
-function getCurrentWord(text, cursorPos) {
-  const beforeCursor = text.substring(0, cursorPos);
-  const afterCursor = text.substring(cursorPos);
-  
-  // Find word boundaries
-  const wordStart = beforeCursor.search(/\S+$/);
-  const wordEnd = afterCursor.search(/\s/);
-  
-  if (wordStart === -1) return '';
-  
-  const start = wordStart;
-  const end = cursorPos + (wordEnd === -1 ? afterCursor.length : wordEnd);
-  
-  return text.substring(start, end).trim();
+function fillGoalsEditor(goals) {
+    document.querySelectorAll('#goals-modal input[data-period]').forEach(input => {
+        input.value = goals[input.dataset.period][input.dataset.metric];
+    });
 }
 
-// Show word suggestions based on input
-function showWordSuggestions(currentWord) {
-  const targetLanguage = document.getElementById('targetLanguage').value;
-  const vocabulary = learnedVocabulary[targetLanguage] || [];
-  
-  // Filter vocabulary based on current input
-  const suggestions = vocabulary.filter(item => {
-    return item.phrase.toLowerCase().includes(currentWord.toLowerCase()) ||
-           item.phrase.toLowerCase().startsWith(currentWord.toLowerCase());
-  }).slice(0, 5); // Limit to 5 suggestions
-  
-  if (suggestions.length > 0) {
-    displaySuggestions(suggestions);
-  } else {
-    hideSuggestions();
-  }
+function resetGoalsEditor() {
+    fillGoalsEditor(DEFAULT_GOALS);
 }
 
-// Display suggestions in UI
-function displaySuggestions(suggestions) {
-  const container = document.getElementById('suggestions-container');
-  if (!container) return;
-  
-  vocabularySuggestions = suggestions;
-  selectedSuggestionIndex = -1;
-  isShowingSuggestions = true;
-  
-  container.innerHTML = '';
-  container.style.display = 'block';
-  
-  suggestions.forEach((suggestion, index) => {
-    const suggestionElement = document.createElement('div');
-    suggestionElement.className = 'suggestion-item';
-    suggestionElement.setAttribute('data-index', index);
-    
-    // Calculate how long ago it was learned
-    const learnedDate = suggestion.learnedAt?.toDate ? suggestion.learnedAt.toDate() : new Date();
-    const daysAgo = Math.floor((new Date() - learnedDate) / (1000 * 60 * 60 * 24));
-    const timeAgo = daysAgo === 0 ? 'today' : daysAgo === 1 ? 'yesterday' : `${daysAgo} days ago`;
-    
-    // Status indicator
-    const statusIcon = suggestion.isActive ? '🔥' : '💤';
-    const statusText = suggestion.isActive ? 'Active' : 'Passive';
-    const usageCount = suggestion.usageCount || 0;
-    
-    suggestionElement.innerHTML = `
-      <div class="suggestion-phrase">${suggestion.phrase}</div>
-      <div class="suggestion-meta">
-        <span class="suggestion-learned">📚 Learned ${timeAgo}</span>
-        <span class="suggestion-status">${statusIcon} ${statusText}</span>
-        <span class="suggestion-usage">Used ${usageCount}x</span>
-      </div>
-    `;
-    
-    suggestionElement.addEventListener('click', () => selectSuggestion(index));
-    suggestionElement.addEventListener('mouseenter', () => {
-      selectedSuggestionIndex = index;
-      updateSuggestionSelection();
+async function saveGoalsEditor() {
+    const language = document.getElementById('goals-language-select')?.value;
+    if (!language) return;
+    const goals = {};
+    GOAL_PERIODS.forEach(period => {
+        goals[period.id] = {};
+    });
+    document.querySelectorAll('#goals-modal input[data-period]').forEach(input => {
+        goals[input.dataset.period][input.dataset.metric] = Math.max(0, Math.round(Number(input.value) || 0));
     });
-    
-    container.appendChild(suggestionElement);
-  });
-}
 
-// Navigate through suggestions with arrow keys
-function navigateSuggestions(direction) {
-  if (vocabularySuggestions.length === 0) return;
-  
-  selectedSuggestionIndex += direction;
-  
-  if (selectedSuggestionIndex < 0) {
-    selectedSuggestionIndex = vocabularySuggestions.length - 1;
-  } else if (selectedSuggestionIndex >= vocabularySuggestions.length) {
-    selectedSuggestionIndex = 0;
-  }
-  
-  updateSuggestionSelection();
+    try {
+        await saveGoals(language, goals);
+        closeGoalsEditor();
+        showNotification(`🎯 ${language} goals saved`);
+        if (document.getElementById('dashboard-container')?.style.display === 'flex') {
+            loadDashboardData();
+        }
+        checkGoals(language).catch(error => console.error('Error checking goals:', error));
+    } catch (error) {
+        console.error('Error saving goals:', error);
+        showNotification('❌ Could not save your goals. Please try again.');
+    }
 }
 
-// Update visual selection of suggestions
-function updateSuggestionSelection() {
-  const container = document.getElementById('suggestions-container');
-  if (!container) return;
-  
-  const items = container.querySelectorAll('.suggestion-item');
-  items.forEach((item, index) => {
-    item.classList.toggle('selected', index === selectedSuggestionIndex);
-  });
+// ====== FAVORITE PHRASES ======
+async function saveFavoritePhrase(phrase, translation, language) {
+    if (!storage || !window.auth.currentUser) return;
+    try {
+        await storage.favorites.save(storage.favorites.newId(), {
+            phrase: phrase,
+            translation: translation,
+            language: language,
+            savedAt: serverTimestamp()
+        });
+        console.log('✅ Phrase saved to favorites');
+        alert('Phrase saved to your favorites!');
+    } catch (error) {
+        console.error('Error saving favorite:', error);
+    }
 }
 
-// Select a suggestion and insert it into the input
-function selectSuggestion(index) {
-  if (index < 0 || index >= vocabularySuggestions.length) return;
-  
-  const suggestion = vocabularySuggestions[index];
-  const messageInput = document.getElementById('messageInput');
-  const cursorPos = messageInput.selectionStart;
-  const text = messageInput.value;
-  
-  // Find the current word boundaries
-  const beforeCursor = text.substring(0, cursorPos);
-  const afterCursor = text.substring(cursorPos);
-  const wordStart = beforeCursor.search(/\S+$/);
-  const wordEnd = afterCursor.search(/\s/);
-  
-  if (wordStart !== -1) {
-    const beforeWord = text.substring(0, wordStart);
-    const afterWord = wordEnd === -1 ? '' : afterCursor.substring(wordEnd);
+// ====== VOCABULARY TRACKING SYSTEM ======
+
+// Save learned vocabulary from conversation summaries
+// details: optional extra fields per phrase, e.g. { [phrase]: { translation } }
+async function saveLearnedVocabulary(phrases, language, details = {}) {
+    if (!storage || !window.auth.currentUser || !phrases || phrases.length === 0) return;
+    return performOrQueueWrite('vocabulary', { phrases: phrases, language: language, details: details });
+}
+
+async function writeLearnedVocabulary(phrases, language, details = {}) {
+    for (const phrase of phrases) {
+        // Check if phrase already exists
+        const existing = await storage.vocabulary.findByPhrase(phrase, language);
+        
+        if (!existing) {
+            // Add new vocabulary entry
+            await storage.vocabulary.add({
+                phrase: phrase,
+                language: language,
+                learnedAt: serverTimestamp(),
+                usageCount: 0,
+                lastUsed: null,
+                isActive: false, // Starts as passive vocabulary
+                ...createReviewSchedule(),
+                ...(details[phrase] || {})
+            });
+            await recordActivity('words', language);
+        }
+    }
     
-    // Replace the current word with the suggestion
-    messageInput.value = beforeWord + suggestion.phrase + afterWord;
+    console.log('✅ Learned vocabulary saved:', phrases);
     
-    // Set cursor position after the inserted phrase
-    const newCursorPos = beforeWord.length + suggestion.phrase.length;
-    messageInput.setSelectionRange(newCursorPos, newCursorPos);
+    // Update local cache by reloading vocabulary for this language
+    await loadLearnedVocabulary(language);
+    updateReviewDueBadges();
+}
+
+// Load learned vocabulary for a language
+async function loadLearnedVocabulary(language) {
+    if (!storage || !window.auth.currentUser) return;
     
-    // Mark vocabulary as actively used (async operation)
-    const targetLanguage = document.getElementById('targetLanguage').value;
-    markVocabularyAsActive(suggestion.phrase, targetLanguage).catch(error => {
-      console.error('Error marking vocabulary as active:', error);
-    });
+    try {
+        const vocabulary = await storage.vocabulary.list(language);
+        
+        // Update cache
+        learnedVocabulary[language] = vocabulary;
+        console.log(`📚 Loaded ${vocabulary.length} vocabulary items for ${language}`);
+        
+        return vocabulary;
+    } catch (error) {
+        console.error('Error loading learned vocabulary:', error);
+        return [];
+    }
+}
+
+// Mark vocabulary as actively used
+async function markVocabularyAsActive(phrase, language) {
+    if (!storage || !window.auth.currentUser) return;
+    return performOrQueueWrite('vocabularyUsage', { phrase: phrase, language: language });
+}
+
+async function writeVocabularyUsage(phrase, language) {
+    const item = await storage.vocabulary.findByPhrase(phrase, language);
     
-    // Show encouragement message
-    showEncouragementMessage(suggestion);
-  }
-  
-  hideSuggestions();
-  messageInput.focus();
+    if (item) {
+        await storage.vocabulary.update(item.id, {
+            usageCount: incrementBy(1),
+            lastUsed: serverTimestamp(),
+            isActive: true
+        });
+        
+        console.log('✅ Vocabulary marked as active:', phrase);
+        if (!item.isActive) {
+            emitAppEvent('vocabulary-used', { phrase: phrase, language: language });
+        }
+        
+        // Update local cache
+        const cachedVocab = learnedVocabulary[language];
+        if (cachedVocab) {
+            const cachedItem = cachedVocab.find(v => v.phrase === phrase);
+            if (cachedItem) {
+                cachedItem.usageCount = (cachedItem.usageCount || 0) + 1;
+                cachedItem.isActive = true;
+            }
+        }
+    }
 }
 
-// Show encouragement message when using learned vocabulary
-function showEncouragementMessage(suggestion) {
-  if (!suggestion || !suggestion.phrase) return; // Safety check
-  
-  const isFirstTimeActive = !suggestion.isActive;
-  let message = '';
+// ====== SPACED REPETITION SCHEDULER ======
+// SM-2 style scheduling for vocabulary. Each vocabulary doc carries its own
+// schedule (ease, interval, repetitions, lapses, dueAt) which grading updates.
+
+// Review grades and the SM-2 quality (0-5) they map to
+const REVIEW_GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+const SRS_SETTINGS = {
+    startingEase: 2.5,
+    minimumEase: 1.3,
+    easyBonus: 1.3,
+    relearnMinutes: 10 // "Again" brings the card back within the same session
+};
+
+// Schedule fields for a brand new item - due for review right away
+function createReviewSchedule() {
+    return {
+        ease: SRS_SETTINGS.startingEase,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0,
+        dueAt: new Date(),
+        lastReviewedAt: null
+    };
+}
+
+// Read the schedule of an item, filling in defaults for items saved before scheduling existed
+function getReviewSchedule(item) {
+    return {
+        ease: item.ease || SRS_SETTINGS.startingEase,
+        interval: item.interval || 0,
+        repetitions: item.repetitions || 0,
+        lapses: item.lapses || 0,
+        dueAt: item.dueAt || item.learnedAt || new Date(0),
+        lastReviewedAt: item.lastReviewedAt || null
+    };
+}
+
+// Work out the next schedule after a review (SM-2 with an easy bonus)
+function calculateNextReview(item, grade, now = new Date()) {
+    const quality = REVIEW_GRADES[grade];
+    if (quality === undefined) {
+        throw new Error(`Unknown review grade: ${grade}`);
+    }
+
+    const schedule = getReviewSchedule(item);
+    let { ease, interval, repetitions, lapses } = schedule;
+
+    // Ease moves with every review, never below the SM-2 floor
+    ease = Math.max(
+        SRS_SETTINGS.minimumEase,
+        ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    let dueAt;
+    if (quality < 3) {
+        // Forgotten - start over and see it again shortly
+        repetitions = 0;
+        interval = 0;
+        lapses += 1;
+        dueAt = new Date(now.getTime() + SRS_SETTINGS.relearnMinutes * 60 * 1000);
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else if (grade === 'hard') {
+            // Remembered with effort - grow the gap only a little
+            interval = Math.max(interval + 1, Math.round(interval * 1.2));
+        } else {
+            interval = Math.round(interval * ease);
+        }
+        if (grade === 'easy') {
+            interval = Math.round(interval * SRS_SETTINGS.easyBonus);
+        }
+        dueAt = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
+    }
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval: interval,
+        repetitions: repetitions,
+        lapses: lapses,
+        dueAt: dueAt,
+        lastReviewedAt: now
+    };
+}
+
+function isDueForReview(item, now = new Date()) {
+    return getReviewSchedule(item).dueAt <= now;
+}
+
+// "Review due" queue for a language, most overdue first
+async function getDueVocabulary(language, limit = 50) {
+    const vocabulary = learnedVocabulary[language] || await loadLearnedVocabulary(language) || [];
+    const now = new Date();
+    return vocabulary
+        .filter(item => isDueForReview(item, now))
+        .sort((a, b) => getReviewSchedule(a).dueAt - getReviewSchedule(b).dueAt)
+        .slice(0, limit);
+}
+
+// Grade a vocabulary item and save its new schedule
+async function gradeVocabularyItem(itemId, language, grade) {
+    if (!storage || !window.auth.currentUser) return null;
+    
+    const cachedVocab = learnedVocabulary[language] || [];
+    const item = cachedVocab.find(v => v.id === itemId);
+    if (!item) {
+        console.error('Vocabulary item not found for grading:', itemId);
+        return null;
+    }
+    
+    try {
+        // The cached item is updated in place so the queue changes without a reload
+        const next = await saveReviewGrade('vocabulary', item, grade);
+        updateReviewDueBadges();
+        return next;
+    } catch (error) {
+        console.error('Error grading vocabulary item:', error);
+        return null;
+    }
+}
+
+// Apply a grade to any reviewable item (repository 'vocabulary' or 'favorites') and save its new schedule
+async function saveReviewGrade(repositoryName, item, grade) {
+    const next = calculateNextReview(item, grade);
+    
+    await storage[repositoryName].update(item.id, next);
+    
+    Object.assign(item, next);
+    console.log(`✅ "${item.phrase}" graded ${grade} - next review in ${next.interval} day(s)`);
+    return next;
+}
+
+// Count due items per language across the whole vocabulary collection
+async function getDueCountsByLanguage() {
+    if (!storage || !window.auth.currentUser) return {};
+    
+    try {
+        const vocabulary = await storage.vocabulary.listAll();
+        
+        const now = new Date();
+        const counts = {};
+        vocabulary.forEach(item => {
+            if (isDueForReview(item, now)) {
+                counts[item.language] = (counts[item.language] || 0) + 1;
+            }
+        });
+        return counts;
+    } catch (error) {
+        console.error('Error counting due vocabulary:', error);
+        return {};
+    }
+}
+
+// Show the number of words due for review on each sidebar language
+async function updateReviewDueBadges() {
+    const counts = await getDueCountsByLanguage();
+    
+    document.querySelectorAll('.language-item').forEach(item => {
+        const language = item.getAttribute('data-language');
+        let badge = item.querySelector('.review-due-badge');
+        const count = counts[language] || 0;
+        
+        if (count === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'review-due-badge';
+            item.appendChild(badge);
+        }
+        badge.textContent = count;
+        badge.title = `${count} word${count === 1 ? '' : 's'} due for review`;
+    });
+}
+
+// ====== GET USER STATS FOR DASHBOARD ======
+async function getUserStats() {
+    if (!storage || !window.auth.currentUser) return null;
+    try {
+        const profile = await storage.profile.get();
+        if (profile) {
+            return profile.stats;
+        }
+    } catch (error) {
+        console.error('Error getting stats:', error);
+    }
+    return null;
+}
+
+// ====== UPDATE YOUR EXISTING FUNCTIONS ======
+// Modify your existing sendMessage function to save to Firestore
+
+
+// Helper function for auth validation
+function validateAuthInput() {
+  const email = document.getElementById('email').value;
+  const password = document.getElementById('password').value;
   
-  if (isFirstTimeActive) {
-    message = `🎉 Great! You just activated "${suggestion.phrase}" from passive to active vocabulary!`;
-  } else {
-    message = `🔥 Nice use of "${suggestion.phrase}" - building your active vocabulary!`;
+  if (!email || !password) {
+    document.getElementById('auth-error').textContent = 'Please fill in all fields';
+    return null;
+  }
+
+  if (!window.auth) {
+    document.getElementById('auth-error').textContent = 'Authentication service not ready. Please wait and try again.';
+    return null;
   }
   
-  // Show temporary message
-  const messageContainer = document.createElement('div');
-  messageContainer.className = 'encouragement-message';
-  messageContainer.textContent = message;
+  // Clear any previous errors
+  document.getElementById('auth-error').textContent = '';
+  return { email, password };
+}
+
+// Helper function for notification styling
+function getNotificationBaseStyles() {
+  return `
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    padding: 15px 20px;
+    border-radius: 10px;
+    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+    z-index: 10000;
+  `;
+}
+
+// GLOBAL Authentication Functions (accessible to HTML onclick)
+function signUp() {
+  const credentials = validateAuthInput();
+  if (!credentials) return;
   
-  const chatContainer = document.querySelector('.chat-messages');
-  if (chatContainer) {
-    chatContainer.appendChild(messageContainer);
-    
-    // Remove after 3 seconds
-    setTimeout(() => {
-      messageContainer.remove();
-    }, 3000);
+  window.auth.createUserWithEmailAndPassword(credentials.email, credentials.password)
+    .then((userCredential) => {
+      console.log('✅ User signed up:', userCredential.user.email);
+      showChatInterface();
+    })
+    .catch((error) => {
+      console.error('❌ Sign up error:', error);
+      document.getElementById('auth-error').textContent = getReadableError(error.code);
+    });
+}
+
+function signIn() {
+  const credentials = validateAuthInput();
+  if (!credentials) return;
+  
+  window.auth.signInWithEmailAndPassword(credentials.email, credentials.password)
+    .then((userCredential) => {
+      console.log('✅ User signed in:', userCredential.user.email);
+      showChatInterface();
+    })
+    .catch((error) => {
+      console.error('❌ Sign in error:', error);
+      document.getElementById('auth-error').textContent = getReadableError(error.code);
+    });
+}
+
+async function signOut() {
+  if (!window.auth) {
+    alert('Authentication service not ready. Please wait and try again.');
+    return;
+  }
+  
+  // Check if there are conversations to summarize before signing out
+  const languagesWithMessages = Object.keys(conversationHistoryByLanguage).filter(
+    lang => conversationHistoryByLanguage[lang] && conversationHistoryByLanguage[lang].length >= 4
+  );
+  
+  if (languagesWithMessages.length > 0) {
+    const generateSummary = confirm(
+      `📚 You have active conversations in ${languagesWithMessages.join(', ')}.\n\nWould you like to generate learning summaries before signing out?`
+    );
+    
+    if (generateSummary) {
+      for (const language of languagesWithMessages) {
+        await generateAndSaveSummary(language);
+      }
+    }
+  }
+  
+  // Record the study session while still signed in
+  await endStudySession();
+  
+  window.auth.signOut().then(() => {
+    console.log('✅ User signed out');
+    tutorMemoryByLanguage = {}; // Forget the tutor's notes about this user
+    placementPromptShown.clear();
+    // Preferences, goals, achievements and streak progress belong to this user
+    resetUserPreferences();
+    resetAchievementState();
+    document.querySelector('[onclick="toggleAutoSpeak()"]')?.classList.remove('active');
+    lastCreditedStreakDay = null;
+    announcedGoals.clear();
+    updateReadingToggle();
+    updateWeeklyDigestToggle();
+    // Clear conversation history by language to prevent duplication on re-login
+    conversationHistoryByLanguage = {
+      'Spanish': [],
+      'French': [],
+      'German': [],
+      'Italian': [],
+      'Portuguese': [],
+      'Japanese': [],
+      'Korean': [],
+      'Chinese': []
+    };
+    const chatMessages = document.getElementById('chat-messages');
+    if (chatMessages) chatMessages.innerHTML = '';
+    exitReviewMode();
+    quitScenario();
+    showAuthInterface();
+  }).catch((error) => {
+    console.error('❌ Sign out error:', error);
+    alert('Sign out failed: ' + (error && error.message ? error.message : 'Unknown error'));
+  });
+}
+
+// GLOBAL Helper Functions
+function getReadableError(errorCode) {
+  switch(errorCode) {
+    case 'auth/user-not-found':
+      return 'No account found with this email. Please sign up first.';
+    case 'auth/wrong-password':
+      return 'Incorrect password. Please try again.';
+    case 'auth/email-already-in-use':
+      return 'An account with this email already exists. Please sign in.';
+    case 'auth/weak-password':
+      return 'Password should be at least 6 characters.';
+    case 'auth/invalid-email':
+      return 'Please enter a valid email address.';
+    case 'auth/too-many-requests':
+      return 'Too many failed attempts. Please try again later.';
+    case 'auth/network-request-failed':
+      return 'Network error. Please check your internet connection.';
+    default:
+      return `Authentication error: ${errorCode}. Please try again.`;
+  }
+}
+
+// GLOBAL Chat Functions
+function sendMessage() {
+  const messageInput = document.getElementById('messageInput');
+  const message = messageInput.value.trim();
+  
+  if (message === '') return;
+  
+  // Wait for the current reply to finish (or be stopped) before sending another
+  if (activeReplyController) return;
+  
+  const targetLanguage = document.getElementById('targetLanguage').value;
+  const nativeLanguage = document.getElementById('nativeLanguage').value;
+  
+  // Validate language selection
+  if (!targetLanguage || !nativeLanguage) {
+    alert('Please select both target language and native language first!');
+    return;
+  }
+  
+  // Grammar mode: explain instead of chatting
+  if (grammarModeEnabled) {
+    messageInput.value = '';
+    askGrammarQuestion(message, targetLanguage, nativeLanguage);
+    return;
+  }
+  
+  // Add user message to chat
+  const userBubble = addMessage(message, 'user');
+  messageInput.value = '';
+  
+  // Show typing indicator
+  showTypingIndicator();
+  
+  if (getAIConfig().stream) {
+    streamTutorReply(message, targetLanguage, nativeLanguage, userBubble);
+    return;
+  }
+  
+  // Get AI response
+  getAIResponse(message, targetLanguage, nativeLanguage)
+    .then(response => {
+      hideTypingIndicator();
+      applyCorrectionsToMessage(userBubble, response.corrections);
+      addMessage(response.text, 'ai');
+    })
+    .catch(error => {
+      hideTypingIndicator();
+      console.error('Error getting AI response:', error);
+      addMessage('Sorry, I had trouble understanding. Could you try again? 😊', 'ai');
+    });
+}
+
+// ====== STREAMING TUTOR REPLIES ======
+
+// Stream the tutor's reply into a growing bubble. The reply is only saved to
+// Firestore and spoken once the stream completes (or is stopped).
+function streamTutorReply(message, targetLanguage, nativeLanguage, userBubble = null) {
+  const controller = new AbortController();
+  activeReplyController = controller;
+  setReplyStreaming(true);
+  
+  let bubble = null;
+  let streamedText = '';
+  
+  getAIResponse(message, targetLanguage, nativeLanguage, {
+    signal: controller.signal,
+    onChunk: (chunk, fullText) => {
+      if (!bubble) {
+        hideTypingIndicator();
+        bubble = createStreamingBubble();
+      }
+      // Only show the reply itself, not the corrections block that follows it
+      streamedText = getVisibleReplyText(fullText);
+      updateStreamingBubble(bubble, streamedText);
+    }
+  })
+    .then(response => {
+      applyCorrectionsToMessage(userBubble, response.corrections);
+      finishStreamingReply(bubble, response.text, targetLanguage);
+    })
+    .catch(error => {
+      if (error.name === 'AbortError') {
+        console.log('AI reply stopped by user');
+        finishStreamingReply(bubble, streamedText.trim(), targetLanguage);
+        if (!streamedText.trim()) {
+          addSystemMessage('Reply stopped.');
+        }
+        return;
+      }
+      console.error('Error getting AI response:', error);
+      finishStreamingReply(bubble, 'Sorry, I had trouble understanding. Could you try again? 😊', targetLanguage);
+    })
+    .finally(() => {
+      if (activeReplyController === controller) {
+        activeReplyController = null;
+      }
+      setReplyStreaming(false);
+    });
+}
+
+// Stop the reply that is currently streaming
+function cancelAIReply() {
+  if (activeReplyController) {
+    activeReplyController.abort();
+  }
+}
+
+// Swap the Send button for a Stop button while a reply streams in
+function setReplyStreaming(isStreaming) {
+  const sendButton = document.getElementById('sendButton');
+  const stopButton = document.getElementById('stopButton');
+  if (sendButton) sendButton.style.display = isStreaming ? 'none' : '';
+  if (stopButton) stopButton.style.display = isStreaming ? '' : 'none';
+}
+
+function createStreamingBubble() {
+  const chatMessages = document.getElementById('chat-messages');
+  const bubble = document.createElement('div');
+  bubble.classList.add('message', 'ai', 'streaming');
+  bubble.id = 'streaming-message';
+  bubble.innerHTML = `
+    <div class="message-content">
+      <div class="message-text"></div>
+    </div>
+  `;
+  chatMessages.appendChild(bubble);
+  return bubble;
+}
+
+function updateStreamingBubble(bubble, text) {
+  bubble.querySelector('.message-text').textContent = text;
+  const chatMessages = document.getElementById('chat-messages');
+  if (chatMessages) chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Replace the streaming bubble with a regular message (saved + auto-spoken)
+function finishStreamingReply(bubble, text, language) {
+  hideTypingIndicator();
+  if (bubble) bubble.remove();
+  if (!text) return;
+  
+  if (language === currentActiveLanguage) {
+    addMessage(text, 'ai');
+    return;
+  }
+  
+  // The learner switched languages mid-reply - keep it with the original conversation
+  saveMessageToFirestore(text, 'ai', language);
+  if (conversationHistoryByLanguage[language]) {
+    conversationHistoryByLanguage[language].push({ message: text, sender: 'ai', timestamp: new Date() });
+  }
+}
+
+// details: { id, corrections, timestamp } for messages loaded from history
+function addMessage(message, sender, shouldAutoSpeak = true, shouldSaveToDatabase = true, details = {}) {
+    const chatMessages = document.getElementById('chat-messages');
+    if (!chatMessages) {
+        console.error('Chat messages container not found');
+        return;
+    }
+    
+    const messageDiv = document.createElement('div');
+    messageDiv.classList.add('message', sender);
+    
+    const isNewMessage = shouldSaveToDatabase && storage && window.auth.currentUser;
+    const entry = {
+        id: details.id || (isNewMessage ? createMessageId() : null),
+        message: message,
+        sender: sender,
+        corrections: details.corrections || [],
+        readings: details.readings || null,
+        timestamp: details.timestamp || new Date()
+    };
+    messageDetails.set(messageDiv, entry);
+    if (entry.id) messageDiv.dataset.messageId = entry.id;
+    
+    const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    // Add buttons to messages - they act on the message entry, never on inline text
+    const messageHTML = `
+        <div class="message-content">
+            <div class="message-text">${entry.corrections.length > 0 ? renderCorrectedText(message, entry.corrections) : renderMarkdown(message)}</div>
+            <div class="message-actions">
+                <button class="message-speaker-btn" data-action="speak" title="Listen">🔊</button>
+                <button class="message-favorite-btn" data-action="favorite" title="Save to favorites">⭐</button>
+                ${sender === 'ai' ? '<button class="message-practice-btn" data-action="practice" title="Practise saying this">🎯</button>' : ''}
+                ${sender === 'ai' ? '<button class="message-practice-btn" data-action="shadow" title="Shadow this message">🔁</button>' : ''}
+            </div>
+            <div class="message-time">${timestamp}</div>
+        </div>
+    `;
+    
+    messageDiv.innerHTML = messageHTML;
+    bindMessageActions(messageDiv);
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    
+    // Furigana/pinyin/romanization above the tutor's text, when turned on
+    if (sender === 'ai' && getReadingMode(currentActiveLanguage) !== 'off') {
+        applyMessageReadings(messageDiv);
+    }
+    
+    // Auto-speak if enabled and allowed
+    if (sender === 'ai' && autoSpeakEnabled && shouldAutoSpeak) {
+        const targetLanguage = currentActiveLanguage || 'Spanish';
+        setTimeout(() => speakText(markdownToPlainText(message), targetLanguage), 500);
+    }
+    
+    // Save to Firestore only for new messages (not loaded ones)
+    if (isNewMessage) {
+        const targetLanguage = document.getElementById('targetLanguage')?.value || currentActiveLanguage || 'Spanish';
+        saveMessageToFirestore(message, sender, targetLanguage, entry.id);
+        
+        // Also update local conversation history to keep it in sync
+        if (!conversationHistoryByLanguage[targetLanguage]) {
+            conversationHistoryByLanguage[targetLanguage] = [];
+        }
+        conversationHistoryByLanguage[targetLanguage].push(entry);
+    }
+    
+    return messageDiv;
+}
+
+// ====== SAFE RENDERING ======
+// Model and learner text is never inserted as HTML. Everything is escaped first
+// and only the Markdown the tutor actually uses is turned back into tags:
+// **bold**, *italic*, `code` (target-language phrases) and -/1. lists.
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Bold, italic and code spans within a single line
+function renderInlineMarkdown(text) {
+    return String(text == null ? '' : text).split(/(`[^`\n]+`)/).map(part => {
+        if (/^`[^`\n]+`$/.test(part)) {
+            return `<code>${escapeHTML(part.slice(1, -1))}</code>`;
+        }
+        return escapeHTML(part)
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(\S(?:.*?\S)?)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*(\S(?:[^*]*?\S)?)\*(?![*\w])/g, '$1<em>$2</em>');
+    }).join('');
+}
+
+// Paragraphs, line breaks and bulleted/numbered lists
+function renderMarkdown(text) {
+    const lines = String(text == null ? '' : text).replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+    
+    lines.forEach(line => {
+        const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            flushParagraph();
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag: tag, items: [] };
+            list.items.push(renderInlineMarkdown((bullet || numbered)[1]));
+        } else if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(renderInlineMarkdown(line.trim()));
+        }
+    });
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+// The same text without Markdown syntax, for speech and plain-text exports
+function markdownToPlainText(text) {
+    return String(text == null ? '' : text)
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '$1')
+        .replace(/__(\S(?:.*?\S)?)__/g, '$1')
+        .replace(/(^|[^*\w])\*(\S(?:[^*]*?\S)?)\*(?![*\w])/g, '$1$2')
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s+/gm, '');
+}
+
+// Message action buttons read the message stored for their bubble instead of
+// carrying its text in an attribute
+function bindMessageActions(messageDiv) {
+    messageDiv.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            const entry = messageDetails.get(messageDiv);
+            if (!entry) return;
+            if (button.dataset.action === 'speak') {
+                speakMessage(entry.message, entry.sender);
+            } else if (button.dataset.action === 'favorite') {
+                favoriteMessage(entry.message, entry.sender);
+            } else if (button.dataset.action === 'practice') {
+                startPronunciationDrill(splitIntoSentences(entry.message)[0]);
+            } else if (button.dataset.action === 'shadow') {
+                shadowMessage(entry.message);
+            }
+        });
+    });
+    // Click any word to look it up
+    messageDiv.querySelector('.message-text')?.addEventListener('click', event => handleWordClick(event, messageDiv));
+}
+
+// ====== GRAMMAR CORRECTIONS ======
+
+// Message data behind each rendered bubble (text, id, corrections)
+const messageDetails = new WeakMap();
+
+// Render the learner's text with each correction shown as a strikethrough of
+// the original span, the inserted fix, and a tooltip with the rule
+function renderCorrectedText(text, corrections) {
+    // Locate each correction in the text, skipping any that overlap an earlier one
+    const matches = [];
+    corrections.forEach(correction => {
+        let start = text.indexOf(correction.original);
+        if (start === -1) {
+            start = text.toLowerCase().indexOf(correction.original.toLowerCase());
+        }
+        if (start === -1) return;
+        const end = start + correction.original.length;
+        if (matches.some(match => start < match.end && end > match.start)) return;
+        matches.push({ start, end, correction });
+    });
+    matches.sort((a, b) => a.start - b.start);
+    
+    let html = '';
+    let cursor = 0;
+    matches.forEach(({ start, end, correction }) => {
+        html += escapeHTML(text.slice(cursor, start));
+        html += `<span class="correction" tabindex="0">` +
+            `<del>${escapeHTML(text.slice(start, end))}</del>` +
+            `<ins>${escapeHTML(correction.corrected)}</ins>` +
+            `<span class="correction-tooltip">` +
+            (correction.rule ? `<strong>${escapeHTML(correction.rule)}</strong>` : '') +
+            `${escapeHTML(correction.explanation || '')}</span>` +
+            `</span>`;
+        cursor = end;
+    });
+    html += escapeHTML(text.slice(cursor));
+    return html;
+}
+
+// Show corrections on an already-rendered user bubble and save them with the message
+function applyCorrectionsToMessage(messageDiv, corrections) {
+    if (!messageDiv || !corrections || corrections.length === 0) return;
+    const entry = messageDetails.get(messageDiv);
+    if (!entry) return;
+    
+    entry.corrections = corrections;
+    const textElement = messageDiv.querySelector('.message-text');
+    if (textElement) {
+        textElement.innerHTML = renderCorrectedText(entry.message, corrections);
+    }
+    saveMessageCorrections(entry.id, corrections);
+}
+
+// Legacy function for compatibility
+function addMessageToLanguageTab(message, sender, language) {
+    addMessage(message, sender);
+}
+
+function showTypingIndicator() {
+  const chatMessages = document.getElementById('chat-messages');
+  if (!chatMessages) {
+    console.error('Chat messages container not found');
+    return;
+  }
+  
+  const typingDiv = document.createElement('div');
+  typingDiv.classList.add('message', 'ai', 'typing');
+  typingDiv.id = 'typing-indicator';
+  typingDiv.innerHTML = `
+    <div class="typing-dots">
+      <span></span><span></span><span></span>
+    </div>
+    <div class="typing-text">Thinking...</div>
+  `;
+  chatMessages.appendChild(typingDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function hideTypingIndicator() {
+  const typingIndicator = document.getElementById('typing-indicator');
+  if (typingIndicator) {
+    typingIndicator.remove();
+  }
+}
+
+// GLOBAL UI Functions
+function showChatInterface() {
+  const authContainer = document.getElementById('auth-container');
+  const chatContainer = document.getElementById('chat-container');
+  if (authContainer) authContainer.style.display = 'none';
+  if (chatContainer) chatContainer.style.display = 'flex';
+  
+  // Focus on message input
+  setTimeout(() => {
+    const messageInput = document.getElementById('messageInput');
+    if (messageInput) messageInput.focus();
+  }, 100);
+}
+
+function showAuthInterface() {
+  const authContainer = document.getElementById('auth-container');
+  const chatContainer = document.getElementById('chat-container');
+  if (authContainer) authContainer.style.display = 'block';
+  if (chatContainer) chatContainer.style.display = 'none';
+  
+  // Clear form fields
+  const email = document.getElementById('email');
+  const password = document.getElementById('password');
+  if (email) email.value = '';
+  if (password) password.value = '';
+}
+
+async function clearChat() {
+  // Generate summary before clearing if there are enough messages
+  const currentMessages = conversationHistoryByLanguage[currentActiveLanguage] || [];
+  let shouldGenerateSummary = currentMessages.length >= 4; // At least 2 exchanges
+  
+  if (shouldGenerateSummary) {
+    const generateSummary = confirm(
+      `📚 You have ${currentMessages.length} messages in this ${currentActiveLanguage} conversation.\n\nWould you like to generate a learning summary before clearing?`
+    );
+    
+    if (generateSummary) {
+      await generateAndSaveSummary(currentActiveLanguage);
+    }
+  }
+
+  // Show confirmation dialog since this is permanent
+  const confirmClear = confirm(
+    `⚠️ Are you sure you want to permanently delete all ${currentActiveLanguage} conversation messages?\n\nThis action cannot be undone.`
+  );
+  
+  if (!confirmClear) {
+    console.log('Chat clear cancelled by user');
+    return;
+  }
+  
+  // Show loading message
+  addSystemMessage(`Clearing ${currentActiveLanguage} conversation...`);
+  
+  const chatMessages = document.getElementById('chat-messages');
+  if (chatMessages) {
+    chatMessages.innerHTML = '';
+  }
+  
+  // Clear the conversation history for the current language
+  if (conversationHistoryByLanguage[currentActiveLanguage]) {
+    conversationHistoryByLanguage[currentActiveLanguage] = [];
+  }
+  
+  // The tutor's summary of this conversation goes with it
+  await clearTutorMemory(currentActiveLanguage);
+  
+  // Delete messages from Firebase for the current language
+  await clearChatFromDatabase(currentActiveLanguage);
+  
+  console.log('✅ Chat cleared permanently for', currentActiveLanguage);
+}
+
+async function clearChatFromDatabase(language) {
+  if (!storage || !window.auth.currentUser) {
+    console.log('No database connection or user not authenticated');
+    return;
+  }
+  
+  try {
+    // Delete all messages for this language
+    const deletedCount = await storage.messages.removeByLanguage(language);
+    
+    if (deletedCount === 0) {
+      console.log(`No messages found for language: ${language}`);
+      addSystemMessage(`✅ ${language} conversation was already empty`);
+      return;
+    }
+    
+    console.log(`✅ Successfully deleted ${deletedCount} messages for ${language} from database`);
+    
+    // Show success message to user
+    const exchangeCount = Math.ceil(deletedCount / 2); // Approximate conversation exchanges
+    if (deletedCount === 1) {
+        addSystemMessage(`✅ Successfully cleared 1 ${language} message permanently`);
+    } else if (deletedCount === 2) {
+        addSystemMessage(`✅ Successfully cleared 1 ${language} conversation exchange (2 messages) permanently`);
+    } else {
+        addSystemMessage(`✅ Successfully cleared ${deletedCount} ${language} messages (≈${exchangeCount} exchanges) permanently`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Error clearing chat from database:', error);
+    // Show user-friendly error message
+    addSystemMessage(`❌ Failed to permanently delete messages. Error: ${error.message}`);
+  }
+}
+
+// Handle Enter key press in message input
+function handleKeyPress(event) {
+  if (event.key === 'Enter') {
+    sendMessage();
+  } else if (event.key === 'ArrowDown' && isShowingSuggestions) {
+    event.preventDefault();
+    navigateSuggestions(1);
+  } else if (event.key === 'ArrowUp' && isShowingSuggestions) {
+    event.preventDefault();
+    navigateSuggestions(-1);
+  } else if (event.key === 'Tab' && isShowingSuggestions && selectedSuggestionIndex >= 0) {
+    event.preventDefault();
+    selectSuggestion(selectedSuggestionIndex);
+  } else if (event.key === 'Escape' && isShowingSuggestions) {
+    hideSuggestions();
+  }
+}
+
+// ====== WORD SUGGESTION SYSTEM ======
+
+// Initialize word suggestions when page loads
+function initializeWordSuggestions() {
+  const messageInput = document.getElementById('messageInput');
+  if (messageInput) {
+    // Add input event listener for real-time suggestions
+    messageInput.addEventListener('input', handleInputChange);
+    messageInput.addEventListener('focus', handleInputFocus);
+    messageInput.addEventListener('blur', handleInputBlur);
+    
+    // Create suggestions container
+    createSuggestionsContainer();
+  }
+}
+
+// Handle input changes for word suggestions
+function handleInputChange(event) {
+  const input = event.target.value;
+  const cursorPos = event.target.selectionStart;
+  
+  // Get the current word being typed
+  const currentWord = getCurrentWord(input, cursorPos);
+  
+  if (currentWord && currentWord.length >= 2) {
+    showWordSuggestions(currentWord);
+  } else {
+    hideSuggestions();
+  }
+}
+
+// Get the current word being typed at cursor position
+function getCurrentWord(text, cursorPos) {
+  const beforeCursor = text.substring(0, cursorPos);
+  const afterCursor = text.substring(cursorPos);
+  
+  // Find word boundaries
+  const wordStart = beforeCursor.search(/\S+$/);
+  const wordEnd = afterCursor.search(/\s/);
+  
+  if (wordStart === -1) return '';
+  
+  const start = wordStart;
+  const end = cursorPos + (wordEnd === -1 ? afterCursor.length : wordEnd);
+  
+  return text.substring(start, end).trim();
+}
+
+// Show word suggestions based on input
+function showWordSuggestions(currentWord) {
+  const targetLanguage = document.getElementById('targetLanguage').value;
+  const vocabulary = learnedVocabulary[targetLanguage] || [];
+  
+  // Filter vocabulary based on current input
+  const suggestions = vocabulary.filter(item => {
+    return item.phrase.toLowerCase().includes(currentWord.toLowerCase()) ||
+           item.phrase.toLowerCase().startsWith(currentWord.toLowerCase());
+  }).slice(0, 5); // Limit to 5 suggestions
+  
+  if (suggestions.length > 0) {
+    displaySuggestions(suggestions);
+  } else {
+    hideSuggestions();
+  }
+}
+
+// Display suggestions in UI
+function displaySuggestions(suggestions) {
+  const container = document.getElementById('suggestions-container');
+  if (!container) return;
+  
+  vocabularySuggestions = suggestions;
+  selectedSuggestionIndex = -1;
+  isShowingSuggestions = true;
+  
+  container.innerHTML = '';
+  container.style.display = 'block';
+  
+  suggestions.forEach((suggestion, index) => {
+    const suggestionElement = document.createElement('div');
+    suggestionElement.className = 'suggestion-item';
+    suggestionElement.setAttribute('data-index', index);
+    
+    // Calculate how long ago it was learned
+    const learnedDate = suggestion.learnedAt || new Date();
+    const daysAgo = Math.floor((new Date() - learnedDate) / (1000 * 60 * 60 * 24));
+    const timeAgo = daysAgo === 0 ? 'today' : daysAgo === 1 ? 'yesterday' : `${daysAgo} days ago`;
+    
+    // Status indicator
+    const statusIcon = suggestion.isActive ? '🔥' : '💤';
+    const statusText = suggestion.isActive ? 'Active' : 'Passive';
+    const usageCount = suggestion.usageCount || 0;
+    
+    suggestionElement.innerHTML = `
+      <div class="suggestion-phrase">${escapeHTML(suggestion.phrase)}</div>
+      <div class="suggestion-meta">
+        <span class="suggestion-learned">📚 Learned ${timeAgo}</span>
+        <span class="suggestion-status">${statusIcon} ${statusText}</span>
+        <span class="suggestion-usage">Used ${usageCount}x</span>
+      </div>
+    `;
+    
+    suggestionElement.addEventListener('click', () => selectSuggestion(index));
+    suggestionElement.addEventListener('mouseenter', () => {
+      selectedSuggestionIndex = index;
+      updateSuggestionSelection();
+    });
+    
+    container.appendChild(suggestionElement);
+  });
+}
+
+// Navigate through suggestions with arrow keys
+function navigateSuggestions(direction) {
+  if (vocabularySuggestions.length === 0) return;
+  
+  selectedSuggestionIndex += direction;
+  
+  if (selectedSuggestionIndex < 0) {
+    selectedSuggestionIndex = vocabularySuggestions.length - 1;
+  } else if (selectedSuggestionIndex >= vocabularySuggestions.length) {
+    selectedSuggestionIndex = 0;
+  }
+  
+  updateSuggestionSelection();
+}
+
+// Update visual selection of suggestions
+function updateSuggestionSelection() {
+  const container = document.getElementById('suggestions-container');
+  if (!container) return;
+  
+  const items = container.querySelectorAll('.suggestion-item');
+  items.forEach((item, index) => {
+    item.classList.toggle('selected', index === selectedSuggestionIndex);
+  });
+}
+
+// Select a suggestion and insert it into the input
+function selectSuggestion(index) {
+  if (index < 0 || index >= vocabularySuggestions.length) return;
+  
+  const suggestion = vocabularySuggestions[index];
+  const messageInput = document.getElementById('messageInput');
+  const cursorPos = messageInput.selectionStart;
+  const text = messageInput.value;
+  
+  // Find the current word boundaries
+  const beforeCursor = text.substring(0, cursorPos);
+  const afterCursor = text.substring(cursorPos);
+  const wordStart = beforeCursor.search(/\S+$/);
+  const wordEnd = afterCursor.search(/\s/);
+  
+  if (wordStart !== -1) {
+    const beforeWord = text.substring(0, wordStart);
+    const afterWord = wordEnd === -1 ? '' : afterCursor.substring(wordEnd);
+    
+    // Replace the current word with the suggestion
+    messageInput.value = beforeWord + suggestion.phrase + afterWord;
+    
+    // Set cursor position after the inserted phrase
+    const newCursorPos = beforeWord.length + suggestion.phrase.length;
+    messageInput.setSelectionRange(newCursorPos, newCursorPos);
+    
+    // Mark vocabulary as actively used (async operation)
+    const targetLanguage = document.getElementById('targetLanguage').value;
+    markVocabularyAsActive(suggestion.phrase, targetLanguage).catch(error => {
+      console.error('Error marking vocabulary as active:', error);
+    });
+    
+    // Show encouragement message
+    showEncouragementMessage(suggestion);
+  }
+  
+  hideSuggestions();
+  messageInput.focus();
+}
+
+// Show encouragement message when using learned vocabulary
+function showEncouragementMessage(suggestion) {
+  if (!suggestion || !suggestion.phrase) return; // Safety check
+  
+  const isFirstTimeActive = !suggestion.isActive;
+  let message = '';
+  
+  if (isFirstTimeActive) {
+    message = `🎉 Great! You just activated "${suggestion.phrase}" from passive to active vocabulary!`;
+  } else {
+    message = `🔥 Nice use of "${suggestion.phrase}" - building your active vocabulary!`;
+  }
+  
+  // Show temporary message
+  const messageContainer = document.createElement('div');
+  messageContainer.className = 'encouragement-message';
+  messageContainer.textContent = message;
+  
+  const chatContainer = document.querySelector('.chat-messages');
+  if (chatContainer) {
+    chatContainer.appendChild(messageContainer);
+    
+    // Remove after 3 seconds
+    setTimeout(() => {
+      messageContainer.remove();
+    }, 3000);
+  }
+}
+
+// Hide suggestions
+function hideSuggestions() {
+  const container = document.getElementById('suggestions-container');
+  if (container) {
+    container.style.display = 'none';
+    isShowingSuggestions = false;
+    selectedSuggestionIndex = -1;
+    vocabularySuggestions = [];
+  }
+}
+
+// Handle input focus
+function handleInputFocus() {
+  // Load vocabulary for current language if not already loaded
+  const targetLanguage = document.getElementById('targetLanguage').value;
+  if (!learnedVocabulary[targetLanguage]) {
+    loadLearnedVocabulary(targetLanguage);
+  }
+}
+
+// Handle input blur (with delay to allow clicks on suggestions)
+function handleInputBlur() {
+  setTimeout(() => {
+    hideSuggestions();
+  }, 200);
+}
+
+// Create suggestions container in DOM
+function createSuggestionsContainer() {
+  const chatInput = document.querySelector('.chat-input');
+  if (!chatInput || document.getElementById('suggestions-container')) return;
+  
+  const container = document.createElement('div');
+  container.id = 'suggestions-container';
+  container.className = 'suggestions-container';
+  container.style.display = 'none';
+  
+  chatInput.appendChild(container);
+}
+
+// Handle language change
+function changeLanguage() {
+  const targetLanguage = document.getElementById('targetLanguage').value;
+  console.log('Language changed to:', targetLanguage);
+  // Update speech recognition language if available
+  if (typeof updateRecognitionLanguage === 'function') {
+    updateRecognitionLanguage();
+  }
+  // Also switch to the corresponding language tab
+  openLanguageTab(targetLanguage);
+}
+
+// ====== LANGUAGE SIDEBAR FUNCTIONS ======
+function initializeSidebar() {
+  // Set initial active language
+  selectLanguage(currentActiveLanguage);
+  console.log('🌍 Sidebar initialized with language:', currentActiveLanguage);
+}
+
+function selectLanguage(language) {
+  // Save current conversation before switching
+  saveCurrentConversationState();
+  
+  // Study time so far belongs to the previous language
+  trackSessionTick();
+  
+  // Update active language
+  currentActiveLanguage = language;
+  
+  // Update sidebar visual state
+  const languageItems = document.querySelectorAll('.language-item');
+  languageItems.forEach(item => {
+    item.classList.remove('active');
+  });
+  
+  const selectedItem = document.querySelector(`[data-language="${language}"]`);
+  if (selectedItem) {
+    selectedItem.classList.add('active');
+  }
+  
+  // Update the learning language dropdown to match
+  const learningSelect = document.getElementById('targetLanguage');
+  if (learningSelect) {
+    learningSelect.value = language;
+  }
+  
+  // Clear and load conversation for this language
+  loadConversationForLanguage(language);
+  
+  // Keep review mode open, with the new language's cards
+  if (reviewSession && reviewSession.language !== language) {
+    startReviewMode(language);
+  }
+  
+  // Show the role-play objectives if this language has a scenario running
+  renderScenarioBanner();
+  
+  // The readings button only applies to Japanese, Chinese and Korean
+  updateReadingToggle(language);
+  
+  // Restart an open pronunciation drill with the new language's sentences
+  if (pronunciationDrill && pronunciationDrill.language !== language) {
+    startPronunciationDrill();
+  }
+  if (shadowingSession && shadowingSession.language !== language) {
+    closeShadowing();
+  }
+  
+  // First visit to a language without a level: offer the placement test
+  maybeSuggestPlacement(language);
+  
+  // Load vocabulary for this language
+  loadLearnedVocabulary(language);
+  
+  // Update speech recognition language if available
+  if (typeof updateRecognitionLanguage === 'function') {
+    updateRecognitionLanguage();
+  }
+  
+  console.log(`🌍 Switched to ${language}`);
+}
+
+// Legacy function for compatibility
+function openLanguageTab(language) {
+  selectLanguage(language);
+}
+
+function saveCurrentConversationState() {
+  // Save the current conversation to the appropriate language array
+  if (currentActiveLanguage && conversationHistoryByLanguage[currentActiveLanguage]) {
+    // Get all messages from the current chat container
+    const chatContainer = document.getElementById('chat-messages');
+    if (chatContainer) {
+      const messages = chatContainer.querySelectorAll('.message:not(.typing):not(.streaming)');
+      conversationHistoryByLanguage[currentActiveLanguage] = Array.from(messages).map(msg => {
+        // Rendered bubbles keep their original text (corrections change textContent)
+        const details = messageDetails.get(msg);
+        if (details) return details;
+        const messageText = msg.querySelector('.message-text')?.textContent || '';
+        const sender = msg.classList.contains('user') ? 'user' : 'ai';
+        return { message: messageText, sender: sender };
+      });
+    }
+  }
+}
+
+// Display message without saving to Firestore (for loading existing messages)
+function displayMessage(message, sender, details = {}) {
+    // Use addMessage with auto-speak and database save disabled for loaded messages
+    addMessage(message, sender, false, false, details);
+}
+
+function loadConversationForLanguage(language) {
+  const chatContainer = document.getElementById('chat-messages');
+  if (!chatContainer) return;
+  
+  // Clear the chat container
+  chatContainer.innerHTML = '';
+  
+  // Load messages for this language from the stored conversation history
+  if (conversationHistoryByLanguage[language] && conversationHistoryByLanguage[language].length > 0) {
+    conversationHistoryByLanguage[language].forEach(msgData => {
+      displayMessage(msgData.message, msgData.sender, msgData);
+    });
+  }
+}
+
+// ====== FLASHCARD REVIEW MODE ======
+// Turns due vocabulary and favorites for the selected language into flip cards.
+// Keys: Space/Enter flip, 1-4 grade (Again/Hard/Good/Easy), P speak, Esc exit.
+
+let reviewSession = null; // { language, deck, index, flipped, reviewedCount }
+
+// Grade buttons in display order
+const REVIEW_GRADE_BUTTONS = [
+  { grade: 'again', key: '1', label: 'Again' },
+  { grade: 'hard', key: '2', label: 'Hard' },
+  { grade: 'good', key: '3', label: 'Good' },
+  { grade: 'easy', key: '4', label: 'Easy' }
+];
+
+// Local calendar day (YYYY-MM-DD) of a date, e.g. one from getLearningDay()
+function getDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Favorites for a language that are due for review
+async function getDueFavorites(language) {
+  if (!storage || !window.auth.currentUser) return [];
+  try {
+    const favorites = await storage.favorites.listByLanguage(language);
+    const now = new Date();
+    return favorites.filter(favorite => isDueForReview(favorite, now));
+  } catch (error) {
+    console.error('Error loading favorites for review:', error);
+    return [];
+  }
+}
+
+// Build the review deck: due vocabulary first, then due favorites
+async function buildReviewDeck(language) {
+  const [vocabulary, favorites] = await Promise.all([
+    getDueVocabulary(language),
+    getDueFavorites(language)
+  ]);
+  
+  const vocabularyCards = vocabulary.map(item => ({
+    source: 'vocabulary',
+    item: item,
+    front: item.phrase,
+    back: item.translation || ''
+  }));
+  const favoriteCards = favorites.map(item => ({
+    source: 'favorites',
+    item: item,
+    front: item.phrase,
+    back: item.translation || ''
+  }));
+  
+  return [...vocabularyCards, ...favoriteCards];
+}
+
+async function startReviewMode(language = currentActiveLanguage) {
+  if (!storage || !window.auth.currentUser) {
+    alert('Please sign in to review your vocabulary');
+    return;
+  }
+  
+  reviewSession = {
+    language: language,
+    deck: [],
+    index: 0,
+    flipped: false,
+    reviewedCount: 0
+  };
+  showReviewContainer(true);
+  document.getElementById('review-container').innerHTML = `
+    <div class="review-empty"><div class="spinner review-spinner"></div><p>Loading ${language} cards...</p></div>
+  `;
+  
+  const deck = await buildReviewDeck(language);
+  // Language may have changed (or review closed) while the deck was loading
+  if (!reviewSession || reviewSession.language !== language) return;
+  
+  reviewSession.deck = deck;
+  renderReviewCard();
+}
+
+function exitReviewMode() {
+  reviewSession = null;
+  showReviewContainer(false);
+}
+
+// Swap the chat for the review panel (or back)
+function showReviewContainer(show) {
+  const reviewContainer = document.getElementById('review-container');
+  const chatMessages = document.getElementById('chat-messages');
+  const chatInput = document.querySelector('.chat-input');
+  if (reviewContainer) reviewContainer.style.display = show ? 'flex' : 'none';
+  if (chatMessages) chatMessages.style.display = show ? 'none' : '';
+  if (chatInput) chatInput.style.display = show ? 'none' : '';
+}
+
+function renderReviewCard() {
+  const container = document.getElementById('review-container');
+  if (!container || !reviewSession) return;
+  
+  const { deck, index, flipped, language, reviewedCount } = reviewSession;
+  
+  if (index >= deck.length) {
+    container.innerHTML = `
+      <div class="review-empty">
+        <div class="review-done-icon">${reviewedCount > 0 ? '🎉' : '✅'}</div>
+        <h3>${reviewedCount > 0 ? `Reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}!` : `No ${language} cards due`}</h3>
+        <p>${reviewedCount > 0 ? 'Great work - come back later for the next batch.' : 'Save phrases with ⭐ or generate a summary to add new words.'}</p>
+        <button class="btn btn-primary" onclick="exitReviewMode()">Back to chat</button>
+      </div>
+    `;
+    return;
+  }
+  
+  const card = deck[index];
+  const sourceLabel = card.source === 'vocabulary' ? '📚 Vocabulary' : '⭐ Favorite';
+  
+  container.innerHTML = `
+    <div class="review-header">
+      <span class="review-progress">${language} · Card ${index + 1} of ${deck.length}</span>
+      <button class="btn-small review-exit-btn" onclick="exitReviewMode()">✖ Exit</button>
+    </div>
+    <div class="flashcard ${flipped ? 'flipped' : ''}" onclick="flipReviewCard()">
+      <div class="flashcard-inner">
+        <div class="flashcard-face flashcard-front">
+          <span class="flashcard-source">${sourceLabel}</span>
+          <div class="flashcard-text"></div>
+          <span class="flashcard-hint">Click or press Space to flip</span>
+        </div>
+        <div class="flashcard-face flashcard-back">
+          <div class="flashcard-text flashcard-phrase"></div>
+          <div class="flashcard-reading"></div>
+          <div class="flashcard-translation"></div>
+        </div>
+      </div>
+    </div>
+    <div class="review-actions">
+      <button class="feature-btn" onclick="speakReviewCard()" title="Listen (P)">🔊 Listen</button>
+      ${flipped ? REVIEW_GRADE_BUTTONS.map(button => `
+        <button class="review-grade-btn grade-${button.grade}" onclick="gradeReviewCard('${button.grade}')">
+          ${button.label} <kbd>${button.key}</kbd>
+        </button>
+      `).join('') : `<button class="btn btn-primary" onclick="flipReviewCard()">Show answer <kbd>Space</kbd></button>`}
+    </div>
+  `;
+  
+  // Card text is user/model content - set it as text, not HTML
+  container.querySelector('.flashcard-front .flashcard-text').textContent = card.front;
+  container.querySelector('.flashcard-phrase').textContent = card.front;
+  container.querySelector('.flashcard-translation').textContent = card.back || (flipped ? 'Translating...' : '');
+  container.querySelector('.flashcard-reading').textContent = card.reading || '';
+  
+  if (flipped && !card.back) {
+    loadReviewCardTranslation(card);
+  }
+  if (flipped && card.reading === undefined && getReadingMode(language) !== 'off') {
+    loadReviewCardReading(card);
+  }
+}
+
+function flipReviewCard() {
+  if (!reviewSession || reviewSession.index >= reviewSession.deck.length) return;
+  reviewSession.flipped = !reviewSession.flipped;
+  renderReviewCard();
+}
+
+function speakReviewCard() {
+  if (!reviewSession) return;
+  const card = reviewSession.deck[reviewSession.index];
+  if (card) speakText(card.front, reviewSession.language);
+}
+
+// Fetch (and remember) a translation for cards saved without one
+async function loadReviewCardTranslation(card) {
+  if (card.translationRequested) return;
+  card.translationRequested = true;
+  
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  try {
+    const translation = await translatePhrase(card.front, reviewSession.language, nativeLanguage);
+    card.back = translation;
+    card.item.translation = translation;
+    
+    await storage[card.source].update(card.item.id, { translation: translation });
+  } catch (error) {
+    console.error('Error translating review card:', error);
+    card.back = '(translation unavailable)';
+  }
+  
+  if (reviewSession && reviewSession.deck[reviewSession.index] === card) {
+    renderReviewCard();
+  }
+}
+
+// Readings for the card's phrase, in the mode chosen for the chat
+async function loadReviewCardReading(card) {
+  if (card.readingRequested) return;
+  card.readingRequested = true;
+  
+  const language = reviewSession.language;
+  try {
+    card.reading = await getItemReadingLine(card.item, card.source, language, getReadingMode(language));
+  } catch (error) {
+    console.error('Error loading review card reading:', error);
+    card.reading = '';
+  }
+  
+  if (reviewSession && reviewSession.deck[reviewSession.index] === card) {
+    renderReviewCard();
+  }
+}
+
+async function gradeReviewCard(grade) {
+  if (!reviewSession || !reviewSession.flipped) return;
+  const session = reviewSession;
+  const card = session.deck[session.index];
+  if (!card) return;
+  
+  // Move on straight away; saving happens in the background
+  session.index += 1;
+  session.flipped = false;
+  session.reviewedCount += 1;
+  if (grade === 'again') {
+    // Show forgotten cards again before the session ends
+    session.deck.push(card);
+  }
+  renderReviewCard();
+  
+  try {
+    if (card.source === 'vocabulary') {
+      // null when the grade wasn't saved - don't log a review that didn't happen
+      const next = await gradeVocabularyItem(card.item.id, session.language, grade);
+      if (!next) return;
+    } else {
+      await saveReviewGrade('favorites', card.item, grade);
+    }
+    await recordReviewResult(card, grade, session.language);
+  } catch (error) {
+    console.error('Error saving review result:', error);
+  }
+}
+
+// Log each review so the dashboard can chart cards reviewed per day
+async function recordReviewResult(card, grade, language) {
+  if (!storage || !window.auth.currentUser) return;
+  
+  await storage.reviews.add({
+    itemId: card.item.id,
+    source: card.source,
+    phrase: card.front,
+    language: language,
+    grade: grade,
+    day: getZonedDateKey(),
+    reviewedAt: new Date()
+  });
+  await storage.stats.increment({ totalReviews: 1 });
+  await recordActivity('reviews', language);
+}
+
+// Keyboard controls while the review panel is open
+function handleReviewKeydown(event) {
+  if (!reviewSession) return;
+  if (event.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+  
+  if (event.key === ' ' || event.key === 'Enter') {
+    event.preventDefault();
+    if (!reviewSession.flipped) flipReviewCard();
+  } else if (event.key === 'Escape') {
+    exitReviewMode();
+  } else if (event.key === 'p' || event.key === 'P') {
+    speakReviewCard();
+  } else if (reviewSession.flipped) {
+    const button = REVIEW_GRADE_BUTTONS.find(b => b.key === event.key);
+    if (button) gradeReviewCard(button.grade);
+  }
+}
+
+// Dashboard Functions
+// ====== COMPLETE DASHBOARD FUNCTIONALITY ======
+
+function openDashboard() {
+  const dashboard = document.getElementById('dashboard-container');
+  dashboard.style.display = 'flex';
+  loadDashboardData();
+  loadFavorites();
+  loadLanguageStats();
+  loadActivityChart();
+  loadReviewChart();
+  loadSummariesList();
+  loadAchievements();
+}
+
+function closeDashboard() {
+  document.getElementById('dashboard-container').style.display = 'none';
+}
+
+// Close dashboard when clicking overlay
+document.getElementById('dashboard-container')?.addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeDashboard();
+  }
+});
+
+// Load complete dashboard data
+async function loadDashboardData() {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    const userData = await storage.profile.get();
+    if (userData) {
+      const stats = userData.stats || {};
+      // Update user info
+      document.getElementById('user-email').textContent = userData.email || 'User';
+      if (userData.createdAt) {
+        const date = userData.createdAt;
+        document.getElementById('member-date').textContent = date.toLocaleDateString();
+      }
+      // Update stats with animation
+      animateValue('streak-value', 0, stats.streak || 0, 1000);
+      const freezes = document.getElementById('streak-freezes');
+      if (freezes) {
+        freezes.textContent = streakSettings.freezesEnabled && stats.freezeTokens > 0 ? `🧊 ${stats.freezeTokens}` : '';
+      }
+      animateValue('messages-value', 0, stats.totalMessages || 0, 1000);
+      animateValue('sessions-value', 0, stats.totalSessions || 0, 1000);
+      // Convert minutes to hours and minutes
+      const totalMinutes = stats.minutesLearned || 0;
+      const hours = Math.floor(totalMinutes / 60);
+      const minutes = totalMinutes % 60;
+      document.getElementById('hours-value').textContent = hours;
+      document.getElementById('minutes-value').textContent = minutes;
+      // Progress bars follow the learning goals of the language being practised
+      const { progress } = await loadGoalProgress(currentActiveLanguage);
+      updateProgressBars(progress);
+      renderGoalsSection(currentActiveLanguage, progress);
+    }
+  } catch (error) {
+    console.error('Error loading dashboard:', error);
+  }
+}
+
+// Animate number counting
+function animateValue(id, start, end, duration) {
+  const element = document.getElementById(id);
+  if (!element) return;
+  const range = end - start;
+  const increment = range / (duration / 16);
+  let current = start;
+  const timer = setInterval(() => {
+    current += increment;
+    if (current >= end) {
+      element.textContent = end;
+      clearInterval(timer);
+    } else {
+      element.textContent = Math.floor(current);
+    }
+  }, 16);
+}
+
+// Update progress bars from goal progress (see LEARNING GOALS): the streak
+// card shows today's goal, messages and time today's targets, sessions the week
+function updateProgressBars(progress) {
+  const dailyMetric = id => progress.daily.metrics.find(metric => metric.id === id);
+  const bars = [
+    ['streak-progress', progress.daily.percent, `Today's goal: ${Math.round(progress.daily.percent)}%`],
+    ['messages-progress', dailyMetric('messages').percent, describeGoalMetric(dailyMetric('messages'), 'messages today')],
+    ['time-progress', dailyMetric('minutes').percent, describeGoalMetric(dailyMetric('minutes'), 'minutes today')],
+    ['sessions-progress', progress.weekly.percent, `This week's goal: ${Math.round(progress.weekly.percent)}%`]
+  ];
+  bars.forEach(([id, percent, title]) => {
+    const bar = document.getElementById(id);
+    if (!bar) return;
+    bar.style.width = percent + '%';
+    bar.parentElement.title = title;
+  });
+}
+
+function describeGoalMetric(metric, label) {
+  return metric.target > 0 ? `${metric.done}/${metric.target} ${label}` : `No goal set for ${label}`;
+}
+
+// ====== ACHIEVEMENTS ======
+// Achievements are data: each one names a metric and the value that unlocks
+// it. A metric says which data it needs (sources) and which app events can move
+// it (triggers), so a message only re-checks message achievements. Unlocks are
+// kept in the profile under achievements.{id} with their unlock time.
+//
+// Event-driven checks are debounced, and the totals that would otherwise need
+// the whole activity history (reviews, languages practised) are loaded once and
+// then kept current from the events themselves. Opening the gallery reloads
+// everything, which also corrects any drift.
+
+// Loaded once per user and updated in place from app events (see below)
+const CACHED_ACHIEVEMENT_SOURCES = ['reviewTotal', 'practisedLanguages'];
+
+const ACHIEVEMENT_SOURCES = {
+  profile: () => storage.profile.get().then(profile => profile || {}),
+  vocabulary: () => storage.vocabulary.listAll(),
+  summaries: () => storage.summaries.listRecent(),
+  activity: () => loadActivityByDay(new Date(0)),
+  reviewTotal: async () => Object.values(await loadActivityByDay(new Date(0)))
+    .reduce((sum, day) => sum + (day.reviews || 0), 0),
+  // Languages with any recorded practice or a saved summary
+  practisedLanguages: async () => {
+    const [activity, summaries] = await Promise.all([loadActivityByDay(new Date(0)), storage.summaries.listRecent()]);
+    return new Set([
+      ...Object.values(activity).flatMap(day => Object.keys(day.languages || {})),
+      ...summaries.map(summary => summary.language)
+    ].filter(language => language && language !== 'Unknown'));
+  }
+};
+
+// Triggers: 'messages', 'minutes', 'reviews', 'words' (activity kinds), 'summary', 'streak', 'goal',
+// 'vocabularyUsed' and 'language' (a language practised for the first time)
+const ACHIEVEMENT_METRICS = {
+  messages: { sources: ['profile'], triggers: ['messages'], value: data => data.profile.stats?.totalMessages || 0 },
+  minutes: { sources: ['profile'], triggers: ['minutes'], value: data => data.profile.stats?.minutesLearned || 0 },
+  streak: { sources: ['profile'], triggers: ['streak'], value: data => data.profile.stats?.streak || 0 },
+  vocabulary: { sources: ['vocabulary'], triggers: ['words'], value: data => data.vocabulary.length },
+  activeVocabulary: {
+    sources: ['vocabulary'],
+    triggers: ['vocabularyUsed', 'words'],
+    value: data => data.vocabulary.filter(item => item.isActive).length
+  },
+  reviews: { sources: ['reviewTotal'], triggers: ['reviews'], value: data => data.reviewTotal },
+  summaries: { sources: ['summaries'], triggers: ['summary'], value: data => data.summaries.length },
+  languages: { sources: ['practisedLanguages'], triggers: ['language'], value: data => data.practisedLanguages.size },
+  goalDays: {
+    sources: ['activity'],
+    triggers: ['goal'],
+    value: data => Object.values(data.activity)
+      .filter(day => Object.values(day.goalsMet || {}).some(met => met.daily)).length
+  }
+};
+
+const ACHIEVEMENT_CATEGORIES = ['Conversation', 'Consistency', 'Vocabulary', 'Study'];
+
+const ACHIEVEMENTS = [
+  { id: 'first-steps', icon: '🌟', name: 'First Steps', description: 'Send your first message', category: 'Conversation', metric: 'messages', threshold: 1 },
+  { id: 'conversation-starter', icon: '💬', name: 'Conversation Starter', description: 'Send 10 messages', category: 'Conversation', metric: 'messages', threshold: 10 },
+  { id: 'century', icon: '💯', name: 'Century Club', description: 'Send 100 messages', category: 'Conversation', metric: 'messages', threshold: 100 },
+  { id: 'chatterbox', icon: '🗣️', name: 'Chatterbox', description: 'Send 1,000 messages', category: 'Conversation', metric: 'messages', threshold: 1000 },
+  { id: 'polyglot', icon: '🌐', name: 'Polyglot', description: 'Practice 3 languages', category: 'Conversation', metric: 'languages', threshold: 3 },
+  { id: 'week-warrior', icon: '🔥', name: 'Week Warrior', description: '7 day streak', category: 'Consistency', metric: 'streak', threshold: 7 },
+  { id: 'monthly-habit', icon: '📅', name: 'Monthly Habit', description: '30 day streak', category: 'Consistency', metric: 'streak', threshold: 30 },
+  { id: 'goal-getter', icon: '🎯', name: 'Goal Getter', description: 'Meet a daily goal', category: 'Consistency', metric: 'goalDays', threshold: 1 },
+  { id: 'on-target', icon: '🏹', name: 'On Target', description: 'Meet your daily goal on 10 days', category: 'Consistency', metric: 'goalDays', threshold: 10 },
+  { id: 'word-collector', icon: '📚', name: 'Word Collector', description: 'Learn 50 words and phrases', category: 'Vocabulary', metric: 'vocabulary', threshold: 50 },
+  { id: 'walking-dictionary', icon: '📖', name: 'Walking Dictionary', description: 'Learn 250 words and phrases', category: 'Vocabulary', metric: 'vocabulary', threshold: 250 },
+  { id: 'in-your-own-words', icon: '✍️', name: 'In Your Own Words', description: 'Use 25 learned words in conversation', category: 'Vocabulary', metric: 'activeVocabulary', threshold: 25 },
+  { id: 'dedicated-learner', icon: '⏰', name: 'Dedicated Learner', description: 'Study for 60 minutes', category: 'Study', metric: 'minutes', threshold: 60 },
+  { id: 'ten-hours', icon: '⌛', name: 'Ten Hours In', description: 'Study for 10 hours', category: 'Study', metric: 'minutes', threshold: 600 },
+  { id: 'card-shark', icon: '🃏', name: 'Card Shark', description: 'Review 100 flashcards', category: 'Study', metric: 'reviews', threshold: 100 },
+  { id: 'reflective', icon: '📝', name: 'Reflective Learner', description: 'Save 5 conversation summaries', category: 'Study', metric: 'summaries', threshold: 5 }
+];
+
+let unlockedAchievements = {}; // id -> { unlockedAt }, from the profile
+let achievementCheck = Promise.resolve(); // checks run one at a time so nothing unlocks twice
+let achievementCache = {}; // cached source id -> value, see CACHED_ACHIEVEMENT_SOURCES
+let pendingAchievementTriggers = new Set();
+let achievementCheckTimer = null;
+const ACHIEVEMENT_CHECK_DELAY = 2000;
+
+// Check the locked achievements a trigger can affect ('all' checks every one,
+// straight away and from fresh data). Resolves with the current value of each
+// metric that was computed.
+function evaluateAchievements(trigger = 'all') {
+  const run = achievementCheck.then(() => runAchievementCheck(trigger === 'all' ? 'all' : [trigger]));
+  achievementCheck = run.catch(error => console.error('Error checking achievements:', error));
+  return run;
+}
+
+// Collect event triggers and check them together once things settle, so a burst
+// of messages or graded cards costs one check
+function queueAchievementCheck(trigger) {
+  pendingAchievementTriggers.add(trigger);
+  if (achievementCheckTimer) return;
+  achievementCheckTimer = setTimeout(() => {
+    achievementCheckTimer = null;
+    const triggers = [...pendingAchievementTriggers];
+    pendingAchievementTriggers = new Set();
+    achievementCheck = achievementCheck
+      .then(() => runAchievementCheck(triggers))
+      .catch(error => console.error('Error checking achievements:', error));
+  }, ACHIEVEMENT_CHECK_DELAY);
+}
+
+// Forget cached totals and queued checks (sign-out)
+function resetAchievementState() {
+  achievementCache = {};
+  pendingAchievementTriggers = new Set();
+  clearTimeout(achievementCheckTimer);
+  achievementCheckTimer = null;
+}
+
+async function loadAchievementSource(sourceId, fresh) {
+  if (!CACHED_ACHIEVEMENT_SOURCES.includes(sourceId)) {
+    return ACHIEVEMENT_SOURCES[sourceId]();
+  }
+  if (fresh || !(sourceId in achievementCache)) {
+    achievementCache[sourceId] = await ACHIEVEMENT_SOURCES[sourceId]();
+  }
+  return achievementCache[sourceId];
+}
+
+// triggers: 'all' or a list of triggers
+async function runAchievementCheck(triggers) {
+  if (!storage || !window.auth.currentUser) return {};
+  const all = triggers === 'all';
+  const metricIds = new Set(ACHIEVEMENTS
+    .filter(achievement => all || !unlockedAchievements[achievement.id])
+    .map(achievement => achievement.metric)
+    .filter(metricId => all || ACHIEVEMENT_METRICS[metricId].triggers.some(trigger => triggers.includes(trigger))));
+  if (metricIds.size === 0) return {};
+
+  // Load each source once, and only the ones these metrics need
+  const sourceIds = new Set([...metricIds].flatMap(metricId => ACHIEVEMENT_METRICS[metricId].sources));
+  const data = {};
+  await Promise.all([...sourceIds].map(async sourceId => {
+    data[sourceId] = await loadAchievementSource(sourceId, all);
+  }));
+
+  const values = {};
+  metricIds.forEach(metricId => {
+    values[metricId] = ACHIEVEMENT_METRICS[metricId].value(data);
+  });
+
+  for (const achievement of ACHIEVEMENTS) {
+    if (unlockedAchievements[achievement.id] || !(achievement.metric in values)) continue;
+    if (values[achievement.metric] >= achievement.threshold) {
+      await unlockAchievement(achievement);
+    }
+  }
+  return values;
+}
+
+async function unlockAchievement(achievement) {
+  const unlock = { unlockedAt: new Date() };
+  unlockedAchievements[achievement.id] = unlock;
+  await storage.profile.update({ [`achievements.${achievement.id}`]: unlock });
+  showAchievementNotification(achievement);
+  emitAppEvent('achievement-unlocked', { id: achievement.id, unlockedAt: unlock.unlockedAt });
+}
+
+// Keep the cached totals current; a newly practised language is its own trigger
+function notePractisedLanguage(language) {
+  const languages = achievementCache.practisedLanguages;
+  if (!language || language === 'Unknown' || languages?.has(language)) return;
+  // Not loaded yet: the check loads it (once, while Polyglot is still locked)
+  languages?.add(language);
+  queueAchievementCheck('language');
+}
+
+// Re-check achievements when the progress they depend on moves
+onAppEvent('activity-recorded', ({ kind, language, amount }) => {
+  if (kind === 'reviews' && 'reviewTotal' in achievementCache) {
+    achievementCache.reviewTotal += amount;
+  }
+  notePractisedLanguage(language);
+  queueAchievementCheck(kind);
+});
+onAppEvent('summary-saved', ({ language }) => {
+  notePractisedLanguage(language);
+  queueAchievementCheck('summary');
+});
+onAppEvent('vocabulary-used', () => queueAchievementCheck('vocabularyUsed'));
+onAppEvent('streak-updated', () => queueAchievementCheck('streak'));
+onAppEvent('goal-met', () => queueAchievementCheck('goal'));
+
+// Dashboard gallery: every achievement, unlocked ones with their date and
+// locked ones with progress towards the threshold
+async function loadAchievements() {
+  try {
+    const values = await evaluateAchievements('all');
+    renderAchievementsGallery(values);
+  } catch (error) {
+    console.error('Error loading achievements:', error);
+  }
+}
+
+function renderAchievementsGallery(values) {
+  const container = document.getElementById('achievements-gallery');
+  if (!container) return;
+  const unlockedCount = ACHIEVEMENTS.filter(achievement => unlockedAchievements[achievement.id]).length;
+  const countLabel = document.getElementById('achievements-count');
+  if (countLabel) countLabel.textContent = `${unlockedCount}/${ACHIEVEMENTS.length} unlocked`;
+
+  container.innerHTML = ACHIEVEMENT_CATEGORIES.map(category => `
+    <div class="achievement-category">
+      <h4>${category}</h4>
+      <div class="achievements-grid">
+        ${ACHIEVEMENTS.filter(achievement => achievement.category === category).map(achievement => {
+          const unlock = unlockedAchievements[achievement.id];
+          const current = Math.min(values[achievement.metric] || 0, achievement.threshold);
+          return `
+            <div class="achievement ${unlock ? 'unlocked' : ''}" data-id="${achievement.id}" data-achieved="${Boolean(unlock)}">
+              <div class="achievement-icon">${achievement.icon}</div>
+              <div class="achievement-name">${achievement.name}</div>
+              <div class="achievement-desc">${achievement.description}</div>
+              ${unlock
+                ? `<div class="achievement-progress">Unlocked ${new Date(unlock.unlockedAt).toLocaleDateString()}</div>`
+                : `<div class="achievement-progress">${current}/${achievement.threshold}</div>
+                   <div class="achievement-bar"><div class="achievement-bar-fill" style="width: ${current / achievement.threshold * 100}%"></div></div>`}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Show achievement notification
+function showAchievementNotification(achievement) {
+  const notification = document.createElement('div');
+  notification.className = 'achievement-notification';
+  notification.innerHTML = `
+    <div class="notification-content">
+      ${achievement.icon} Achievement Unlocked!
+      <strong>${escapeHTML(achievement.name)}</strong>
+    </div>
+  `;
+  document.body.appendChild(notification);
+  setTimeout(() => {
+    notification.classList.add('show');
+  }, 100);
+  setTimeout(() => {
+    notification.remove();
+  }, 3000);
+}
+
+// Load language statistics
+async function loadLanguageStats() {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    const conversations = await storage.messages.listAll();
+    const languageCounts = {};
+    conversations.forEach(msg => {
+      const lang = msg.language || 'Unknown';
+      languageCounts[lang] = (languageCounts[lang] || 0) + 1;
+    });
+    const languageFlags = {
+      'Spanish': '🇪🇸',
+      'French': '🇫🇷',
+      'German': '🇩🇪',
+      'Italian': '🇮🇹',
+      'Portuguese': '🇵🇹',
+      'Japanese': '🇯🇵',
+      'Korean': '🇰🇷',
+      'Chinese': '🇨🇳'
+    };
+    const container = document.getElementById('language-stats');
+    container.innerHTML = '';
+    // Languages with a placement level but no messages yet are listed too
+    Object.keys(userLevels).forEach(lang => {
+      languageCounts[lang] = languageCounts[lang] || 0;
+    });
+    Object.entries(languageCounts).forEach(([lang, count]) => {
+      const level = getLanguageLevel(lang);
+      const stat = document.createElement('div');
+      stat.className = 'language-stat';
+      stat.innerHTML = `
+        <div class="language-flag">${languageFlags[lang] || '🌐'}</div>
+        <div class="language-name">${lang}</div>
+        <div class="language-count">${count} messages</div>
+        <button class="language-level ${level ? '' : 'unset'}" onclick="openPlacementTest('${lang}')" title="${level ? 'Retake the placement test' : 'Take the placement test'}">${level || 'Set level'}</button>
+      `;
+      container.appendChild(stat);
+    });
+  } catch (error) {
+    console.error('Error loading language stats:', error);
+  }
+}
+
+// Load favorite phrases
+async function loadFavorites() {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    const favorites = await storage.favorites.listRecent(10);
+    const container = document.getElementById('favorites-list');
+    if (favorites.length === 0) {
+      container.innerHTML = '<div class="empty-state"><p>No saved phrases yet. Click the ⭐ on any message to save it!</p></div>';
+      return;
+    }
+    container.innerHTML = '';
+    favorites.forEach(data => {
+      const item = document.createElement('div');
+      item.className = 'favorite-item';
+      item.innerHTML = `
+        <div class="favorite-content">
+          <div class="favorite-phrase">${renderMarkdown(data.phrase)}</div>
+          <div class="favorite-translation">${renderInlineMarkdown(data.translation || '')}</div>
+        </div>
+        <div class="favorite-meta">
+          <span class="favorite-language">${escapeHTML(data.language || '')}</span>
+          <button class="shadow-btn" title="Shadow this phrase">🔁</button>
+          <button class="remove-btn" title="Remove">🗑️</button>
+        </div>
+      `;
+      item.querySelector('.shadow-btn').addEventListener('click', () => shadowFavorite(data));
+      item.querySelector('.remove-btn').addEventListener('click', () => removeFavorite(data.id));
+      container.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading favorites:', error);
+  }
+}
+
+// Heatmap ranges for the Recent Activity section
+const ACTIVITY_RANGES = {
+  week: { days: 7 },
+  month: { days: 30 },
+  year: { days: 365 }
+};
+let activityChartRange = 'week';
+
+function setActivityRange(range) {
+  activityChartRange = range;
+  loadActivityChart();
+}
+
+// One number per day for the heatmap colour: minutes count as much as messages
+function getActivityScore(activity) {
+  if (!activity) return 0;
+  return (activity.messages || 0) + (activity.minutes || 0) + (activity.reviews || 0) + (activity.words || 0);
+}
+
+function describeActivity(date, activity) {
+  const label = date.toLocaleDateString();
+  if (!activity) return `${label}: no activity`;
+  const languages = Object.entries(activity.languages || {})
+    .map(([language, counts]) => `${language} ${ACTIVITY_KINDS.map(kind => counts[kind] ? `${counts[kind]} ${kind}` : '').filter(Boolean).join(', ')}`);
+  return `${label}: ${activity.messages || 0} messages · ${activity.minutes || 0} min · ${activity.reviews || 0} reviews · ${activity.words || 0} words` +
+    (languages.length > 0 ? `\n${languages.join('\n')}` : '');
+}
+
+// Activity heatmap for the last 7 days, 30 days or year
+async function loadActivityChart(range = activityChartRange) {
+  if (!storage || !window.auth.currentUser) return;
+  const container = document.getElementById('activity-chart');
+  if (!container) return;
+  
+  document.querySelectorAll('.activity-range-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.range === range);
+  });
+  
+  const days = ACTIVITY_RANGES[range].days;
+  const since = getLearningDay();
+  since.setDate(since.getDate() - (days - 1));
+  
+  try {
+    const activityByDay = await loadActivityByDay(since);
+    
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since);
+      date.setDate(since.getDate() + i);
+      dates.push(date);
+    }
+    const maxScore = Math.max(1, ...dates.map(date => getActivityScore(activityByDay[getDateKey(date)])));
+    
+    container.className = `activity-chart activity-heatmap range-${range}`;
+    container.innerHTML = '';
+    
+    // Longer ranges are drawn as week columns (Sunday on top), so pad the first week
+    if (range !== 'week') {
+      for (let i = 0; i < dates[0].getDay(); i++) {
+        const spacer = document.createElement('div');
+        spacer.className = 'activity-day empty';
+        container.appendChild(spacer);
+      }
+    }
+    
+    const totals = { activeDays: 0, messages: 0, minutes: 0, reviews: 0, words: 0 };
+    dates.forEach(date => {
+      const activity = activityByDay[getDateKey(date)];
+      const score = getActivityScore(activity);
+      const day = document.createElement('div');
+      day.className = 'activity-day';
+      if (score > 0) {
+        day.classList.add('active', `level-${Math.ceil(score / maxScore * 4)}`);
+        totals.activeDays++;
+        ACTIVITY_KINDS.forEach(kind => {
+          totals[kind] += activity[kind] || 0;
+        });
+      }
+      day.title = describeActivity(date, activity);
+      container.appendChild(day);
+    });
+    
+    const summary = document.getElementById('activity-summary');
+    if (summary) {
+      summary.textContent = `Active ${totals.activeDays} of ${days} days · ${totals.messages} messages · ${totals.minutes} min · ${totals.reviews} reviews · ${totals.words} new words`;
+    }
+  } catch (error) {
+    console.error('Error loading activity chart:', error);
+  }
+}
+
+// Load cards reviewed per day (last 7 days)
+async function loadReviewChart() {
+  if (!storage || !window.auth.currentUser) return;
+  const container = document.getElementById('review-chart');
+  if (!container) return;
+  
+  try {
+    // One extra day, as the learner's timezone can be behind the device's
+    const since = getLearningDay();
+    since.setDate(since.getDate() - 7);
+    
+    const reviews = await storage.reviews.listSince(since);
+    
+    const countsByDay = {};
+    reviews.forEach(review => {
+      countsByDay[review.day] = (countsByDay[review.day] || 0) + 1;
+    });
+    
+    const days = [];
+    for (let i = 6; i >= 0; i--) {
+      const date = getLearningDay();
+      date.setDate(date.getDate() - i);
+      days.push({ date, count: countsByDay[getDateKey(date)] || 0 });
+    }
+    const maxCount = Math.max(1, ...days.map(day => day.count));
+    
+    container.innerHTML = days.map(day => `
+      <div class="review-chart-day" title="${day.date.toLocaleDateString()}: ${day.count} cards">
+        <div class="review-chart-count">${day.count}</div>
+        <div class="review-chart-bar" style="height: ${Math.round(day.count / maxCount * 100)}%"></div>
+        <div class="review-chart-label">${day.date.toLocaleDateString([], { weekday: 'short' })}</div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading review chart:', error);
+  }
+}
+
+// ====== EXPORT CENTER ======
+// Take vocabulary, saved phrases, transcripts and summaries out of the app:
+// Anki-importable TSV (Anki reads the deck and tag columns from the file
+// header, so no .apkg is needed), CSV for spreadsheets, Markdown study notes
+// and a full JSON backup.
+
+const EXPORT_FORMATS = [
+  { id: 'vocabulary-anki', icon: '🃏', title: 'Vocabulary → Anki', description: 'One note per learned word, with deck and tags' },
+  { id: 'favorites-anki', icon: '⭐', title: 'Saved phrases → Anki', description: 'One note per saved phrase, with deck and tags' },
+  { id: 'vocabulary-csv', icon: '📊', title: 'Vocabulary (CSV)', description: 'Words with translations and review progress' },
+  { id: 'favorites-csv', icon: '📊', title: 'Saved phrases (CSV)', description: 'Phrases with translations and dates' },
+  { id: 'transcripts-markdown', icon: '💬', title: 'Transcripts (Markdown)', description: 'Conversations by language and day' },
+  { id: 'transcripts-csv', icon: '💬', title: 'Transcripts (CSV)', description: 'One row per message' },
+  { id: 'study-notes', icon: '📝', title: 'Study notes (Markdown)', description: 'Takeaways, phrases and grammar grouped by summary' },
+  { id: 'backup-json', icon: '💾', title: 'Full backup (JSON)', description: 'Everything above in one file' }
+];
+
+const EXPORT_BACKUP_VERSION = 1;
+
+function openExportCenter() {
+  const languages = Object.keys(LANGUAGE_CODES).filter(language => language !== 'English');
+  const modalHTML = `
+    <div id="export-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>📦 Export Center</h3>
+          <button class="btn-close" onclick="closeExportCenter()">✖</button>
+        </div>
+        <div class="summary-content">
+          <div class="export-options">
+            <label>Language
+              <select id="export-language">
+                <option value="all">All languages</option>
+                ${languages.map(language => `<option value="${language}">${language}</option>`).join('')}
+              </select>
+            </label>
+            <label class="export-checkbox">
+              <input type="checkbox" id="export-translate">
+              Fill in missing translations and readings (uses the AI)
+            </label>
+          </div>
+          <div class="export-list">
+            ${EXPORT_FORMATS.map(format => `
+              <button class="export-card" onclick="runExport('${format.id}')">
+                <span class="export-icon">${format.icon}</span>
+                <span class="export-title">${format.title}</span>
+                <span class="export-description">${format.description}</span>
+              </button>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  closeExportCenter();
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function closeExportCenter() {
+  const modal = document.getElementById('export-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function runExport(formatId) {
+  if (!storage || !window.auth.currentUser) {
+    showNotification('Please sign in to export your data');
+    return;
+  }
+  const language = document.getElementById('export-language')?.value || 'all';
+  const fillTranslations = document.getElementById('export-translate')?.checked || false;
+
+  try {
+    showNotification('📦 Preparing export...');
+    const data = await collectExportData(language);
+    if (fillTranslations && formatId !== 'backup-json') {
+      await fillMissingTranslations(data);
+    }
+    const file = buildExportFile(formatId, data);
+    downloadFile(file.filename, file.content, file.type);
+    showNotification(`✅ Exported ${file.filename}`);
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    showNotification('❌ Export failed. Please try again.');
+  }
+}
+
+// Load every collection the exports use, limited to one language unless 'all'
+async function collectExportData(language) {
+  const [profile, vocabulary, favorites, messages, summaries, grammarNotes] = await Promise.all([
+    storage.profile.get(),
+    storage.vocabulary.listAll(),
+    storage.favorites.listRecent(),
+    storage.messages.listAll(),
+    storage.summaries.listRecent(),
+    storage.grammarNotes.listAll()
+  ]);
+  const inLanguage = item => language === 'all' || item.language === language;
+  const getTime = value => (value ? new Date(value).getTime() : 0);
+  const byTime = field => (a, b) => getTime(a[field]) - getTime(b[field]);
+
+  return {
+    language: language,
+    exportedAt: new Date(),
+    profile: profile || {},
+    vocabulary: vocabulary.filter(inLanguage).sort(byTime('learnedAt')),
+    favorites: favorites.filter(inLanguage),
+    messages: messages.filter(inLanguage).sort(byTime('timestamp')),
+    summaries: summaries.filter(inLanguage),
+    grammarNotes: grammarNotes.filter(inLanguage).sort(byTime('createdAt'))
+  };
+}
+
+// Translate cards saved without one and keep the translation, as review does.
+// Japanese and Chinese cards without readings get them too.
+async function fillMissingTranslations(data) {
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  const sources = [['vocabulary', data.vocabulary], ['favorites', data.favorites]];
+  for (const [repositoryName, items] of sources) {
+    for (const item of items) {
+      if (!item.phrase) continue;
+      if (!item.translation) {
+        try {
+          item.translation = await translatePhrase(markdownToPlainText(item.phrase), item.language, nativeLanguage);
+          await storage[repositoryName].update(item.id, { translation: item.translation });
+        } catch (error) {
+          console.error('Error translating for export:', error);
+        }
+      }
+      if (!item.readings && isReadingLanguage(item.language)) {
+        try {
+          await getItemReadingLine(item, repositoryName, item.language);
+        } catch (error) {
+          console.error('Error loading readings for export:', error);
+        }
+      }
+    }
+  }
+}
+
+// Reading line for an exported item, from readings it already has (no AI calls)
+function getExportReading(item) {
+  const language = item.language;
+  if (!isReadingLanguage(language) || !item.phrase) return '';
+  if (language !== 'Korean' && !Array.isArray(item.readings)) return '';
+  const segments = language === 'Korean' ? getKoreanSegments(markdownToPlainText(item.phrase)) : item.readings;
+  return formatReadingLine(segments, language, getExportReadingMode(language));
+}
+
+function buildExportFile(formatId, data) {
+  const name = `language-buddy-${data.language === 'all' ? 'all' : data.language.toLowerCase()}`;
+  const day = getDateKey(data.exportedAt);
+  switch (formatId) {
+    case 'vocabulary-anki':
+      return { filename: `${name}-vocabulary-anki-${day}.txt`, type: 'text/tab-separated-values', content: buildAnkiDeck(data.vocabulary, 'vocabulary') };
+    case 'favorites-anki':
+      return { filename: `${name}-phrases-anki-${day}.txt`, type: 'text/tab-separated-values', content: buildAnkiDeck(data.favorites, 'saved-phrase') };
+    case 'vocabulary-csv':
+      return { filename: `${name}-vocabulary-${day}.csv`, type: 'text/csv', content: buildVocabularyCSV(data.vocabulary) };
+    case 'favorites-csv':
+      return { filename: `${name}-phrases-${day}.csv`, type: 'text/csv', content: buildFavoritesCSV(data.favorites) };
+    case 'transcripts-markdown':
+      return { filename: `${name}-transcripts-${day}.md`, type: 'text/markdown', content: buildTranscriptMarkdown(data.messages) };
+    case 'transcripts-csv':
+      return { filename: `${name}-transcripts-${day}.csv`, type: 'text/csv', content: buildTranscriptCSV(data.messages) };
+    case 'study-notes':
+      return { filename: `${name}-study-notes-${day}.md`, type: 'text/markdown', content: buildStudyNotes(data.summaries) };
+    case 'backup-json':
+      return { filename: `${name}-backup-${day}.json`, type: 'application/json', content: buildBackupJSON(data) };
+    default:
+      throw new Error(`Unknown export format: ${formatId}`);
+  }
+}
+
+function formatExportDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+// ---- Anki ----
+
+// Anki tags can't contain spaces
+function toAnkiTag(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Fields are HTML (the file header says so), so tabs and newlines can't break a row
+function toAnkiField(text) {
+  return escapeHTML(markdownToPlainText(text || '')).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+function buildAnkiDeck(items, kind) {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    '#columns:Front\tBack\tDeck\tTags',
+    '#deck column:3',
+    '#tags column:4'
+  ];
+  items.forEach(item => {
+    const tags = ['language-buddy', toAnkiTag(item.language || 'unknown'), kind];
+    if (item.isActive) tags.push('active');
+    const reading = getExportReading(item);
+    lines.push([
+      toAnkiField(item.phrase),
+      (reading ? `${toAnkiField(reading)}<br>` : '') + toAnkiField(item.translation),
+      `Language Buddy::${item.language || 'Unknown'}`,
+      tags.join(' ')
+    ].join('\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// ---- CSV ----
+
+function toCSV(header, rows) {
+  const quote = value => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  // The BOM makes Excel read accented characters as UTF-8
+  return '\uFEFF' + [header, ...rows].map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildVocabularyCSV(vocabulary) {
+  return toCSV(
+    ['phrase', 'reading', 'translation', 'language', 'learned_at', 'usage_count', 'active', 'due_at', 'reviews'],
+    vocabulary.map(item => [
+      item.phrase,
+      getExportReading(item),
+      item.translation || '',
+      item.language,
+      formatExportDate(item.learnedAt),
+      item.usageCount || 0,
+      item.isActive ? 'yes' : 'no',
+      formatExportDate(item.dueAt),
+      item.repetitions || 0
+    ])
+  );
+}
+
+function buildFavoritesCSV(favorites) {
+  return toCSV(
+    ['phrase', 'reading', 'translation', 'language', 'from', 'saved_at'],
+    favorites.map(item => [
+      markdownToPlainText(item.phrase),
+      getExportReading(item),
+      item.translation || '',
+      item.language,
+      item.sender === 'user' ? 'you' : 'tutor',
+      formatExportDate(item.savedAt)
+    ])
+  );
+}
+
+function buildTranscriptCSV(messages) {
+  return toCSV(
+    ['time', 'language', 'from', 'message'],
+    messages.map(msg => [
+      formatExportDate(msg.timestamp),
+      msg.language,
+      msg.sender === 'user' ? 'you' : 'tutor',
+      markdownToPlainText(msg.message)
+    ])
+  );
+}
+
+// ---- Markdown ----
+
+function buildTranscriptMarkdown(messages) {
+  let content = '# Conversation transcripts\n\n';
+  content += `_Exported from Language Buddy on ${new Date().toLocaleDateString()}_\n`;
+  if (messages.length === 0) {
+    return content + '\nNo conversations yet.\n';
+  }
+
+  const languages = [...new Set(messages.map(msg => msg.language))];
+  languages.forEach(language => {
+    content += `\n## ${language}\n`;
+    let currentDay = null;
+    messages.filter(msg => msg.language === language).forEach(msg => {
+      const time = msg.timestamp ? new Date(msg.timestamp) : null;
+      const day = time ? time.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) : 'Undated';
+      if (day !== currentDay) {
+        content += `\n### ${day}\n\n`;
+        currentDay = day;
+      }
+      const speaker = msg.sender === 'user' ? 'You' : 'Tutor';
+      const clock = time ? ` (${time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})` : '';
+      content += `**${speaker}**${clock}: ${String(msg.message || '').replace(/\n/g, '  \n')}\n\n`;
+    });
+  });
+  return content;
+}
+
+function buildStudyNotes(summaries) {
+  let content = '# Study notes\n\n';
+  content += `_Exported from Language Buddy on ${new Date().toLocaleDateString()}_\n`;
+  if (summaries.length === 0) {
+    return content + '\nNo summaries yet. Generate one from the dashboard after a conversation.\n';
+  }
+
+  const section = (title, items) => (items && items.length > 0)
+    ? `\n### ${title}\n\n${items.map(item => `- ${item}`).join('\n')}\n`
+    : '';
+
+  summaries.forEach(summary => {
+    const date = summary.timestamp ? new Date(summary.timestamp).toLocaleDateString() : 'Unknown date';
+    const title = summary.type === 'roleplay'
+      ? `${summary.language} · ${date} · 🎭 ${summary.scenarioTitle} (${summary.score}%)`
+      : `${summary.language} · ${date}`;
+    content += `\n## ${title}\n\n`;
+    content += `${summary.messageCount || 0} messages`;
+    if (summary.estimatedLevel) content += ` · estimated level ${summary.estimatedLevel}`;
+    content += '\n';
+    if (summary.objectives) {
+      content += section('Objectives', summary.objectives.map(objective =>
+        `${objective.completed ? '✅' : '⬜'} ${objective.objective}${objective.note ? ` - ${objective.note}` : ''}`));
+    }
+    content += section('Key takeaways', summary.takeaways);
+    content += section('New phrases', summary.newPhrases);
+    content += section('Grammar points', summary.grammarPoints);
+    content += section('Recommendations', summary.recommendations);
+  });
+  return content;
+}
+
+// ---- JSON ----
+
+function buildBackupJSON(data) {
+  const backup = {
+    app: 'language-buddy',
+    version: EXPORT_BACKUP_VERSION,
+    exportedAt: data.exportedAt,
+    language: data.language,
+    profile: {
+      stats: data.profile.stats || {},
+      preferences: data.profile.preferences || {},
+      levels: data.profile.levels || {}
+    },
+    vocabulary: data.vocabulary,
+    favorites: data.favorites,
+    conversations: data.messages,
+    summaries: data.summaries,
+    grammarNotes: data.grammarNotes
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+}
+
+// ====== VOCABULARY IMPORT ======
+// Bring existing word lists in from CSV/TSV files or Anki "Notes in Plain Text"
+// exports. Columns are mapped to phrase/translation/language, rows already in
+// the collection (same phrase and language, ignoring case) are skipped, and new
+// words are written in chunks as passive vocabulary with a fresh review schedule.
+
+const IMPORT_SETTINGS = {
+  chunkSize: 200,
+  previewRows: 20,
+  maxPhraseLength: 200
+};
+
+const IMPORT_FIELDS = ['phrase', 'translation', 'language'];
+
+// Header names we recognise for each field (lowercase)
+const IMPORT_HEADER_NAMES = {
+  phrase: ['phrase', 'front', 'word', 'term', 'expression', 'vocabulary', 'text'],
+  translation: ['translation', 'back', 'meaning', 'definition', 'english'],
+  language: ['language', 'lang', 'deck']
+};
+
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+let importDraft = null;
+
+function openVocabularyImport() {
+  const languages = Object.keys(LANGUAGE_CODES).filter(language => language !== 'English');
+  const modalHTML = `
+    <div id="import-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>📂 Import Vocabulary</h3>
+          <button class="btn-close" onclick="closeVocabularyImport()">✖</button>
+        </div>
+        <div class="summary-content">
+          <p class="import-hint">CSV or TSV with one word per row, or an Anki export (File → Export → Notes in Plain Text).</p>
+          <div class="import-options">
+            <input type="file" id="import-file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain" onchange="handleImportFile(this.files[0])">
+            <label>Language for rows without one
+              <select id="import-language" onchange="refreshImportPreview()">
+                ${languages.map(language => `<option value="${language}" ${language === currentActiveLanguage ? 'selected' : ''}>${language}</option>`).join('')}
+              </select>
+            </label>
+          </div>
+          <div id="import-mapping" class="import-mapping"></div>
+          <div id="import-preview" class="import-preview"></div>
+          <div class="import-actions">
+            <button class="btn-small" onclick="closeVocabularyImport()">Cancel</button>
+            <button id="import-confirm" class="btn-small btn-primary" onclick="confirmVocabularyImport()" disabled>Import</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  closeVocabularyImport();
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function closeVocabularyImport() {
+  importDraft = null;
+  const modal = document.getElementById('import-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function handleImportFile(file) {
+  if (!file) return;
+  if (!storage || !window.auth.currentUser) {
+    showNotification('Please sign in to import vocabulary');
+    return;
+  }
+  try {
+    const [text, existing] = await Promise.all([file.text(), storage.vocabulary.listAll()]);
+    importDraft = parseImportText(text);
+    importDraft.fileName = file.name;
+    importDraft.existingKeys = new Set(existing.map(item => getVocabularyKey(item.phrase, item.language)));
+    importDraft.mapping = guessImportMapping(importDraft);
+    renderImportMapping();
+    refreshImportPreview();
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    showNotification('❌ Could not read that file');
+  }
+}
+
+// Split a CSV/TSV/Anki text export into rows. Anki's "#key:value" header lines
+// give the separator, whether fields are HTML, column names and the deck column.
+function parseImportText(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const directives = {};
+  while (lines.length > 0 && /^#[\w ]+:/.test(lines[0])) {
+    const line = lines.shift();
+    const separatorIndex = line.indexOf(':');
+    directives[line.slice(1, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1);
+  }
+  const body = lines.join('\n');
+
+  const delimiter = directives.separator
+    ? (ANKI_SEPARATORS[directives.separator.trim().toLowerCase()] || directives.separator.trim()[0])
+    : detectDelimiter(body);
+  const rows = parseDelimitedRows(body, delimiter)
+    .filter(row => row.some(cell => cell.trim() !== ''));
+
+  const declaredColumns = directives.columns ? directives.columns.split(delimiter).map(name => name.trim()) : null;
+  const hasHeader = !declaredColumns && rows.length > 0 && looksLikeHeader(rows[0]);
+  const deckColumn = Number(directives['deck column']) || 0;
+
+  return {
+    rows: rows,
+    delimiter: delimiter,
+    html: directives.html === 'true',
+    hasHeader: hasHeader,
+    columns: declaredColumns || (hasHeader ? rows[0] : null),
+    deckColumn: deckColumn > 0 ? deckColumn - 1 : -1
+  };
+}
+
+// Pick whichever of tab, semicolon and comma splits the first line the most
+function detectDelimiter(text) {
+  const firstLine = text.split('\n').find(line => line.trim() !== '') || '';
+  const counts = ['\t', ';', ','].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+  return best.count > 0 ? best.delimiter : '\t';
+}
+
+// RFC 4180 style: "quoted" fields may contain the delimiter, newlines and "" quotes
+function parseDelimitedRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function looksLikeHeader(row) {
+  const names = Object.values(IMPORT_HEADER_NAMES).flat();
+  return row.some(cell => names.includes(cell.trim().toLowerCase()));
+}
+
+function guessImportMapping(draft) {
+  const mapping = { phrase: 0, translation: -1, language: draft.deckColumn };
+  const columnCount = Math.max(0, ...draft.rows.map(row => row.length));
+  if (columnCount > 1) mapping.translation = 1;
+
+  if (draft.columns) {
+    const names = draft.columns.map(name => name.trim().toLowerCase());
+    IMPORT_FIELDS.forEach(field => {
+      const index = names.findIndex(name => IMPORT_HEADER_NAMES[field].includes(name));
+      if (index !== -1) mapping[field] = index;
+    });
+  }
+  return mapping;
+}
+
+function renderImportMapping() {
+  const container = document.getElementById('import-mapping');
+  if (!container || !importDraft) return;
+
+  const columnCount = Math.max(0, ...importDraft.rows.map(row => row.length));
+  const columnLabel = index => (importDraft.columns && importDraft.columns[index])
+    ? `${index + 1}: ${importDraft.columns[index]}`
+    : `Column ${index + 1}`;
+  const select = field => `
+    <label>${field.charAt(0).toUpperCase() + field.slice(1)}
+      <select id="import-map-${field}" onchange="updateImportMapping()">
+        ${field === 'phrase' ? '' : '<option value="-1">(none)</option>'}
+        ${Array.from({ length: columnCount }, (_, index) => `
+          <option value="${index}" ${importDraft.mapping[field] === index ? 'selected' : ''}>${escapeHTML(columnLabel(index))}</option>
+        `).join('')}
+      </select>
+    </label>
+  `;
+
+  container.innerHTML = `
+    ${IMPORT_FIELDS.map(select).join('')}
+    <label class="import-header-toggle">
+      <input type="checkbox" id="import-has-header" ${importDraft.hasHeader ? 'checked' : ''} onchange="updateImportMapping()">
+      First row is a header
+    </label>
+  `;
+}
+
+function updateImportMapping() {
+  if (!importDraft) return;
+  IMPORT_FIELDS.forEach(field => {
+    const select = document.getElementById(`import-map-${field}`);
+    if (select) importDraft.mapping[field] = Number(select.value);
+  });
+  const headerToggle = document.getElementById('import-has-header');
+  if (headerToggle) importDraft.hasHeader = headerToggle.checked;
+  refreshImportPreview();
+}
+
+// Anki fields may hold HTML and [sound:...] references
+function cleanImportField(value, isHTML) {
+  let text = String(value == null ? '' : value);
+  if (isHTML) {
+    text = text
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+  return text.replace(/\[sound:[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Accept "Spanish", "spanish", "es", "es-ES" or an Anki deck like
+// "Language Buddy::Spanish" or "Spanish Core 2k"
+function resolveImportLanguage(value) {
+  const text = String(value || '').split('::').pop().trim().toLowerCase();
+  if (!text) return null;
+  const languages = Object.keys(LANGUAGE_CODES);
+  return languages.find(language =>
+    language.toLowerCase() === text ||
+    LANGUAGE_CODES[language].toLowerCase() === text ||
+    LANGUAGE_CODES[language].slice(0, 2).toLowerCase() === text
+  ) || languages.find(language => text.split(/[^a-z]+/).includes(language.toLowerCase())) || null;
+}
+
+function getVocabularyKey(phrase, language) {
+  return `${language}|${String(phrase || '').trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Every data row with its import status: 'new', 'duplicate' or 'invalid'
+function buildImportCandidates(draft, defaultLanguage) {
+  const seen = new Set();
+  const rows = draft.hasHeader ? draft.rows.slice(1) : draft.rows;
+  const cell = (row, index) => (index >= 0 ? cleanImportField(row[index], draft.html) : '');
+
+  return rows.map(row => {
+    const phrase = cell(row, draft.mapping.phrase);
+    const translation = cell(row, draft.mapping.translation);
+    const languageCell = cell(row, draft.mapping.language);
+    const language = languageCell ? resolveImportLanguage(languageCell) : defaultLanguage;
+    const candidate = { phrase, translation, language, status: 'new', reason: '' };
+
+    if (!phrase) {
+      candidate.status = 'invalid';
+      candidate.reason = 'No phrase';
+    } else if (phrase.length > IMPORT_SETTINGS.maxPhraseLength) {
+      candidate.status = 'invalid';
+      candidate.reason = 'Too long';
+    } else if (!language) {
+      candidate.status = 'invalid';
+      candidate.reason = `Unknown language "${languageCell}"`;
+    } else {
+      const key = getVocabularyKey(phrase, language);
+      if (draft.existingKeys.has(key) || seen.has(key)) {
+        candidate.status = 'duplicate';
+        candidate.reason = draft.existingKeys.has(key) ? 'Already learned' : 'Repeated in file';
+      }
+      seen.add(key);
+    }
+    return candidate;
+  });
+}
+
+function refreshImportPreview() {
+  const container = document.getElementById('import-preview');
+  const confirmButton = document.getElementById('import-confirm');
+  if (!container || !importDraft) return;
+
+  const defaultLanguage = document.getElementById('import-language')?.value || currentActiveLanguage;
+  importDraft.candidates = buildImportCandidates(importDraft, defaultLanguage);
+  const count = status => importDraft.candidates.filter(candidate => candidate.status === status).length;
+  const newCount = count('new');
+
+  container.innerHTML = `
+    <div class="import-counts">
+      <span class="import-status new">${newCount} new</span>
+      <span class="import-status duplicate">${count('duplicate')} duplicates</span>
+      <span class="import-status invalid">${count('invalid')} skipped</span>
+    </div>
+    <table class="import-table">
+      <thead><tr><th>Phrase</th><th>Translation</th><th>Language</th><th></th></tr></thead>
+      <tbody>
+        ${importDraft.candidates.slice(0, IMPORT_SETTINGS.previewRows).map(candidate => `
+          <tr class="import-row ${candidate.status}">
+            <td>${escapeHTML(candidate.phrase)}</td>
+            <td>${escapeHTML(candidate.translation)}</td>
+            <td>${escapeHTML(candidate.language || '')}</td>
+            <td>${candidate.status === 'new' ? '✓' : escapeHTML(candidate.reason)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${importDraft.candidates.length > IMPORT_SETTINGS.previewRows
+      ? `<p class="import-hint">Showing ${IMPORT_SETTINGS.previewRows} of ${importDraft.candidates.length} rows from ${escapeHTML(importDraft.fileName)}</p>`
+      : ''}
+  `;
+
+  if (confirmButton) {
+    confirmButton.disabled = newCount === 0;
+    confirmButton.textContent = newCount > 0 ? `Import ${newCount} words` : 'Import';
+  }
+}
+
+async function confirmVocabularyImport() {
+  if (!importDraft || !importDraft.candidates || !storage) return;
+  if (storage.isRemote && !navigator.onLine) {
+    showNotification('📴 Connect to the internet to import vocabulary');
+    return;
+  }
+
+  const newWords = importDraft.candidates.filter(candidate => candidate.status === 'new');
+  const confirmButton = document.getElementById('import-confirm');
+  if (confirmButton) confirmButton.disabled = true;
+
+  let imported = 0;
+  try {
+    for (let i = 0; i < newWords.length; i += IMPORT_SETTINGS.chunkSize) {
+      const chunk = newWords.slice(i, i + IMPORT_SETTINGS.chunkSize).map(word => ({
+        phrase: word.phrase,
+        translation: word.translation || null,
+        language: word.language,
+        learnedAt: new Date(),
+        usageCount: 0,
+        lastUsed: null,
+        isActive: false,
+        source: 'import',
+        ...createReviewSchedule()
+      }));
+      await storage.vocabulary.addMany(chunk);
+      // Mark the saved words as learned so a retry after a failure skips them
+      chunk.forEach(word => importDraft.existingKeys.add(getVocabularyKey(word.phrase, word.language)));
+      imported += chunk.length;
+      if (confirmButton) confirmButton.textContent = `Imported ${imported}/${newWords.length}...`;
+    }
+  } catch (error) {
+    console.error('Error importing vocabulary:', error);
+    showNotification(`❌ Import stopped after ${imported} words. Import again to add the rest.`);
+    // The saved words now show as already learned, so the button only offers the rest
+    refreshImportPreview();
+    return;
+  }
+
+  // Refresh the caches the word suggestions and reviews read from
+  const languages = [...new Set(newWords.map(word => word.language))];
+  await Promise.all(languages.map(language => loadLearnedVocabulary(language)));
+  updateReviewDueBadges();
+
+  console.log(`✅ Imported ${imported} vocabulary items from ${importDraft.fileName}`);
+  showNotification(`✅ Imported ${imported} words`);
+  closeVocabularyImport();
+}
+
+// ====== AI PROVIDER LAYER ======
+// Every AI feature goes through generateAIText() so the model behind the tutor
+// and the summaries can be switched in config.js (AI_CONFIG) without touching
+// the callers.
+
+// Generation settings per feature
+const AI_PRESETS = {
+  tutor: { temperature: 0.8, topK: 40, topP: 0.95, maxOutputTokens: 400 },
+  summary: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 500 },
+  debrief: { temperature: 0.4, topK: 40, topP: 0.95, maxOutputTokens: 600 },
+  placement: { temperature: 0.2, topK: 40, topP: 0.95, maxOutputTokens: 200 },
+  translation: { temperature: 0.2, topK: 40, topP: 0.95, maxOutputTokens: 100 },
+  reading: { temperature: 0.1, topK: 40, topP: 0.95, maxOutputTokens: 1000 },
+  lookup: { temperature: 0.2, topK: 40, topP: 0.95, maxOutputTokens: 250 },
+  grammar: { temperature: 0.3, topK: 40, topP: 0.95, maxOutputTokens: 1500 },
+  memory: { temperature: 0.3, topK: 40, topP: 0.95, maxOutputTokens: 300 }
+};
+
+// Model used when AI_CONFIG doesn't name one
+const AI_DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  proxy: 'gemini-1.5-flash',
+  mock: 'mock'
+};
+
+// Read AI settings from config.js, falling back to Gemini with GEMINI_API_KEY
+function getAIConfig() {
+  const config = typeof AI_CONFIG !== 'undefined' ? AI_CONFIG : {};
+  const provider = config.provider || 'gemini';
+  let apiKey = config.apiKey || '';
+  if (!apiKey && provider === 'gemini' && typeof GEMINI_API_KEY !== 'undefined') {
+    apiKey = GEMINI_API_KEY;
+  }
+  return {
+    provider: provider,
+    model: config.model || AI_DEFAULT_MODELS[provider],
+    apiKey: apiKey,
+    baseUrl: (config.baseUrl || '').replace(/\/+$/, ''),
+    mockDelay: config.mockDelay ?? 300,
+    stream: config.stream !== false
+  };
+}
+
+// Check that the selected provider has what it needs to make requests
+function isAIConfigured() {
+  const config = getAIConfig();
+  if (!AI_PROVIDERS[config.provider]) return false;
+  if (config.provider === 'gemini') {
+    return !!config.apiKey && config.apiKey !== 'YOUR_GEMINI_API_KEY_HERE';
+  }
+  if (config.provider === 'openai') {
+    // Local OpenAI-compatible servers usually don't need a key
+    return !!config.apiKey || !!config.baseUrl;
+  }
+  if (config.provider === 'proxy' && config.baseUrl.includes('YOUR_PROXY_HOST')) {
+    // config.prod.js ships with a placeholder host until the proxy is deployed
+    console.error('❌ AI proxy URL not set - replace YOUR_PROXY_HOST in AI_CONFIG.baseUrl');
+    return false;
+  }
+  return true;
+}
+
+// Send a JSON POST to a provider and return the response once it's known to be OK
+async function sendAIRequest(providerName, url, body, headers = {}, signal = null) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal: signal
+  });
+
+  console.log(`${providerName} response status:`, response.status);
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    console.error(`${providerName} error response:`, errorData);
+    const error = new Error(`${providerName} API error: ${response.status} - ${errorData}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+// POST JSON to a provider and return the parsed response
+async function postAIRequest(providerName, url, body, headers = {}) {
+  const response = await sendAIRequest(providerName, url, body, headers);
+  return response.json();
+}
+
+// Read a streamed response body line by line (SSE and NDJSON are both line based)
+async function readStreamLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+// Read Server-Sent Events and hand each JSON "data:" payload to onEvent
+async function readSSEStream(response, onEvent) {
+  await readStreamLines(response, line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    onEvent(JSON.parse(data));
+  });
+}
+
+function createAbortError() {
+  return new DOMException('The AI reply was cancelled', 'AbortError');
+}
+
+const AI_PROVIDERS = {
+  // Google Gemini generateContent API
+  gemini: {
+    buildBody(prompt, settings) {
+      return {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          temperature: settings.temperature,
+          topK: settings.topK,
+          topP: settings.topP,
+          maxOutputTokens: settings.maxOutputTokens
+        },
+        safetySettings: [
+          {
+            category: "HARM_CATEGORY_HARASSMENT",
+            threshold: "BLOCK_MEDIUM_AND_ABOVE"
+          }
+        ]
+      };
+    },
+
+    async generate(prompt, settings, config) {
+      const baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+      const data = await postAIRequest('Gemini', `${baseUrl}/models/${config.model}:generateContent?key=${config.apiKey}`, this.buildBody(prompt, settings));
+
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (typeof text !== 'string') {
+        console.error('Invalid response format:', data);
+        throw new Error('Invalid response format from Gemini API');
+      }
+      return text;
+    },
+
+    async stream(prompt, settings, config, onChunk, signal) {
+      const baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+      const response = await sendAIRequest('Gemini', `${baseUrl}/models/${config.model}:streamGenerateContent?alt=sse&key=${config.apiKey}`, this.buildBody(prompt, settings), {}, signal);
+      await readSSEStream(response, data => {
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (text) onChunk(text);
+      });
+    }
+  },
+
+  // Any OpenAI-compatible chat completions endpoint (OpenAI, LM Studio, vLLM...)
+  openai: {
+    buildBody(prompt, settings, config, stream) {
+      return {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: settings.temperature,
+        top_p: settings.topP,
+        max_tokens: settings.maxOutputTokens,
+        stream: stream
+      };
+    },
+
+    buildHeaders(config) {
+      return config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+    },
+
+    async generate(prompt, settings, config) {
+      const baseUrl = config.baseUrl || 'https://api.openai.com/v1';
+      const data = await postAIRequest('OpenAI', `${baseUrl}/chat/completions`, this.buildBody(prompt, settings, config, false), this.buildHeaders(config));
+
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        console.error('Invalid response format:', data);
+        throw new Error('Invalid response format from OpenAI-compatible API');
+      }
+      return text;
+    },
+
+    async stream(prompt, settings, config, onChunk, signal) {
+      const baseUrl = config.baseUrl || 'https://api.openai.com/v1';
+      const response = await sendAIRequest('OpenAI', `${baseUrl}/chat/completions`, this.buildBody(prompt, settings, config, true), this.buildHeaders(config), signal);
+      await readSSEStream(response, data => {
+        const text = data.choices?.[0]?.delta?.content;
+        if (text) onChunk(text);
+      });
+    }
+  },
+
+  // Local Ollama-style HTTP server
+  ollama: {
+    buildBody(prompt, settings, config, stream) {
+      return {
+        model: config.model,
+        prompt: prompt,
+        stream: stream,
+        options: {
+          temperature: settings.temperature,
+          top_k: settings.topK,
+          top_p: settings.topP,
+          num_predict: settings.maxOutputTokens
+        }
+      };
+    },
+
+    async generate(prompt, settings, config) {
+      const baseUrl = config.baseUrl || 'http://localhost:11434';
+      const data = await postAIRequest('Ollama', `${baseUrl}/api/generate`, this.buildBody(prompt, settings, config, false));
+
+      if (typeof data.response !== 'string') {
+        console.error('Invalid response format:', data);
+        throw new Error('Invalid response format from Ollama API');
+      }
+      return data.response;
+    },
+
+    // Ollama streams newline-delimited JSON rather than SSE
+    async stream(prompt, settings, config, onChunk, signal) {
+      const baseUrl = config.baseUrl || 'http://localhost:11434';
+      const response = await sendAIRequest('Ollama', `${baseUrl}/api/generate`, this.buildBody(prompt, settings, config, true), {}, signal);
+      await readStreamLines(response, line => {
+        const data = JSON.parse(line);
+        if (data.response) onChunk(data.response);
+      });
+    }
+  },
+
+  // Our own Node proxy (server/proxy.js) - keeps the Gemini key off the client
+  proxy: {
+    async buildRequest(prompt, settings, config) {
+      const user = window.auth?.currentUser;
+      if (!user) {
+        throw new Error('Sign in to use the AI tutor');
+      }
+      // Local-mode profiles have no Firebase ID token for the proxy to verify
+      if (typeof user.getIdToken !== 'function') {
+        throw new Error('The AI proxy needs a Firebase account - choose another AI provider in local mode');
+      }
+      const idToken = await user.getIdToken();
+      return {
+        body: {
+          model: config.model,
+          preset: settings.preset,
+          prompt: prompt,
+          settings: {
+            temperature: settings.temperature,
+            topK: settings.topK,
+            topP: settings.topP,
+            maxOutputTokens: settings.maxOutputTokens
+          }
+        },
+        headers: { 'Authorization': `Bearer ${idToken}` }
+      };
+    },
+
+    async generate(prompt, settings, config) {
+      const request = await this.buildRequest(prompt, settings, config);
+      const data = await postAIRequest('Proxy', `${config.baseUrl || '/api/ai'}/generate`, request.body, request.headers);
+      return data.text;
+    },
+
+    async stream(prompt, settings, config, onChunk, signal) {
+      const request = await this.buildRequest(prompt, settings, config);
+      const response = await sendAIRequest('Proxy', `${config.baseUrl || '/api/ai'}/stream`, request.body, request.headers, signal);
+      await readSSEStream(response, data => {
+        if (data.error) {
+          const error = new Error(`Proxy stream error: ${data.error.message}`);
+          error.status = data.error.status;
+          throw error;
+        }
+        if (data.text) onChunk(data.text);
+      });
+    }
+  },
+
+  // Deterministic stand-in for development without any model
+  mock: {
+    async generate(prompt, settings, config) {
+      await new Promise(resolve => setTimeout(resolve, config.mockDelay));
+      const buildResponse = MOCK_AI_RESPONSES[settings.preset] || MOCK_AI_RESPONSES.tutor;
+      return buildResponse(prompt);
+    },
+
+    // Replay the canned response word by word
+    async stream(prompt, settings, config, onChunk, signal) {
+      const text = await this.generate(prompt, settings, config);
+      const pieces = text.match(/\S+\s*/g) || [];
+      for (const piece of pieces) {
+        if (signal?.aborted) throw createAbortError();
+        onChunk(piece);
+        await new Promise(resolve => setTimeout(resolve, 40));
+      }
+    }
+  }
+};
+
+// Canned mock output per preset
+const MOCK_AI_RESPONSES = {
+  tutor(prompt) {
+    const studentLines = prompt.match(/^Student: .*$/gm) || [];
+    if (studentLines.length === 0) {
+      return '(mock tutor) Hello! How can I help you today?';
+    }
+    const lastLine = studentLines[studentLines.length - 1].replace('Student: ', '');
+    const reply = `(mock tutor) You said: "${lastLine}". Can you tell me more?`;
+    // Deterministic sample correction so the corrections UI can be exercised
+    const mistake = lastLine.match(/\byo es\b/i);
+    if (!mistake) return reply;
+    return `${reply}\n${CORRECTIONS_MARKER}\n` + JSON.stringify([{
+      original: mistake[0],
+      corrected: 'yo soy',
+      rule: 'Ser conjugation',
+      explanation: 'With "yo", ser is conjugated as "soy".'
+    }]);
+  },
+  summary() {
+    return JSON.stringify({
+      takeaways: [
+        'Mock summary: you practiced greetings and small talk',
+        'Recommendation: Practice asking follow-up questions next time'
+      ],
+      newPhrases: ['hola', 'gracias'],
+      grammarPoints: ['Greetings'],
+      topics: ['Small talk'],
+      recommendations: ['Practice asking follow-up questions'],
+      estimatedLevel: 'A2'
+    });
+  },
+  translation(prompt) {
+    const phrase = (prompt.match(/Phrase: (.*)$/m) || [])[1] || '';
+    return `(mock translation of "${phrase}")`;
+  },
+  grammar(prompt) {
+    const question = (prompt.match(/^Student's question: (.*)$/m) || [])[1] || '';
+    return JSON.stringify({
+      topic: 'Mock grammar point',
+      summary: `Mock answer to "${question}".`,
+      rule: 'Mock rule:\n- the verb agrees with the **subject**\n- endings change with the person',
+      tables: [{ title: 'Present tense of hablar', headers: ['Person', 'Form'], rows: [['yo', 'habl**o**'], ['tú', 'habl**as**'], ['él/ella', 'habl**a**']] }],
+      examples: [{ sentence: 'Yo hablo español.', translation: 'I speak Spanish.', note: '' }],
+      mistakes: ['Mock: forgetting the ending for "tú"']
+    });
+  },
+  lookup(prompt) {
+    const word = (prompt.match(/word "(.*?)"/) || [])[1] || '';
+    return JSON.stringify({
+      lemma: word.toLowerCase(),
+      partOfSpeech: 'noun',
+      translation: `(mock translation of "${word}")`,
+      example: `(mock example with "${word}")`,
+      exampleTranslation: '(mock example translation)'
+    });
+  },
+  reading(prompt) {
+    const language = (prompt.match(/reading of this (\w+) text/) || [])[1];
+    const text = (prompt.match(/^Text: (.*)$/m) || [])[1] || '';
+    const words = text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu) || [];
+    return JSON.stringify(words.map(word => ({
+      text: word,
+      reading: language === 'Japanese' ? katakanaToHiragana(word.replace(/\p{Script=Han}/gu, 'か')) : 'mǒck'
+    })));
+  },
+  placement(prompt) {
+    const answered = (prompt.match(/^Answer \d+: (?!\(skipped\)).+$/gm) || []).length;
+    return JSON.stringify({
+      level: CEFR_LEVELS[Math.max(answered - 1, 0)],
+      explanation: `Mock placement: you answered ${answered} of the tasks.`
+    });
+  },
+  debrief(prompt) {
+    const objectives = prompt.match(/^Objective \d+: .*$/gm) || [];
+    return JSON.stringify({
+      objectives: objectives.map((objective, index) => ({
+        completed: index % 2 === 0,
+        note: index % 2 === 0 ? 'Mock: done clearly' : 'Mock: not attempted yet'
+      })),
+      takeaways: ['Mock debrief: you stayed in the conversation well'],
+      newPhrases: ['la cuenta, por favor'],
+      grammarPoints: ['Polite requests'],
+      recommendations: ['Try the scene again and complete every objective']
+    });
+  },
+  memory(prompt) {
+    const studentLines = prompt.match(/^Student: .*$/gm) || [];
+    return `- (mock memory) The student has written ${studentLines.length} earlier messages`;
+  }
+};
+
+// Send a prompt to the configured AI provider and return the generated text
+async function generateAIText(prompt, presetName = 'tutor', overrides = {}) {
+  const config = getAIConfig();
+  const provider = AI_PROVIDERS[config.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${config.provider}`);
+  }
+
+  const settings = {
+    ...AI_PRESETS[presetName],
+    ...overrides,
+    preset: presetName
+  };
+
+  console.log(`Sending ${presetName} request to ${config.provider} (${config.model})...`);
+  const text = await provider.generate(prompt, settings, config);
+  return text.trim();
+}
+
+// Stream a reply from the configured AI provider, calling onChunk with each new
+// piece of text. Resolves with the full text; rejects with an AbortError when
+// the signal is aborted. Providers without streaming deliver a single chunk.
+async function streamAIText(prompt, presetName = 'tutor', onChunk = () => {}, signal = null, overrides = {}) {
+  const config = getAIConfig();
+  const provider = AI_PROVIDERS[config.provider];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${config.provider}`);
+  }
+
+  const settings = {
+    ...AI_PRESETS[presetName],
+    ...overrides,
+    preset: presetName
+  };
+
+  let fullText = '';
+  const handleChunk = chunk => {
+    fullText += chunk;
+    onChunk(chunk, fullText);
+  };
+
+  console.log(`Streaming ${presetName} request from ${config.provider} (${config.model})...`);
+  if (typeof provider.stream === 'function') {
+    await provider.stream(prompt, settings, config, handleChunk, signal);
+  } else {
+    handleChunk(await provider.generate(prompt, settings, config));
+  }
+
+  if (signal?.aborted) throw createAbortError();
+  return fullText.trim();
+}
+
+// Translate a short phrase for flashcards and saved phrases
+async function translatePhrase(phrase, fromLanguage, toLanguage) {
+  const prompt = `Translate this ${fromLanguage} phrase into ${toLanguage}. Reply with only the translation, no quotes or explanations.
+
+Phrase: ${phrase}`;
+  return generateAIText(prompt, 'translation');
+}
+
+// ====== TUTOR MEMORY ======
+// The tutor only sees the conversation for the language being practiced: the
+// newest turns that fit in a token budget, plus a rolling summary of everything
+// older. Summaries are kept in users/{uid}/tutorMemory/{language} so the tutor
+// remembers earlier sessions.
+
+const TUTOR_MEMORY_SETTINGS = {
+  contextTokenBudget: 1200, // recent turns sent word for word with each reply
+  minTurnsToSummarize: 6 // older turns to collect before folding them into the summary
+};
+
+let tutorMemoryByLanguage = {}; // { language: { summary, summarizedUntil (ms) } }
+
+// Rough token count (about 4 characters per token) - good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// "Student: ..." / "Tutor: ..." lines for prompts
+function formatConversationForPrompt(messages, tutorLabel = 'Tutor') {
+  return messages
+    .map(msg => `${msg.sender === 'user' ? 'Student' : tutorLabel}: ${msg.message}`)
+    .join('\n');
+}
+
+function getMessageTime(entry) {
+  const timestamp = entry.timestamp;
+  if (!timestamp) return 0;
+  return new Date(timestamp).getTime();
+}
+
+// Split a conversation into the newest turns that fit the budget and the older rest.
+// The latest turn is always kept, however long it is.
+function splitConversationForContext(messages, tokenBudget) {
+  let usedTokens = 0;
+  let start = messages.length;
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].message) + 2; // + speaker label
+    if (usedTokens + cost > tokenBudget && start < messages.length) break;
+    usedTokens += cost;
+    start--;
+  }
+  return {
+    older: messages.slice(0, start),
+    recent: messages.slice(start)
+  };
+}
+
+// Conversation context for the tutor prompt
+function buildTutorContext(language, message) {
+  const history = (conversationHistoryByLanguage[language] || []).filter(entry => entry.message);
+  
+  // sendMessage normally adds the learner's message to the history before asking the tutor
+  const lastEntry = history[history.length - 1];
+  const messages = lastEntry && lastEntry.sender === 'user' && lastEntry.message === message
+    ? history
+    : [...history, { message: message, sender: 'user' }];
+  
+  const { recent } = splitConversationForContext(messages, TUTOR_MEMORY_SETTINGS.contextTokenBudget);
+  const memory = tutorMemoryByLanguage[language];
+  
+  let context = '';
+  if (memory && memory.summary) {
+    context += `What you remember from earlier conversations with this student:\n${memory.summary}\n\n`;
+  }
+  context += `Recent conversation:\n${formatConversationForPrompt(recent)}`;
+  return context;
+}
+
+// Fold older turns that have dropped out of the context window into the summary
+async function updateTutorMemory(language) {
+  const history = conversationHistoryByLanguage[language] || [];
+  const memory = tutorMemoryByLanguage[language] || { summary: '', summarizedUntil: 0 };
+  if (memory.updating) return;
+  
+  const { older } = splitConversationForContext(history, TUTOR_MEMORY_SETTINGS.contextTokenBudget);
+  const pending = older.filter(entry => entry.message && getMessageTime(entry) > memory.summarizedUntil);
+  if (pending.length < TUTOR_MEMORY_SETTINGS.minTurnsToSummarize) return;
+  
+  const memoryPrompt = `You keep short notes for a ${language} tutor about one student. Update the notes with the conversation below. Keep what helps future lessons: the student's name, interests and plans, topics already covered, vocabulary they learned and mistakes they keep making. Drop small talk. Write at most 8 short bullet points in English.
+
+Current notes:
+${memory.summary || '(none yet)'}
+
+New conversation:
+${formatConversationForPrompt(pending)}
+
+Updated notes:`;
+  
+  tutorMemoryByLanguage[language] = { ...memory, updating: true };
+  try {
+    const summary = await generateAIText(memoryPrompt, 'memory');
+    const updatedMemory = {
+      summary: summary,
+      summarizedUntil: getMessageTime(pending[pending.length - 1])
+    };
+    tutorMemoryByLanguage[language] = updatedMemory;
+    await saveTutorMemory(language, updatedMemory);
+    console.log(`✅ Tutor memory updated for ${language} (${pending.length} turns summarized)`);
+  } catch (error) {
+    tutorMemoryByLanguage[language] = memory;
+    throw error;
+  }
+}
+
+async function saveTutorMemory(language, memory) {
+  if (!storage || !window.auth.currentUser) return;
+  await storage.tutorMemory.save(language, {
+    summary: memory.summary,
+    summarizedUntil: new Date(memory.summarizedUntil),
+    updatedAt: new Date()
+  });
+}
+
+async function loadTutorMemory() {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    const memories = await storage.tutorMemory.list();
+    
+    tutorMemoryByLanguage = {};
+    memories.forEach(data => {
+      tutorMemoryByLanguage[data.id] = {
+        summary: data.summary || '',
+        summarizedUntil: data.summarizedUntil ? data.summarizedUntil.getTime() : 0
+      };
+    });
+  } catch (error) {
+    console.error('Error loading tutor memory:', error);
+  }
+}
+
+async function clearTutorMemory(language) {
+  delete tutorMemoryByLanguage[language];
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    await storage.tutorMemory.remove(language);
+  } catch (error) {
+    console.error('Error clearing tutor memory:', error);
+  }
+}
+
+// The tutor puts structured corrections after this marker, below its reply
+const CORRECTIONS_MARKER = '###CORRECTIONS###';
+
+// Split a raw tutor reply into the chat text and its corrections
+function parseTutorReply(rawReply) {
+  const markerIndex = rawReply.indexOf(CORRECTIONS_MARKER);
+  if (markerIndex === -1) {
+    return { text: rawReply.trim(), corrections: [] };
+  }
+  
+  const text = rawReply.slice(0, markerIndex).trim();
+  let corrections = [];
+  try {
+    const jsonMatch = rawReply.slice(markerIndex + CORRECTIONS_MARKER.length).match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      corrections = JSON.parse(jsonMatch[0])
+        .filter(item => item && typeof item.original === 'string' && item.original.trim() && typeof item.corrected === 'string')
+        .map(item => ({
+          original: item.original.trim(),
+          corrected: item.corrected.trim(),
+          rule: typeof item.rule === 'string' ? item.rule : '',
+          explanation: typeof item.explanation === 'string' ? item.explanation : ''
+        }));
+    }
+  } catch (parseError) {
+    console.warn('Failed to parse tutor corrections:', parseError);
+  }
+  return { text, corrections };
+}
+
+// Text of a (possibly partial) streamed reply without the corrections block
+function getVisibleReplyText(rawReply) {
+  const markerIndex = rawReply.indexOf(CORRECTIONS_MARKER);
+  if (markerIndex !== -1) {
+    return rawReply.slice(0, markerIndex).trim();
+  }
+  // Hide a marker that has only partly arrived: a tail that is the start of it
+  for (let length = Math.min(CORRECTIONS_MARKER.length - 1, rawReply.length); length > 0; length--) {
+    if (rawReply.endsWith(CORRECTIONS_MARKER.slice(0, length))) {
+      return rawReply.slice(0, -length).trimEnd();
+    }
+  }
+  return rawReply;
+}
+
+// 🤖 AI Response Function using the configured AI provider
+// Pass { onChunk, signal } as streamOptions to receive the reply as it's generated.
+// Resolves with { text, corrections } where corrections describe mistakes in the
+// learner's message.
+async function getAIResponse(message, targetLanguage, nativeLanguage, streamOptions = null) {
+  try {
+    // Check if the AI provider is configured
+    if (!isAIConfigured()) {
+      return {
+        text: `Please configure your AI provider in config.js (see config.example.js). Get a free Gemini key at https://ai.google.dev`,
+        corrections: []
+      };
+    }
+
+    // This language's own history: rolling summary + recent turns within the token budget
+    const conversationContext = buildTutorContext(targetLanguage, message);
+    
+    // In a role-play the tutor stays in character instead of teaching
+    const scenario = getActiveScenario(targetLanguage);
+    const roleInstructions = scenario
+      ? buildScenarioInstructions(scenario, targetLanguage, nativeLanguage)
+      : `You are a friendly, encouraging language tutor helping someone learn ${targetLanguage}. Their native language is ${nativeLanguage}.
+
+IMPORTANT RULES:
+1. Always respond in ${targetLanguage} (unless they need urgent clarification)
+2. Keep responses to 1-3 sentences maximum
+3. If they make grammar mistakes, you may briefly encourage them ("Good try!") but don't spell out the fix in your reply - list it in the corrections block instead
+4. Ask follow-up questions to keep conversation flowing
+5. Be positive and encouraging
+6. Explain new vocabulary briefly if needed
+7. ${getLevelInstruction(targetLanguage)}`;
+    
+    // Create smart language learning prompt
+    const systemPrompt = `${roleInstructions}
+
+CORRECTIONS:
+If the student's latest message has mistakes, end your answer with a line containing only ${CORRECTIONS_MARKER} followed by a JSON array, one object per mistake:
+[{"original": "exact words copied from the student's message", "corrected": "the corrected words", "rule": "short name of the grammar rule", "explanation": "one short sentence in ${nativeLanguage}"}]
+If there are no mistakes, leave the corrections block out entirely.
+
+${conversationContext}
+
+Now respond to their latest message naturally and helpfully:`;
+
+    const rawResponse = streamOptions
+      ? await streamAIText(systemPrompt, 'tutor', streamOptions.onChunk, streamOptions.signal)
+      : await generateAIText(systemPrompt, 'tutor');
+    const aiResponse = parseTutorReply(rawResponse);
+    
+    // Fold turns that no longer fit the context window into the summary (in the background)
+    updateTutorMemory(targetLanguage).catch(error => {
+      console.error('Error updating tutor memory:', error);
+    });
+    
+    return aiResponse;
+
+  } catch (error) {
+    // Cancelled by the learner - let the caller keep whatever was streamed
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+
+    console.error('AI provider error:', error);
+
+    // Proxy quota reached - tell the learner instead of faking a reply
+    if (error.status === 429) {
+      return {
+        text: 'You\'ve reached today\'s AI practice limit. Come back tomorrow to keep chatting! 🌙',
+        corrections: []
+      };
+    }
+    
+    // Smart fallback responses based on target language
+    const fallbackResponses = {
+      'Spanish': [
+        '¡Hola! Soy tu compañero de práctica de español. ¿Cómo estás hoy?',
+        '¡Genial conocerte! ¿De qué te gustaría hablar en español?',
+        'Perfecto, vamos a practicar español juntos. ¿Qué hiciste hoy?'
+      ],
+      'French': [
+        'Bonjour! Je suis votre partenaire de pratique français. Comment allez-vous?',
+        'Enchanté! De quoi aimeriez-vous parler en français?',
+        'Parfait, pratiquons le français ensemble. Qu\'avez-vous fait aujourd\'hui?'
+      ],
+      'German': [
+        'Hallo! Ich bin Ihr Deutsch-Übungspartner. Wie geht es Ihnen?',
+        'Schön, Sie kennenzulernen! Worüber möchten Sie auf Deutsch sprechen?',
+        'Prima, lassen Sie uns zusammen Deutsch üben. Was haben Sie heute gemacht?'
+      ],
+      'Italian': [
+        'Ciao! Sono il tuo compagno di pratica italiana. Come stai oggi?',
+        'Piacere di conoscerti! Di cosa ti piacerebbe parlare in italiano?',
+        'Perfetto, pratichiamo l\'italiano insieme. Cosa hai fatto oggi?'
+      ],
+      'Portuguese': [
+        'Olá! Sou seu parceiro de prática de português. Como está hoje?',
+        'Prazer em conhecê-lo! Do que gostaria de falar em português?',
+        'Perfeito, vamos praticar português juntos. O que você fez hoje?'
+      ],
+      'Japanese': [
+        'こんにちは！日本語練習のパートナーです。今日はどうですか？',
+        'はじめまして！何について日本語で話したいですか？',
+        '素晴らしい！一緒に日本語を練習しましょう。今日何をしましたか？'
+      ],
+      'Korean': [
+        '안녕하세요! 한국어 연습 파트너입니다. 오늘 어떠세요?',
+        '만나서 반갑습니다! 한국어로 무엇에 대해 이야기하고 싶으세요?',
+        '좋아요! 함께 한국어를 연습해요. 오늘 뭐 하셨어요?'
+      ],
+      'Chinese': [
+        '你好！我是你的中文练习伙伴。今天怎么样？',
+        '很高兴认识你！你想用中文聊什么？',
+        '太好了！让我们一起练习中文。你今天做了什么？'
+      ],
+      'default': [
+        `Hello! I'm your ${targetLanguage} practice buddy. How are you today?`,
+        `Nice to meet you! What would you like to talk about in ${targetLanguage}?`,
+        `Great! Let's practice ${targetLanguage} together. What did you do today?`
+      ]
+    };
+    
+    const responses = fallbackResponses[targetLanguage] || fallbackResponses['default'];
+    return {
+      text: responses[Math.floor(Math.random() * responses.length)],
+      corrections: []
+    };
+  }
+}
+
+// ====== CEFR LEVELS ======
+// Each language gets an A1-C2 level, first from a short written placement test
+// and then re-estimated from conversation summaries. Levels are stored on the
+// user profile (users/{uid}.levels) and steer the tutor and summary prompts.
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// How the tutor should pitch its replies at each level
+const CEFR_TUTOR_GUIDANCE = {
+  A1: 'The student is a beginner (CEFR A1): use very short sentences, the present tense and everyday words',
+  A2: 'The student is elementary (CEFR A2): use simple sentences about familiar topics, introduce the past tense gently',
+  B1: 'The student is intermediate (CEFR B1): use natural sentences on familiar topics, mix tenses, explain idioms',
+  B2: 'The student is upper intermediate (CEFR B2): speak naturally, use varied vocabulary and some complex sentences',
+  C1: 'The student is advanced (CEFR C1): speak as with a fluent adult, use idioms and nuanced vocabulary',
+  C2: 'The student is near-native (CEFR C2): speak completely naturally, including subtle and colloquial language'
+};
+
+// Writing tasks that get harder, so answers show where the student tops out
+const PLACEMENT_TASKS = [
+  'Introduce yourself: your name, where you are from and what you do.',
+  'Describe what you did last weekend.',
+  'What would you change about your town or city, and why?',
+  'Do you think working from home is better than working in an office? Give your arguments.'
+];
+
+const LEVEL_SETTINGS = {
+  estimatesToKeep: 5, // recent summary estimates remembered per language
+  estimatesToChange: 3 // latest estimates that must agree before the level moves
+};
+
+let userLevels = {}; // { language: { level, source, estimates } } from the user profile
+
+function getLanguageLevel(language) {
+  return userLevels[language] ? userLevels[language].level : null;
+}
+
+// Replaces the generic "match their level" rule in the tutor prompts
+function getLevelInstruction(language) {
+  const level = getLanguageLevel(language);
+  return level
+    ? CEFR_TUTOR_GUIDANCE[level]
+    : 'Match their conversation level (don\'t be too advanced)';
+}
+
+function normalizeLevel(level) {
+  const value = String(level || '').toUpperCase().trim();
+  return CEFR_LEVELS.includes(value) ? value : null;
+}
+
+async function saveLanguageLevel(language, levelData) {
+  userLevels[language] = levelData;
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    await storage.profile.update({
+      [`levels.${language}`]: {
+        ...levelData,
+        updatedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error saving level:', error);
+  }
+}
+
+// Suggest the placement test the first time a language without a level is opened
+const placementPromptShown = new Set();
+function maybeSuggestPlacement(language) {
+  if (!window.auth || !window.auth.currentUser) return;
+  if (getLanguageLevel(language) || placementPromptShown.has(language)) return;
+  placementPromptShown.add(language);
+  addSystemMessage(`Not sure how good your ${language} is?`, [{
+    label: '📏 Take the 2-minute placement test',
+    className: 'btn-small placement-link',
+    onClick: () => openPlacementTest(language)
+  }]);
+}
+
+function openPlacementTest(language = currentActiveLanguage) {
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  const currentLevel = getLanguageLevel(language);
+  const modalHTML = `
+    <div id="placement-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>📏 ${language} Placement</h3>
+          <button class="btn-close" onclick="closePlacementTest()">✖</button>
+        </div>
+        <div class="summary-content">
+          <p class="placement-intro">
+            Answer in ${language} as well as you can - skip anything that's too hard.
+            ${currentLevel ? `Your current level is <strong>${currentLevel}</strong>.` : ''}
+            (Instructions are in ${nativeLanguage}; answers are rated for the level only.)
+          </p>
+          ${PLACEMENT_TASKS.map((task, index) => `
+            <div class="placement-task">
+              <label for="placement-answer-${index}">${index + 1}. ${task}</label>
+              <textarea id="placement-answer-${index}" class="placement-answer" rows="3"></textarea>
+            </div>
+          `).join('')}
+          <div id="placement-status" class="placement-status"></div>
+        </div>
+        <div class="summary-actions">
+          <button class="btn btn-secondary" onclick="setBeginnerLevel('${language}')">I'm a complete beginner</button>
+          <button class="btn btn-primary" id="placement-submit" onclick="submitPlacementTest('${language}')">Estimate my level</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  closePlacementTest();
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function closePlacementTest() {
+  const modal = document.getElementById('placement-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function setBeginnerLevel(language) {
+  await saveLanguageLevel(language, { level: 'A1', source: 'placement', estimates: [] });
+  closePlacementTest();
+  showNotification(`📏 ${language} level set to A1 - the tutor will keep things simple`);
+}
+
+async function submitPlacementTest(language) {
+  const answers = PLACEMENT_TASKS.map((task, index) => ({
+    task: task,
+    answer: document.getElementById(`placement-answer-${index}`)?.value.trim() || ''
+  }));
+  if (!answers.some(a => a.answer)) {
+    setBeginnerLevel(language);
+    return;
+  }
+
+  const status = document.getElementById('placement-status');
+  const submitButton = document.getElementById('placement-submit');
+  if (submitButton) submitButton.disabled = true;
+  if (status) status.textContent = 'Estimating your level...';
+
+  const result = await estimatePlacementLevel(language, answers);
+  if (!result) {
+    if (submitButton) submitButton.disabled = false;
+    if (status) status.textContent = '❌ Could not estimate your level. Please try again.';
+    return;
+  }
+
+  await saveLanguageLevel(language, { level: result.level, source: 'placement', estimates: [] });
+  closePlacementTest();
+  addSystemMessage(`📏 Your ${language} level: **${result.level}**. ${result.explanation || ''}`);
+}
+
+async function estimatePlacementLevel(language, answers) {
+  if (!isAIConfigured()) {
+    console.warn('AI provider not configured for placement');
+    return null;
+  }
+  
+  try {
+    const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+    const placementPrompt = `You are a ${language} examiner. Estimate the student's CEFR level (A1, A2, B1, B2, C1 or C2) from their written answers. The tasks get harder; unanswered tasks mean the student couldn't do them. Judge grammar, vocabulary range and how well each task is handled.
+
+${answers.map((a, index) => `Task ${index + 1}: ${a.task}\nAnswer ${index + 1}: ${a.answer || '(skipped)'}`).join('\n\n')}
+
+Provide your response as a JSON object with this structure:
+{
+  "level": "B1",
+  "explanation": "one or two sentences in ${nativeLanguage} explaining the level"
+}`;
+    
+    const resultText = await generateAIText(placementPrompt, 'placement');
+    const jsonMatch = resultText.match(/\{[\s\S]*\}/);
+    const result = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    const level = normalizeLevel(result.level);
+    return level ? { level: level, explanation: result.explanation || '' } : null;
+  } catch (error) {
+    console.error('Error estimating placement level:', error);
+    return null;
+  }
+}
+
+// Re-estimate the level from a conversation summary. The level only moves one
+// step at a time, once the latest estimates agree on the same new level.
+async function updateLevelFromSummary(language, estimatedLevel) {
+  const estimate = normalizeLevel(estimatedLevel);
+  if (!estimate) return;
+  
+  const current = userLevels[language] || { level: null, source: 'summaries', estimates: [] };
+  const estimates = [...(current.estimates || []), estimate].slice(-LEVEL_SETTINGS.estimatesToKeep);
+  let level = current.level;
+  
+  const latest = estimates.slice(-LEVEL_SETTINGS.estimatesToChange);
+  const agreed = latest.length === LEVEL_SETTINGS.estimatesToChange && latest.every(l => l === estimate);
+  if (!level) {
+    level = estimate;
+  } else if (agreed && estimate !== level) {
+    const step = CEFR_LEVELS.indexOf(estimate) > CEFR_LEVELS.indexOf(level) ? 1 : -1;
+    level = CEFR_LEVELS[CEFR_LEVELS.indexOf(level) + step];
+  }
+  
+  const levelChanged = level !== current.level;
+  await saveLanguageLevel(language, {
+    level: level,
+    source: levelChanged ? 'summaries' : (current.source || 'summaries'),
+    estimates: estimates
+  });
+  
+  if (levelChanged && current.level) {
+    const direction = CEFR_LEVELS.indexOf(level) > CEFR_LEVELS.indexOf(current.level) ? '📈' : '📉';
+    showNotification(`${direction} Your ${language} level is now ${level}`);
+  }
+}
+
+// ====== ROLE-PLAY SCENARIOS ======
+// The tutor plays a character in an everyday situation while the learner works
+// through a list of objectives. Finishing the scene scores the objectives and
+// saves a debrief next to the regular conversation summaries.
+
+const ROLEPLAY_SCENARIOS = [
+  {
+    id: 'restaurant',
+    icon: '🍽️',
+    title: 'Ordering at a Restaurant',
+    character: 'a friendly waiter at a busy neighborhood restaurant',
+    setting: 'The student has just sat down for dinner and is looking at the menu.',
+    objectives: [
+      'Ask for a recommendation',
+      'Order a main course and a drink',
+      'Ask about an ingredient or allergy',
+      'Ask for the bill'
+    ]
+  },
+  {
+    id: 'hotel',
+    icon: '🏨',
+    title: 'Checking into a Hotel',
+    character: 'a receptionist at the front desk of a city hotel',
+    setting: 'The student arrives at the hotel with a booking for three nights.',
+    objectives: [
+      'Greet the receptionist and give your name',
+      'Confirm how many nights you are staying',
+      'Ask what time breakfast is served',
+      'Ask for help with something in the room (Wi-Fi, towels, noise...)'
+    ]
+  },
+  {
+    id: 'job-interview',
+    icon: '💼',
+    title: 'Job Interview',
+    character: 'a hiring manager interviewing candidates for an office job',
+    setting: 'The student is a candidate who has just been invited into the interview room.',
+    objectives: [
+      'Introduce yourself and your background',
+      'Describe one of your strengths with an example',
+      'Explain why you want the job',
+      'Ask the interviewer a question about the role'
+    ]
+  },
+  {
+    id: 'doctor',
+    icon: '🩺',
+    title: 'Visiting the Doctor',
+    character: 'a calm, patient doctor at a walk-in clinic',
+    setting: 'The student has come to the clinic because they have felt unwell for a few days.',
+    objectives: [
+      'Describe your symptoms',
+      'Say how long you have felt this way',
+      'Answer the doctor\'s questions about allergies or medication',
+      'Ask how and when to take the treatment'
+    ]
+  }
+];
+
+let activeScenario = null; // { scenario, language, startedAt }
+
+// The scenario running for a language, if any
+function getActiveScenario(language) {
+  return activeScenario && activeScenario.language === language ? activeScenario.scenario : null;
+}
+
+// Replaces the regular tutor instructions in getAIResponse during a role-play
+function buildScenarioInstructions(scenario, targetLanguage, nativeLanguage) {
+  return `You are role-playing with someone learning ${targetLanguage}. Their native language is ${nativeLanguage}.
+
+SCENARIO: ${scenario.setting}
+YOUR CHARACTER: ${scenario.character}
+
+THE STUDENT'S OBJECTIVES:
+${scenario.objectives.map((objective, index) => `${index + 1}. ${objective}`).join('\n')}
+
+IMPORTANT RULES:
+1. Stay in character and always respond in ${targetLanguage}
+2. Keep responses to 1-3 sentences maximum
+3. Never complete an objective for the student, but steer the scene so each one can come up
+4. React the way your character naturally would
+5. If they make grammar mistakes, stay in character - list the fixes in the corrections block instead
+6. ${getLevelInstruction(targetLanguage)}`;
+}
+
+function openScenarioPicker() {
+  const modalHTML = `
+    <div id="scenario-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>🎭 ${currentActiveLanguage} Role-play</h3>
+          <button class="btn-close" onclick="closeScenarioPicker()">✖</button>
+        </div>
+        <div class="summary-content scenario-list">
+          ${ROLEPLAY_SCENARIOS.map(scenario => `
+            <button class="scenario-card" onclick="startScenario('${scenario.id}')">
+              <span class="scenario-icon">${scenario.icon}</span>
+              <span class="scenario-title">${scenario.title}</span>
+              <span class="scenario-objective-count">${scenario.objectives.length} objectives</span>
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+
+  closeScenarioPicker();
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function closeScenarioPicker() {
+  const modal = document.getElementById('scenario-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function startScenario(scenarioId) {
+  const scenario = ROLEPLAY_SCENARIOS.find(s => s.id === scenarioId);
+  if (!scenario || activeReplyController) return;
+  
+  closeScenarioPicker();
+  if (reviewSession) exitReviewMode();
+  
+  const language = currentActiveLanguage;
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  activeScenario = { scenario: scenario, language: language, startedAt: new Date() };
+  renderScenarioBanner();
+  addSystemMessage(`🎭 Role-play started: ${scenario.title}. Complete the objectives above, then press Finish for your score.`);
+  
+  if (!isAIConfigured()) return;
+  
+  // Let the character open the scene
+  showTypingIndicator();
+  try {
+    const openingPrompt = `${buildScenarioInstructions(scenario, language, nativeLanguage)}
+
+The scene is just starting. Open it with one or two sentences in character, in ${language}:`;
+    const opening = await generateAIText(openingPrompt, 'tutor');
+    hideTypingIndicator();
+    if (opening && getActiveScenario(currentActiveLanguage) === scenario) {
+      addMessage(parseTutorReply(opening).text, 'ai');
+    }
+  } catch (error) {
+    hideTypingIndicator();
+    console.error('Error starting scenario:', error);
+  }
+}
+
+// Objectives banner above the chat while a scenario runs for the current language
+function renderScenarioBanner() {
+  const banner = document.getElementById('scenario-banner');
+  if (!banner) return;
+  
+  const scenario = getActiveScenario(currentActiveLanguage);
+  if (!scenario) {
+    banner.style.display = 'none';
+    banner.innerHTML = '';
+    return;
+  }
+  
+  banner.style.display = '';
+  banner.innerHTML = `
+    <div class="scenario-banner-header">
+      <strong>${scenario.icon} ${scenario.title}</strong>
+      <div class="scenario-banner-actions">
+        <button class="btn-small" onclick="finishScenario()">🏁 Finish</button>
+        <button class="btn-small" onclick="quitScenario()">✖ Quit</button>
+      </div>
+    </div>
+    <ol class="scenario-objectives">
+      ${scenario.objectives.map(objective => `<li>${objective}</li>`).join('')}
+    </ol>
+  `;
+}
+
+// End the scenario without a score
+function quitScenario() {
+  activeScenario = null;
+  renderScenarioBanner();
+}
+
+// Messages exchanged since the scenario started
+function getScenarioMessages() {
+  const startedAt = activeScenario.startedAt.getTime();
+  return (conversationHistoryByLanguage[activeScenario.language] || [])
+    .filter(entry => entry.message && getMessageTime(entry) >= startedAt);
+}
+
+// Score the objectives and save the debrief like a conversation summary
+async function finishScenario() {
+  if (!activeScenario) return;
+  
+  const { scenario, language } = activeScenario;
+  const messages = getScenarioMessages();
+  if (!messages.some(msg => msg.sender === 'user')) {
+    if (confirm('You haven\'t said anything in this scene yet. End it without a score?')) {
+      quitScenario();
+    }
+    return;
+  }
+  
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  showNotification(`🎭 Scoring your ${scenario.title} role-play...`);
+  
+  const debrief = await generateScenarioDebrief(scenario, messages, language, nativeLanguage);
+  if (!debrief) {
+    showNotification('❌ Failed to score the role-play. Please try again.');
+    return;
+  }
+  
+  quitScenario();
+  await saveConversationSummary(debrief, language, messages.length);
+  showSummaryModal(debrief, language);
+}
+
+async function generateScenarioDebrief(scenario, messages, targetLanguage, nativeLanguage) {
+  if (!isAIConfigured()) {
+    console.warn('AI provider not configured for role-play scoring');
+    return null;
+  }
+  
+  try {
+    const debriefPrompt = `A student learning ${targetLanguage} just finished a role-play. Decide which objectives they completed themselves, in ${targetLanguage}, and write a short debrief in ${nativeLanguage}.
+
+Scenario: ${scenario.setting}
+Other character: ${scenario.character}
+
+Objectives:
+${scenario.objectives.map((objective, index) => `Objective ${index + 1}: ${objective}`).join('\n')}
+
+Conversation:
+${formatConversationForPrompt(messages, 'Character')}
+
+Provide your response as a JSON object with this structure:
+{
+  "objectives": [{"completed": true, "note": "one short sentence about how they did"}],
+  "takeaways": ["2-4 short takeaways about the student's performance"],
+  "newPhrases": ["useful ${targetLanguage} phrases from the scene"],
+  "grammarPoints": ["point1"],
+  "recommendations": ["recommendation1"]
+}
+List the objectives in the same order as above.`;
+    
+    const debriefText = await generateAIText(debriefPrompt, 'debrief');
+    const jsonMatch = debriefText.match(/\{[\s\S]*\}/);
+    const result = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    // The model doesn't always stick to the shape: keep only lists of strings
+    const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+    
+    // Score from the scenario's own objective list, whatever the model returned
+    const outcomes = Array.isArray(result.objectives) ? result.objectives : [];
+    const objectives = scenario.objectives.map((objective, index) => {
+      const outcome = outcomes[index] || {};
+      return {
+        objective: objective,
+        completed: outcome.completed === true,
+        note: typeof outcome.note === 'string' ? outcome.note : ''
+      };
+    });
+    const completedCount = objectives.filter(o => o.completed).length;
+    
+    return {
+      type: 'roleplay',
+      scenarioId: scenario.id,
+      scenarioTitle: scenario.title,
+      score: Math.round((completedCount / objectives.length) * 100),
+      objectives: objectives,
+      takeaways: list(result.takeaways),
+      newPhrases: list(result.newPhrases),
+      grammarPoints: list(result.grammarPoints),
+      recommendations: list(result.recommendations)
+    };
+  } catch (error) {
+    console.error('Error generating role-play debrief:', error);
+    return null;
+  }
+}
+
+// ====== SMART REVIEW SUMMARIES FEATURE ======
+
+// Generate AI-powered conversation summary
+async function generateConversationSummary(messages, targetLanguage, nativeLanguage) {
+  try {
+    if (!isAIConfigured()) {
+      console.warn('AI provider not configured for summary generation');
+      return null;
+    }
+
+    if (!messages || messages.length < 2) {
+      console.log('Not enough messages for summary generation');
+      return null;
+    }
+
+    // Build conversation text for analysis
+    const conversationText = formatConversationForPrompt(messages, 'AI Tutor');
+
+    const currentLevel = getLanguageLevel(targetLanguage);
+    const summaryPrompt = `Analyze this ${targetLanguage} language learning conversation and provide 3-5 key takeaways in ${nativeLanguage}. ${currentLevel ? `The student's current CEFR level is ${currentLevel}; pitch the recommendations at that level. ` : ''}Focus on:
+
+1. New phrases or vocabulary the student learned
+2. Grammar mistakes and areas for improvement  
+3. Topics discussed and conversation themes
+4. Student's progress and achievements
+5. Specific recommendations for continued learning
+6. The CEFR level (A1-C2) the student's own messages show
+
+Conversation:
+${conversationText}
+
+Provide your response as a JSON object with this structure:
+{
+  "takeaways": [
+    "Today you learned these phrases: [list specific phrases]",
+    "You struggled with [grammar point] - here's a quick guide: [brief explanation]", 
+    "Great job discussing [topic] - you're building confidence in [area]",
+    "Recommendation: Practice [specific skill] next time"
+  ],
+  "newPhrases": ["phrase1", "phrase2"],
+  "grammarPoints": ["point1", "point2"],
+  "topics": ["topic1", "topic2"],
+  "recommendations": ["recommendation1", "recommendation2"],
+  "estimatedLevel": "B1"
+}`;
+
+    const summaryText = await generateAIText(summaryPrompt, 'summary');
+    
+    if (!summaryText) {
+      console.error('No summary text received from API');
+      return null;
+    }
+
+    // Try to parse JSON response
+    try {
+      const jsonMatch = summaryText.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        return JSON.parse(jsonMatch[0]);
+      }
+    } catch (parseError) {
+      console.warn('Failed to parse JSON summary, using fallback format');
+    }
+
+    // Fallback: create simple takeaways from text
+    const takeaways = summaryText.split('\n').filter(line => line.trim().length > 0).slice(0, 5);
+    return {
+      takeaways,
+      newPhrases: [],
+      grammarPoints: [],
+      topics: [],
+      recommendations: []
+    };
+
+  } catch (error) {
+    console.error('Error generating conversation summary:', error);
+    return null;
+  }
+}
+
+// Save conversation summary
+async function saveConversationSummary(summary, language, messageCount) {
+  if (!storage || !window.auth.currentUser || !summary) return;
+  
+  try {
+    const summaryData = {
+      ...summary,
+      language: language,
+      messageCount: messageCount,
+      timestamp: serverTimestamp(),
+      userId: window.auth.currentUser.uid
+    };
+
+    await storage.summaries.add(summaryData);
+    emitAppEvent('summary-saved', { language: language });
+
+    // Save learned vocabulary from this summary
+    if (summary.newPhrases && summary.newPhrases.length > 0) {
+      await saveLearnedVocabulary(summary.newPhrases, language);
+    }
+
+    console.log('✅ Conversation summary saved');
+    return true;
+  } catch (error) {
+    console.error('Error saving summary:', error);
+    return false;
+  }
+}
+
+// Generate and save summary for current conversation
+async function generateAndSaveSummary(language = null) {
+  const currentLang = language || currentActiveLanguage;
+  const messages = conversationHistoryByLanguage[currentLang] || [];
+  
+  if (messages.length < 2) {
+    showNotification('❌ Need at least 2 messages to generate a summary');
+    return null;
+  }
+
+  // Show progress notification
+  const progressNotification = document.createElement('div');
+  progressNotification.className = 'notification progress-notification';
+  progressNotification.innerHTML = `
+    <div style="display: flex; align-items: center; gap: 10px;">
+      <div class="spinner"></div>
+      <span>Generating ${currentLang} conversation summary...</span>
+    </div>
+  `;
+  progressNotification.style.cssText = getNotificationBaseStyles();
+  document.body.appendChild(progressNotification);
+  
+  try {
+    const targetLanguage = currentLang;
+    const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+    
+    const summary = await generateConversationSummary(messages, targetLanguage, nativeLanguage);
+    
+    // Remove progress notification
+    progressNotification.remove();
+    
+    if (summary) {
+      await saveConversationSummary(summary, currentLang, messages.length);
+      await updateLevelFromSummary(currentLang, summary.estimatedLevel);
+      showSummaryModal(summary, currentLang);
+      showNotification('✅ Summary generated successfully!');
+      return summary;
+    } else {
+      showNotification('❌ Failed to generate summary. Please try again.');
+      return null;
+    }
+  } catch (error) {
+    console.error('Error in generateAndSaveSummary:', error);
+    progressNotification.remove();
+    showNotification('❌ Error generating summary. Please check your connection.');
+    return null;
+  }
+}
+
+// Show summary in a modal popup
+function showSummaryModal(summary, language) {
+  // Create modal HTML
+  const modalHTML = `
+    <div id="summary-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>${summary.type === 'roleplay' ? `🎭 ${escapeHTML(summary.scenarioTitle)} - ${escapeHTML(summary.score)}%` : `📚 ${escapeHTML(language)} Conversation Summary`}</h3>
+          <button class="btn-close" onclick="closeSummaryModal()">✖</button>
+        </div>
+        <div class="summary-content">
+          ${summary.objectives && summary.objectives.length > 0 ? `
+            <div class="objectives-section">
+              <h4>🏁 Objectives</h4>
+              <ul class="objectives-list">
+                ${summary.objectives.map(o => `
+                  <li class="${o.completed ? 'completed' : ''}">
+                    ${o.completed ? '✅' : '⬜'} ${renderInlineMarkdown(o.objective)}
+                    ${o.note ? `<small>${renderInlineMarkdown(o.note)}</small>` : ''}
+                  </li>
+                `).join('')}
+              </ul>
+            </div>
+          ` : ''}
+          <div class="takeaways-section">
+            <h4>🎯 Key Takeaways</h4>
+            <ul class="takeaways-list">
+              ${(summary.takeaways || []).map(takeaway => `<li>${renderInlineMarkdown(takeaway)}</li>`).join('')}
+            </ul>
+          </div>
+          ${summary.newPhrases && summary.newPhrases.length > 0 ? `
+            <div class="phrases-section">
+              <h4>✨ New Phrases</h4>
+              <div class="phrases-list">
+                ${summary.newPhrases.map(phrase => `<span class="phrase-tag">${escapeHTML(phrase)}</span>`).join('')}
+              </div>
+            </div>
+          ` : ''}
+          ${summary.recommendations && summary.recommendations.length > 0 ? `
+            <div class="recommendations-section">
+              <h4>💡 Recommendations</h4>
+              <ul class="recommendations-list">
+                ${summary.recommendations.map(rec => `<li>${renderInlineMarkdown(rec)}</li>`).join('')}
+              </ul>
+            </div>
+          ` : ''}
+        </div>
+        <div class="summary-actions">
+          <button class="btn btn-primary" onclick="closeSummaryModal()">Got it!</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Remove existing modal if any
+  const existingModal = document.getElementById('summary-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  // Add modal to DOM
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+// Close summary modal
+function closeSummaryModal() {
+  const modal = document.getElementById('summary-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Load recent summaries for dashboard
+async function loadRecentSummaries() {
+  if (!storage || !window.auth.currentUser) return [];
+  
+  try {
+    const summaries = await storage.summaries.listRecent(5);
+
+    return summaries;
+  } catch (error) {
+    console.error('Error loading summaries:', error);
+    return [];
+  }
+}
+
+// Load and display summaries in dashboard
+async function loadSummariesList() {
+  const summariesContainer = document.getElementById('summaries-list');
+  if (!summariesContainer) return;
+
+  try {
+    const summaries = await loadRecentSummaries();
+    
+    if (summaries.length === 0) {
+      summariesContainer.innerHTML = `
+        <div class="empty-state">
+          <p>No summaries yet. Complete a conversation and generate your first summary!</p>
+        </div>
+      `;
+      return;
+    }
+
+    summariesContainer.innerHTML = '';
+    summaries.forEach(summary => {
+      const date = summary.timestamp ? summary.timestamp.toLocaleDateString() : 'Unknown date';
+      const preview = summary.takeaways && summary.takeaways.length > 0 ? markdownToPlainText(summary.takeaways[0]).substring(0, 80) + '...' : 'No preview available';
+      
+      const item = document.createElement('div');
+      item.className = 'summary-item';
+      item.innerHTML = `
+        <div class="summary-item-header">
+          <span class="summary-language">${escapeHTML(summary.language || 'Unknown')}</span>
+          <span class="summary-date">${date}</span>
+        </div>
+        <div class="summary-preview">${escapeHTML(preview)}</div>
+        <div class="summary-stats">
+          <span>📝 ${summary.takeaways ? summary.takeaways.length : 0} takeaways</span>
+          <span>💬 ${Number(summary.messageCount) || 0} messages</span>
+          ${summary.type === 'roleplay' ? `<span>🎭 ${escapeHTML(summary.scenarioTitle)}: ${Number(summary.score) || 0}%</span>` : ''}
+        </div>
+      `;
+      item.addEventListener('click', () => showSummaryDetails(summary.id));
+      summariesContainer.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading summaries list:', error);
+    summariesContainer.innerHTML = `
+      <div class="empty-state">
+        <p>Error loading summaries. Please try again.</p>
+      </div>
+    `;
+  }
+}
+
+// Show summary details in modal
+async function showSummaryDetails(summaryId) {
+  if (!storage || !window.auth.currentUser) return;
+  
+  try {
+    const summary = await storage.summaries.get(summaryId);
+    if (summary) {
+      showSummaryModal(summary, summary.language);
+    }
+  } catch (error) {
+    console.error('Error loading summary details:', error);
+    showNotification('❌ Error loading summary details');
+  }
+}
+
+// Generate weekly summary. The same report is emailed by the weekly digest job
+// (server/weekly-digest.js) to learners who opt in below.
+async function generateWeeklySummary() {
+  if (!storage || !window.auth.currentUser) return null;
+  
+  try {
+    const oneWeekAgo = new Date();
+    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+    
+    // Get all summaries from the past week
+    const weeklySummaries = await storage.summaries.listSince(oneWeekAgo);
+
+    if (weeklySummaries.length === 0) {
+      return null;
+    }
+
+    // Aggregate data across all languages
+    const languageStats = {};
+    let totalMessages = 0;
+    const allTakeaways = [];
+    const allRecommendations = [];
+
+    weeklySummaries.forEach(summary => {
+      const lang = summary.language;
+      if (!languageStats[lang]) {
+        languageStats[lang] = { conversations: 0, messages: 0 };
+      }
+      languageStats[lang].conversations++;
+      languageStats[lang].messages += summary.messageCount || 0;
+      totalMessages += summary.messageCount || 0;
+      
+      if (summary.takeaways) {
+        allTakeaways.push(...summary.takeaways);
+      }
+      if (summary.recommendations) {
+        allRecommendations.push(...summary.recommendations);
+      }
+    });
+
+    const weeklyReport = {
+      weekStart: oneWeekAgo.toLocaleDateString(),
+      weekEnd: new Date().toLocaleDateString(),
+      totalConversations: weeklySummaries.length,
+      totalMessages: totalMessages,
+      languageStats: languageStats,
+      topTakeaways: allTakeaways.slice(0, 5), // Top 5 takeaways
+      topRecommendations: allRecommendations.slice(0, 3), // Top 3 recommendations
+      generatedAt: new Date()
+    };
+
+    // Save weekly summary
+    await storage.weeklySummaries.add({
+      ...weeklyReport,
+      timestamp: serverTimestamp()
+    });
+
+    return weeklyReport;
+  } catch (error) {
+    console.error('Error generating weekly summary:', error);
+    return null;
+  }
+}
+
+// ====== WEEKLY DIGEST EMAIL ======
+// Opt-in lives in preferences.weeklyDigest.enabled; the server job reads it and
+// records lastSentWeek there, and its unsubscribe link turns it back off.
+let weeklyDigestEnabled = false;
+
+function updateWeeklyDigestToggle() {
+  const checkbox = document.getElementById('weekly-digest-toggle');
+  if (checkbox) checkbox.checked = weeklyDigestEnabled;
+}
+
+async function toggleWeeklyDigest(enabled) {
+  if (!storage || !window.auth.currentUser) return;
+
+  if (!storage.isRemote) {
+    // The digest job reads Firestore; local-mode profiles never leave the browser
+    updateWeeklyDigestToggle();
+    showNotification('📧 The weekly email needs a Firebase account (not available in local mode)');
+    return;
+  }
+
+  try {
+    await storage.preferences.update({
+      'weeklyDigest.enabled': enabled,
+      'weeklyDigest.updatedAt': new Date()
+    });
+    weeklyDigestEnabled = enabled;
+    showNotification(enabled
+      ? `📧 Weekly digest on - it will be sent to ${window.auth.currentUser.email}`
+      : '📧 Weekly digest off');
+  } catch (error) {
+    console.error('Error saving weekly digest preference:', error);
+    updateWeeklyDigestToggle();
+    showNotification('❌ Could not update your weekly digest setting');
+  }
+}
+
+// Show weekly summary modal (for testing)
+function showWeeklySummaryModal(weeklyReport) {
+  if (!weeklyReport) return;
+  
+  const languageStatsHTML = Object.entries(weeklyReport.languageStats)
+    .map(([lang, stats]) => `
+      <div class="weekly-language-stat">
+        <strong>${lang}:</strong> ${stats.conversations} conversations, ${stats.messages} messages
+      </div>
+    `).join('');
+
+  const modalHTML = `
+    <div id="weekly-summary-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>📅 Weekly Learning Summary</h3>
+          <button class="btn-close" onclick="closeWeeklySummaryModal()">✖</button>
+        </div>
+        <div class="summary-content">
+          <div class="weekly-overview">
+            <h4>📊 Week Overview (${weeklyReport.weekStart} - ${weeklyReport.weekEnd})</h4>
+            <div class="weekly-stats">
+              <div class="weekly-stat">Total Conversations: <strong>${weeklyReport.totalConversations}</strong></div>
+              <div class="weekly-stat">Total Messages: <strong>${weeklyReport.totalMessages}</strong></div>
+            </div>
+          </div>
+          
+          <div class="weekly-languages">
+            <h4>🌍 Languages Practiced</h4>
+            ${languageStatsHTML}
+          </div>
+          
+          ${weeklyReport.topTakeaways.length > 0 ? `
+            <div class="weekly-takeaways">
+              <h4>🎯 Top Learnings This Week</h4>
+              <ul class="takeaways-list">
+                ${weeklyReport.topTakeaways.map(takeaway => `<li>${takeaway}</li>`).join('')}
+              </ul>
+            </div>
+          ` : ''}
+          
+          ${weeklyReport.topRecommendations.length > 0 ? `
+            <div class="weekly-recommendations">
+              <h4>💡 Focus Areas for Next Week</h4>
+              <ul class="recommendations-list">
+                ${weeklyReport.topRecommendations.map(rec => `<li>${rec}</li>`).join('')}
+              </ul>
+            </div>
+          ` : ''}
+        </div>
+        <div class="summary-actions">
+          <button class="btn btn-primary" onclick="closeWeeklySummaryModal()">Great Progress!</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+// Close weekly summary modal
+function closeWeeklySummaryModal() {
+  const modal = document.getElementById('weekly-summary-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+// Make functions globally accessible (required for HTML onclick handlers)
+window.signUp = signUp;
+window.signIn = signIn;
+window.signOut = signOut;
+window.sendMessage = sendMessage;
+window.cancelAIReply = cancelAIReply;
+window.clearChat = clearChat;
+window.handleKeyPress = handleKeyPress;
+window.changeLanguage = changeLanguage;
+window.openDashboard = openDashboard;
+window.closeDashboard = closeDashboard;
+window.generateAndSaveSummary = generateAndSaveSummary;
+window.closeSummaryModal = closeSummaryModal;
+window.showSummaryDetails = showSummaryDetails;
+window.generateWeeklySummary = generateWeeklySummary;
+window.toggleWeeklyDigest = toggleWeeklyDigest;
+window.startReviewMode = startReviewMode;
+window.exitReviewMode = exitReviewMode;
+window.flipReviewCard = flipReviewCard;
+window.speakReviewCard = speakReviewCard;
+window.gradeReviewCard = gradeReviewCard;
+window.closeWeeklySummaryModal = closeWeeklySummaryModal;
+window.openScenarioPicker = openScenarioPicker;
+window.setActivityRange = setActivityRange;
+window.openPlacementTest = openPlacementTest;
+window.closePlacementTest = closePlacementTest;
+window.submitPlacementTest = submitPlacementTest;
+window.setBeginnerLevel = setBeginnerLevel;
+window.closeScenarioPicker = closeScenarioPicker;
+window.openExportCenter = openExportCenter;
+window.closeExportCenter = closeExportCenter;
+window.runExport = runExport;
+window.openVocabularyImport = openVocabularyImport;
+window.closeVocabularyImport = closeVocabularyImport;
+window.handleImportFile = handleImportFile;
+window.updateImportMapping = updateImportMapping;
+window.refreshImportPreview = refreshImportPreview;
+window.confirmVocabularyImport = confirmVocabularyImport;
+window.closePronunciationDrill = closePronunciationDrill;
+window.listenToDrillTarget = listenToDrillTarget;
+window.recordDrillAttempt = recordDrillAttempt;
+window.nextDrillTarget = nextDrillTarget;
+window.toggleShadowingMode = toggleShadowingMode;
+window.cycleReadingMode = cycleReadingMode;
+window.toggleGrammarMode = toggleGrammarMode;
+window.openGoalsEditor = openGoalsEditor;
+window.closeGoalsEditor = closeGoalsEditor;
+window.resetGoalsEditor = resetGoalsEditor;
+window.saveGoalsEditor = saveGoalsEditor;
+window.openStreakDetails = openStreakDetails;
+window.closeStreakDetails = closeStreakDetails;
+window.saveStreakSettings = saveStreakSettings;
+window.openGrammarNotebook = openGrammarNotebook;
+window.closeGrammarNotebook = closeGrammarNotebook;
+window.replayShadowingSentence = replayShadowingSentence;
+window.toggleShadowingPause = toggleShadowingPause;
+window.skipShadowingSentence = skipShadowingSentence;
+window.toggleShadowingSlow = toggleShadowingSlow;
+window.finishShadowing = finishShadowing;
+window.closeShadowing = closeShadowing;
+window.startScenario = startScenario;
+window.finishScenario = finishScenario;
+window.quitScenario = quitScenario;
+
+// ====== COMPLETE WEB SPEECH API IMPLEMENTATION ======
+
+// Voice recognition variables
+
+// Initialize Speech Recognition
+function initSpeechRecognition() {
+  if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    recognition = new SpeechRecognition();
+    // Configure recognition
+    recognition.continuous = false;
+    recognition.interimResults = true;
+    recognition.maxAlternatives = 1;
+    // Set language based on selected target language
+    updateRecognitionLanguage();
+    // Event handlers
+    recognition.onstart = () => {
+      isListening = true;
+      updateMicButton(true);
+      updateVoiceStatus('🎤 Listening...');
+      console.log('Voice recognition started');
+    };
+    recognition.onresult = (event) => {
+      const transcript = event.results[0][0].transcript;
+      const confidence = event.results[0][0].confidence;
+      // Drill and shadowing attempts are scored, not typed into the chat
+      if (shadowingSession && shadowingSession.phase === 'listening') {
+        if (event.results[0].isFinal) {
+          updateVoiceStatus(`Recognized: "${transcript}"`);
+          handleShadowingResult(Array.from(event.results[0]));
+        }
+        return;
+      }
+      if (pronunciationDrill && pronunciationDrill.listening) {
+        if (event.results[0].isFinal) {
+          updateVoiceStatus(`Recognized: "${transcript}"`);
+          handleDrillResult(Array.from(event.results[0]));
+        }
+        return;
+      }
+      document.getElementById('messageInput').value = transcript;
+      if (event.results[0].isFinal) {
+        console.log(`Final transcript: ${transcript} (confidence: ${confidence})`);
+        updateVoiceStatus(`Recognized: "${transcript}"`);
+      }
+    };
+    recognition.onerror = (event) => {
+      console.error('Speech recognition error:', event.error);
+      isListening = false;
+      updateMicButton(false);
+      let errorMessage = '';
+      switch(event.error) {
+        case 'no-speech':
+          errorMessage = 'No speech detected. Try again.';
+          break;
+        case 'not-allowed':
+          errorMessage = 'Microphone access denied.';
+          break;
+        case 'network':
+          errorMessage = 'Network error. Check connection.';
+          break;
+        default:
+          errorMessage = `Error: ${event.error}`;
+      }
+      updateVoiceStatus(errorMessage);
+    };
+    recognition.onend = () => {
+      isListening = false;
+      updateMicButton(false);
+      if (shadowingSession && shadowingSession.phase === 'listening') {
+        handleShadowingMissed();
+      }
+      if (pronunciationDrill && pronunciationDrill.listening) {
+        // Ended without a final result (silence, error or stopped)
+        pronunciationDrill.listening = false;
+        recognition.maxAlternatives = 1;
+        renderPronunciationDrill();
+      }
+      updateVoiceStatus('');
+      console.log('Voice recognition ended');
+    };
+    return true;
   }
+  return false;
 }
 
-// Hide suggestions
-function hideSuggestions() {
-  const container = document.getElementById('suggestions-container');
-  if (container) {
-    container.style.display = 'none';
-    isShowingSuggestions = false;
-    selectedSuggestionIndex = -1;
-    vocabularySuggestions = [];
-  }
+// Update recognition language
+function updateRecognitionLanguage() {
+  if (!recognition) return;
+  const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
+  recognition.lang = LANGUAGE_CODES[targetLanguage] || 'en-US';
+  console.log('Recognition language set to:', recognition.lang);
 }
 
-// Handle input focus
-function handleInputFocus() {
-  // Load vocabulary for current language if not already loaded
-  const targetLanguage = document.getElementById('targetLanguage').value;
-  if (!learnedVocabulary[targetLanguage]) {
-    loadLearnedVocabulary(targetLanguage);
+// Toggle voice input
+function toggleVoiceInput() {
+  if (!recognition) {
+    if (!initSpeechRecognition()) {
+      alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
+      return;
+    }
+  }
+  if (isListening) {
+    recognition.stop();
+  } else {
+    updateRecognitionLanguage();
+    try {
+      recognition.start();
+    } catch (error) {
+      console.error('Failed to start recognition:', error);
+      updateVoiceStatus('Failed to start microphone');
+    }
   }
 }
 
-// Handle input blur (with delay to allow clicks on suggestions)
-function handleInputBlur() {
-  setTimeout(() => {
-    hideSuggestions();
-  }, 200);
-}
-
-// Create suggestions container in DOM
-function createSuggestionsContainer() {
-  const chatInput = document.querySelector('.chat-input');
-  if (!chatInput || document.getElementById('suggestions-container')) return;
-  
-  const container = document.createElement('div');
-  container.id = 'suggestions-container';
-  container.className = 'suggestions-container';
-  container.style.display = 'none';
-  
-  chatInput.appendChild(container);
+// Update mic button appearance
+function updateMicButton(listening) {
+  const micBtn = document.getElementById('micButton');
+  if (!micBtn) return;
+  if (listening) {
+    micBtn.classList.add('listening');
+    micBtn.innerHTML = '🔴';
+    micBtn.title = 'Stop listening';
+  } else {
+    micBtn.classList.remove('listening');
+    micBtn.innerHTML = '🎤';
+    micBtn.title = 'Start voice input';
+  }
 }
 
-// Handle language change
-function changeLanguage() {
-  const targetLanguage = document.getElementById('targetLanguage').value;
-  console.log('Language changed to:', targetLanguage);
-  // Update speech recognition language if available
-  if (typeof updateRecognitionLanguage === 'function') {
-    updateRecognitionLanguage();
+// Update voice status
+function updateVoiceStatus(status) {
+  const statusElement = document.getElementById('voice-status');
+  if (statusElement) {
+    statusElement.textContent = status;
+    statusElement.style.display = status ? 'block' : 'none';
   }
-  // Also switch to the corresponding language tab
-  openLanguageTab(targetLanguage);
 }
 
-// ====== LANGUAGE SIDEBAR FUNCTIONS ======
-function initializeSidebar() {
-  // Set initial active language
-  selectLanguage(currentActiveLanguage);
-  console.log('🌍 Sidebar initialized with language:', currentActiveLanguage);
-}
+// ====== TEXT TO SPEECH IMPLEMENTATION ======
 
-function selectLanguage(language) {
-  // Save current conversation before switching
-  saveCurrentConversationState();
-  
-  // Update active language
-  currentActiveLanguage = language;
-  
-  // Update sidebar visual state
-  const languageItems = document.querySelectorAll('.language-item');
-  languageItems.forEach(item => {
-    item.classList.remove('active');
-  });
-  
-  const selectedItem = document.querySelector(`[data-language="${language}"]`);
-  if (selectedItem) {
-    selectedItem.classList.add('active');
-  }
-  
-  // Update the learning language dropdown to match
-  const learningSelect = document.getElementById('targetLanguage');
-  if (learningSelect) {
-    learningSelect.value = language;
+// options: { slow } to override slow mode, { onEnd } called once the text has been spoken,
+// { onError(error) } called instead when it can't be spoken (not when it's cut off on purpose)
+function speakText(text, language, options = {}) {
+  if (!('speechSynthesis' in window)) {
+    console.log('Text-to-speech not supported');
+    if (options.onError) options.onError('not-supported');
+    return;
   }
   
-  // Clear and load conversation for this language
-  loadConversationForLanguage(language);
-  
-  // Load vocabulary for this language
-  loadLearnedVocabulary(language);
-  
-  // Update speech recognition language if available
-  if (typeof updateRecognitionLanguage === 'function') {
-    updateRecognitionLanguage();
+  // Wait for any pending speech to complete before starting new one
+  if (window.speechSynthesis.speaking) {
+    window.speechSynthesis.cancel();
+    // Small delay to ensure cancellation completes
+    setTimeout(() => speakText(text, language, options), 100);
+    return;
   }
   
-  console.log(`🌍 Switched to ${language}`);
-}
-
-// Legacy function for compatibility
-function openLanguageTab(language) {
-  selectLanguage(language);
+  const slow = options.slow === undefined ? slowModeEnabled : options.slow;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = LANGUAGE_CODES[language] || 'en-US';
+  utterance.rate = slow ? 0.7 : 0.9;
+  utterance.pitch = 1;
+  utterance.volume = 1;
+  utterance.onstart = () => {
+    console.log('Speaking:', text.substring(0, 50) + '...');
+    updateVoiceStatus('🔊 Speaking...');
+  };
+  utterance.onend = () => {
+    console.log('Finished speaking');
+    updateVoiceStatus('');
+    if (options.onEnd) options.onEnd();
+  };
+  utterance.onerror = (event) => {
+    updateVoiceStatus('');
+    // Interruptions come from cancel() (new speech, pausing) - not failures
+    if (event.error === 'interrupted' || event.error === 'canceled') return;
+    console.error('Speech synthesis error:', event.error);
+    if (options.onError) options.onError(event.error);
+  };
+  window.speechSynthesis.speak(utterance);
 }
 
-function saveCurrentConversationState() {
-  // Save the current conversation to the appropriate language array
-  if (currentActiveLanguage && conversationHistoryByLanguage[currentActiveLanguage]) {
-    // Get all messages from the current chat container
-    const chatContainer = document.getElementById('chat-messages');
-    if (chatContainer) {
-      const messages = chatContainer.querySelectorAll('.message');
-      conversationHistoryByLanguage[currentActiveLanguage] = Array.from(messages).map(msg => {
-        const messageText = msg.querySelector('.message-text')?.textContent || '';
-        const sender = msg.classList.contains('user') ? 'user' : 'ai';
-        return { message: messageText, sender: sender };
-      });
-    }
+// Toggle auto-speak mode
+function toggleAutoSpeak() {
+  autoSpeakEnabled = !autoSpeakEnabled;
+  const btn = event.target;
+  if (autoSpeakEnabled) {
+    btn.classList.add('active');
+    updateVoiceStatus('🔊 Auto-speak enabled');
+  } else {
+    btn.classList.remove('active');
+    updateVoiceStatus('Auto-speak disabled');
+  }
+  // Save preference
+  if (window.auth.currentUser && storage) {
+    storage.preferences.update({ autoSpeak: autoSpeakEnabled }).catch(console.error);
   }
 }
 
-// Display message without saving to Firestore (for loading existing messages)
-function displayMessage(message, sender) {
-    // Use addMessage with auto-speak and database save disabled for loaded messages
-    addMessage(message, sender, false, false);
+// Toggle slow mode
+function toggleSlowMode() {
+  slowModeEnabled = !slowModeEnabled;
+  const btn = event.target;
+  if (slowModeEnabled) {
+    btn.classList.add('active');
+    updateVoiceStatus('🐢 Slow mode enabled');
+  } else {
+    btn.classList.remove('active');
+    updateVoiceStatus('Normal speed');
+  }
 }
 
-function loadConversationForLanguage(language) {
-  const chatContainer = document.getElementById('chat-messages');
-  if (!chatContainer) return;
-  
-  // Clear the chat container
-  chatContainer.innerHTML = '';
-  
-  // Load messages for this language from the stored conversation history
-  if (conversationHistoryByLanguage[language] && conversationHistoryByLanguage[language].length > 0) {
-    conversationHistoryByLanguage[language].forEach(msgData => {
-      displayMessage(msgData.message, msgData.sender);
-    });
+// Toggle pronunciation mode (the drill panel above the input)
+function togglePronunciationMode() {
+  if (pronunciationModeEnabled) {
+    closePronunciationDrill();
+    updateVoiceStatus('Pronunciation mode off');
+  } else {
+    startPronunciationDrill();
+    updateVoiceStatus('🎯 Pronunciation mode active');
   }
 }
 
-// Dashboard Functions
-// ====== COMPLETE DASHBOARD FUNCTIONALITY ======
+// ====== ENHANCED MESSAGE FUNCTIONS ======
 
-function openDashboard() {
-  const dashboard = document.getElementById('dashboard-container');
-  dashboard.style.display = 'flex';
-  loadDashboardData();
-  loadFavorites();
-  loadLanguageStats();
-  loadActivityChart();
-  loadSummariesList();
-}
 
-function closeDashboard() {
-  document.getElementById('dashboard-container').style.display = 'none';
-}
 
-// Close dashboard when clicking overlay
-document.getElementById('dashboard-container')?.addEventListener('click', function(e) {
-  if (e.target === this) {
-    closeDashboard();
-  }
-});
+// Speak a specific message
+function speakMessage(message, sender) {
+    const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
+    speakText(markdownToPlainText(message), targetLanguage);
+}
 
-// Load complete dashboard data
-async function loadDashboardData() {
-  if (!db || !window.auth.currentUser) return;
-  try {
-    const userDoc = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .get();
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      const stats = userData.stats || {};
-      // Update user info
-      document.getElementById('user-email').textContent = userData.email || 'User';
-      if (userData.createdAt) {
-        const date = userData.createdAt.toDate();
-        document.getElementById('member-date').textContent = date.toLocaleDateString();
-      }
-      // Update stats with animation
-      animateValue('streak-value', 0, stats.streak || 0, 1000);
-      animateValue('messages-value', 0, stats.totalMessages || 0, 1000);
-      animateValue('sessions-value', 0, stats.totalSessions || 0, 1000);
-      // Convert minutes to hours and minutes
-      const totalMinutes = stats.minutesLearned || 0;
-      const hours = Math.floor(totalMinutes / 60);
-      const minutes = totalMinutes % 60;
-      document.getElementById('hours-value').textContent = hours;
-      document.getElementById('minutes-value').textContent = minutes;
-      // Update progress bars
-      updateProgressBars(stats);
-      // Check achievements
-      checkAchievements(stats);
+// Favorite a message
+async function favoriteMessage(message, sender) {
+    if (!storage || !window.auth.currentUser) {
+        alert('Please sign in to save favorites');
+        return;
     }
-  } catch (error) {
-    console.error('Error loading dashboard:', error);
-  }
+    
+    const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
+    
+    const saved = await performOrQueueWrite('favorite', {
+        id: storage.favorites.newId(),
+        phrase: message,
+        sender: sender,
+        language: targetLanguage,
+        createdAt: Date.now()
+    });
+    
+    // Visual feedback
+    alert(saved ? '⭐ Phrase saved to favorites!' : '⭐ Phrase saved - it will sync when you are back online');
 }
 
-// Animate number counting
-function animateValue(id, start, end, duration) {
-  const element = document.getElementById(id);
-  if (!element) return;
-  const range = end - start;
-  const increment = range / (duration / 16);
-  let current = start;
-  const timer = setInterval(() => {
-    current += increment;
-    if (current >= end) {
-      element.textContent = end;
-      clearInterval(timer);
-    } else {
-      element.textContent = Math.floor(current);
-    }
-  }, 16);
+async function writeFavoriteDoc(payload, isReplay = false) {
+    await storage.favorites.save(payload.id, {
+        phrase: payload.phrase,
+        sender: payload.sender,
+        language: payload.language,
+        savedAt: isReplay ? new Date(payload.createdAt) : serverTimestamp()
+    });
 }
 
-// Update progress bars
-function updateProgressBars(stats) {
-  // Define goals
-  const goals = {
-    streak: 30,      // 30 day goal
-    messages: 500,   // 500 messages goal
-    time: 1440,      // 24 hours goal (1440 minutes)
-    sessions: 100    // 100 sessions goal
-  };
-  // Calculate percentages
-  const streakPercent = Math.min((stats.streak || 0) / goals.streak * 100, 100);
-  const messagesPercent = Math.min((stats.totalMessages || 0) / goals.messages * 100, 100);
-  const timePercent = Math.min((stats.minutesLearned || 0) / goals.time * 100, 100);
-  const sessionsPercent = Math.min((stats.totalSessions || 0) / goals.sessions * 100, 100);
-  // Update progress bars
-  document.getElementById('streak-progress').style.width = streakPercent + '%';
-  document.getElementById('messages-progress').style.width = messagesPercent + '%';
-  document.getElementById('time-progress').style.width = timePercent + '%';
-  document.getElementById('sessions-progress').style.width = sessionsPercent + '%';
-}
-
-// Check and update achievements
-function checkAchievements(stats) {
-  const achievements = [
-    { id: 'first-steps', stat: 'totalMessages', threshold: 1 },
-    { id: 'conversation-starter', stat: 'totalMessages', threshold: 10 },
-    { id: 'week-warrior', stat: 'streak', threshold: 7 },
-    { id: 'dedicated-learner', stat: 'minutesLearned', threshold: 60 },
-    { id: 'century', stat: 'totalMessages', threshold: 100 }
-  ];
-  achievements.forEach(achievement => {
-    const element = document.querySelector(`[data-id="${achievement.id}"]`);
-    if (!element) return;
-    const current = stats[achievement.stat] || 0;
-    const achieved = current >= achievement.threshold;
-    element.setAttribute('data-achieved', achieved);
-    // Update progress text
-    const progressElement = element.querySelector('.achievement-progress');
-    if (progressElement) {
-      progressElement.textContent = `${Math.min(current, achievement.threshold)}/${achievement.threshold}`;
-    }
-    // Show unlock animation
-    if (achieved && !element.classList.contains('unlocked')) {
-      element.classList.add('unlocked');
-      showAchievementNotification(element.querySelector('.achievement-name').textContent);
-    }
+async function removeFavorite(favoriteId) {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    await storage.favorites.remove(favoriteId);
+    loadFavorites();
+    showNotification('🗑️ Favorite removed');
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+  }
+}
+
+// actions: optional buttons shown after the text - [{ label, className, onClick }]
+function addSystemMessage(message, actions = []) {
+  const chatMessages = document.getElementById('chat-messages');
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'message system-message';
+  messageDiv.innerHTML = `
+    <div class="system-content">
+      <span class="system-icon">ℹ️</span>
+      <span>${renderInlineMarkdown(message)}</span>
+    </div>
+  `;
+  actions.forEach(action => {
+    const button = document.createElement('button');
+    button.className = action.className || 'btn-small';
+    button.textContent = action.label;
+    button.addEventListener('click', action.onClick);
+    messageDiv.querySelector('.system-content').appendChild(button);
   });
+  chatMessages.appendChild(messageDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
-// Show achievement notification
-function showAchievementNotification(achievementName) {
+function showNotification(message) {
   const notification = document.createElement('div');
-  notification.className = 'achievement-notification';
-  notification.innerHTML = `
-    <div class="notification-content">
-      🏆 Achievement Unlocked!
-      <strong>${achievementName}</strong>
-    </div>
+  notification.className = 'notification';
+  notification.textContent = message;
+  notification.style.cssText = getNotificationBaseStyles() + `
+    animation: slideInRight 0.3s ease;
   `;
   document.body.appendChild(notification);
   setTimeout(() => {
-    notification.classList.add('show');
-  }, 100);
-  setTimeout(() => {
-    notification.remove();
+    notification.style.animation = 'slideOutRight 0.3s ease';
+    setTimeout(() => notification.remove(), 300);
   }, 3000);
 }
 
-// Load language statistics
-async function loadLanguageStats() {
-  if (!db || !window.auth.currentUser) return;
-  try {
-    const conversations = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('conversations')
-      .get();
-    const languageCounts = {};
-    conversations.forEach(doc => {
-      const lang = doc.data().language || 'Unknown';
-      languageCounts[lang] = (languageCounts[lang] || 0) + 1;
-    });
-    const languageFlags = {
-      'Spanish': '🇪🇸',
-      'French': '🇫🇷',
-      'German': '🇩🇪',
-      'Italian': '🇮🇹',
-      'Portuguese': '🇵🇹',
-      'Japanese': '🇯🇵',
-      'Korean': '🇰🇷',
-      'Chinese': '🇨🇳'
-    };
-    const container = document.getElementById('language-stats');
-    container.innerHTML = '';
-    Object.entries(languageCounts).forEach(([lang, count]) => {
-      const stat = document.createElement('div');
-      stat.className = 'language-stat';
-      stat.innerHTML = `
-        <div class="language-flag">${languageFlags[lang] || '🌐'}</div>
-        <div class="language-name">${lang}</div>
-        <div class="language-count">${count} messages</div>
-      `;
-      container.appendChild(stat);
-    });
-    // Update polyglot achievement
-    const languageCount = Object.keys(languageCounts).length;
-    if (languageCount >= 3) {
-      document.querySelector('[data-id="polyglot"]')?.setAttribute('data-achieved', 'true');
-    }
-  } catch (error) {
-    console.error('Error loading language stats:', error);
+// ====== PRONUNCIATION DRILL ======
+// The learner gets a target sentence, says it, and the recognizer's transcript
+// is aligned word by word against the target (character by character for
+// Japanese and Chinese) to show what was missing, misheard or added. Case,
+// punctuation, most accents and katakana/hiragana differences are not counted
+// as mistakes. Each phrase keeps its own score history.
+
+const PRONUNCIATION_SETTINGS = {
+  historySize: 20,
+  closeMatchSimilarity: 0.6, // a misheard word this similar gets half credit
+  maxSentenceWords: 14,
+  maxSentenceChars: 30
+};
+
+// Compared per character - there are no spaces between words
+const CHARACTER_LEVEL_LANGUAGES = ['Japanese', 'Chinese'];
+
+// Accents are ignored when comparing, since recognizers are inconsistent with
+// them - except letters that are a different sound (ñ). German is left out
+// because its umlauts are distinct vowels.
+const ACCENT_FOLDING = {
+  'Spanish': 'ñ',
+  'French': '',
+  'Italian': '',
+  'Portuguese': '',
+  'English': ''
+};
+
+// Used until the conversation gives us tutor sentences to practise
+const PRONUNCIATION_STARTERS = {
+  'Spanish': ['¿Dónde está la estación de tren?', 'Me gustaría un café con leche, por favor.', 'Mañana vamos a la playa con mis amigos.'],
+  'French': ['Je voudrais réserver une table pour deux.', 'Où se trouve la bibliothèque ?', "Il fait très beau aujourd'hui."],
+  'German': ['Ich hätte gern ein Glas Wasser.', 'Wie komme ich zum Bahnhof?', 'Wir treffen uns morgen um acht Uhr.'],
+  'Italian': ['Vorrei un biglietto per Roma.', 'Quanto costa questa borsa?', 'Ci vediamo stasera in piazza.'],
+  'Portuguese': ['Onde fica a farmácia mais próxima?', 'Eu gostaria de um pão de queijo.', 'Vamos ao cinema no sábado.'],
+  'Japanese': ['駅はどこですか。', 'コーヒーをください。', '明日は雨が降るでしょう。'],
+  'Korean': ['화장실이 어디에 있어요?', '커피 한 잔 주세요.', '내일 친구를 만날 거예요.'],
+  'Chinese': ['请问，火车站在哪里？', '我想要一杯咖啡。', '明天我们去公园散步吧。']
+};
+
+let pronunciationDrill = null; // { language, target, candidates, index, listening, result, record }
+
+function isCharacterLevelLanguage(language) {
+  return CHARACTER_LEVEL_LANGUAGES.includes(language);
+}
+
+// ァ-ヶ are exactly 0x60 code points above ぁ-ゖ
+function katakanaToHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+// The form two words are compared in, e.g. "Está," -> "esta" or "コーヒー" -> "こーひー"
+function normalizeSpokenToken(text, language) {
+  let normalized = String(text || '').normalize('NFKC').toLocaleLowerCase(LANGUAGE_CODES[language] || undefined);
+  if (language === 'German') {
+    normalized = normalized.replace(/ß/g, 'ss');
+  }
+  if (language in ACCENT_FOLDING) {
+    const keep = ACCENT_FOLDING[language];
+    normalized = normalized.replace(/[^\x00-\x7f]/g, char => (keep.includes(char) ? char : char.normalize('NFD').replace(/\p{M}+/gu, '')));
+  }
+  if (language === 'Japanese') {
+    normalized = katakanaToHiragana(normalized);
   }
+  return normalized.replace(/[\p{P}\p{S}\s]+/gu, '');
 }
 
-// Load favorite phrases
-async function loadFavorites() {
-  if (!db || !window.auth.currentUser) return;
-  try {
-    const favorites = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('favorites')
-      .orderBy('savedAt', 'desc')
-      .limit(10)
-      .get();
-    const container = document.getElementById('favorites-list');
-    if (favorites.empty) {
-      container.innerHTML = '<div class="empty-state"><p>No saved phrases yet. Click the ⭐ on any message to save it!</p></div>';
-      return;
-    }
-    container.innerHTML = '';
-    favorites.forEach(doc => {
-      const data = doc.data();
-      const item = document.createElement('div');
-      item.className = 'favorite-item';
-      item.innerHTML = `
-        <div class="favorite-content">
-          <div class="favorite-phrase">${data.phrase}</div>
-          <div class="favorite-translation">${data.translation || ''}</div>
-        </div>
-        <div class="favorite-meta">
-          <span class="favorite-language">${data.language}</span>
-          <button class="remove-btn" onclick="removeFavorite('${doc.id}')">🗑️</button>
-        </div>
-      `;
-      container.appendChild(item);
+// [{ display, norm }] - display keeps the original spelling for the feedback
+function tokenizeForPronunciation(text, language) {
+  const pieces = isCharacterLevelLanguage(language)
+    ? Array.from(String(text || ''))
+    : String(text || '').split(/\s+/);
+  return pieces
+    .map(piece => ({ display: piece, norm: normalizeSpokenToken(piece, language) }))
+    .filter(token => token.norm !== '');
+}
+
+function characterSimilarity(a, b) {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  if (left.length === 0 && right.length === 0) return 1;
+  let previous = right.map((_, j) => j + 1);
+  previous.unshift(0);
+  left.forEach((leftChar, i) => {
+    const current = [i + 1];
+    right.forEach((rightChar, j) => {
+      current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (leftChar === rightChar ? 0 : 1)));
     });
-  } catch (error) {
-    console.error('Error loading favorites:', error);
-  }
+    previous = current;
+  });
+  return 1 - previous[right.length] / Math.max(left.length, right.length);
 }
 
-// Load activity chart (last 7 days)
-async function loadActivityChart() {
-  if (!db || !window.auth.currentUser) return;
-  const container = document.getElementById('activity-chart');
-  container.innerHTML = '';
-  // Create last 7 days
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    const day = document.createElement('div');
-    day.className = 'activity-day';
-    day.setAttribute('data-tooltip', date.toLocaleDateString());
-    // Check if user was active on this day (simplified)
-    // In production, you'd query Firestore for activity on specific dates
-    if (Math.random() > 0.5) { // Placeholder - replace with real data
-      day.classList.add('active');
+// Levenshtein alignment of the transcript against the target. Returns one op
+// per position: correct, close (similar word), substituted, missing or extra.
+function alignPronunciation(target, transcript, language) {
+  const expected = tokenizeForPronunciation(target, language);
+  const heard = tokenizeForPronunciation(transcript, language);
+  const rows = expected.length + 1;
+  const cols = heard.length + 1;
+  const cost = Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const same = expected[i - 1].norm === heard[j - 1].norm;
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (same ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
     }
-    container.appendChild(day);
   }
-}
 
-// Export favorites
-async function exportFavorites() {
-  if (!db || !window.auth.currentUser) return;
-  try {
-    const favorites = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('favorites')
-      .orderBy('savedAt', 'desc')
-      .get();
-    let content = 'MY FAVORITE PHRASES\n';
-    content += '==================\n\n';
-    favorites.forEach(doc => {
-      const data = doc.data();
-      content += `Language: ${data.language}\n`;
-      content += `Phrase: ${data.phrase}\n`;
-      if (data.translation) {
-        content += `Translation: ${data.translation}\n`;
+  // Walk back from the end, preferring diagonal steps so substitutions pair up
+  const ops = [];
+  let i = expected.length;
+  let j = heard.length;
+  while (i > 0 || j > 0) {
+    const same = i > 0 && j > 0 && expected[i - 1].norm === heard[j - 1].norm;
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+      let type = 'correct';
+      if (!same) {
+        const similar = !isCharacterLevelLanguage(language) &&
+          characterSimilarity(expected[i - 1].norm, heard[j - 1].norm) >= PRONUNCIATION_SETTINGS.closeMatchSimilarity;
+        type = similar ? 'close' : 'substituted';
       }
-      content += '---\n\n';
-    });
-    // Create download
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'favorite_phrases.txt';
-    a.click();
-    window.URL.revokeObjectURL(url);
-  } catch (error) {
-    console.error('Error exporting favorites:', error);
+      ops.push({ type, expected: expected[i - 1].display, heard: heard[j - 1].display });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      ops.push({ type: 'missing', expected: expected[i - 1].display, heard: null });
+      i--;
+    } else {
+      ops.push({ type: 'extra', expected: null, heard: heard[j - 1].display });
+      j--;
+    }
   }
+  ops.reverse();
+
+  const count = type => ops.filter(op => op.type === type).length;
+  const credit = count('correct') + count('close') * 0.5;
+  const score = expected.length === 0 ? 0 : Math.round(100 * credit / (expected.length + count('extra')));
+  return {
+    ops,
+    score,
+    counts: {
+      correct: count('correct'),
+      close: count('close'),
+      substituted: count('substituted'),
+      missing: count('missing'),
+      extra: count('extra')
+    }
+  };
 }
 
-// 🤖 AI Response Function using FREE Google Gemini
-async function getAIResponse(message, targetLanguage, nativeLanguage) {
-  try {
-    // Check if API key is configured
-    if (!GEMINI_API_KEY || GEMINI_API_KEY === 'YOUR_GEMINI_API_KEY_HERE') {
-      return `Please configure your Gemini API key in config.js. Get a free key at https://ai.google.dev`;
-    }
+function splitIntoSentences(text) {
+  return markdownToPlainText(text)
+    .split(/(?<=[.!?。！？])\s*|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
 
-    // Add current message to conversation history
-    conversationHistory.push({
-      role: 'user',
-      message: message
-    });
-    
-    // Keep only last 6 messages for context (to stay within limits)
-    if (conversationHistory.length > 6) {
-      conversationHistory = conversationHistory.slice(-6);
-    }
-    
-    // Build conversation context
-    let conversationContext = '';
-    conversationHistory.forEach(entry => {
-      conversationContext += `${entry.role === 'user' ? 'Student' : 'Tutor'}: ${entry.message}\n`;
-    });
-    
-    // Create smart language learning prompt
-    const systemPrompt = `You are a friendly, encouraging language tutor helping someone learn ${targetLanguage}. Their native language is ${nativeLanguage}.
+// Long enough to score, short enough to repeat in one breath
+function isDrillableSentence(sentence, language) {
+  const tokens = tokenizeForPronunciation(sentence, language);
+  const limit = isCharacterLevelLanguage(language) ? PRONUNCIATION_SETTINGS.maxSentenceChars : PRONUNCIATION_SETTINGS.maxSentenceWords;
+  return tokens.length >= 2 && tokens.length <= limit;
+}
 
-IMPORTANT RULES:
-1. Always respond in ${targetLanguage} (unless they need urgent clarification)
-2. Keep responses to 1-3 sentences maximum
-3. If they make grammar mistakes, gently correct: "Good try! We say '[correct version]' instead."
-4. Ask follow-up questions to keep conversation flowing
-5. Be positive and encouraging
-6. Explain new vocabulary briefly if needed
-7. Match their conversation level (don't be too advanced)
+// Short sentences from the tutor's recent replies, then the starter phrases
+function getDrillCandidates(language) {
+  const fromConversation = (conversationHistoryByLanguage[language] || [])
+    .filter(entry => entry.sender === 'ai')
+    .slice(-6)
+    .flatMap(entry => splitIntoSentences(entry.message))
+    .filter(sentence => isDrillableSentence(sentence, language))
+    .reverse();
+  return [...new Set([...fromConversation, ...(PRONUNCIATION_STARTERS[language] || [])])];
+}
 
-Previous conversation:
-${conversationContext}
+function getPronunciationId(language, phrase) {
+  // Small string hash so any phrase makes a valid document id
+  const key = tokenizeForPronunciation(phrase, language).map(token => token.norm).join(' ');
+  let hash = 5381;
+  for (const char of key) {
+    hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+  }
+  return `${language}-${hash.toString(36)}`;
+}
 
-Now respond to their latest message naturally and helpfully:`;
+// Open the drill panel, optionally on a specific sentence (e.g. from a message)
+async function startPronunciationDrill(target = null) {
+  const language = currentActiveLanguage;
+  const candidates = getDrillCandidates(language);
+  if (target) {
+    candidates.unshift(target);
+  }
+  if (shadowingSession) closeShadowing();
+  pronunciationDrill = { language, candidates, index: 0, listening: false, result: null, record: null };
+  pronunciationModeEnabled = true;
+  document.querySelector('[onclick="togglePronunciationMode()"]')?.classList.add('active');
+  await selectDrillTarget(0);
+}
 
-    console.log('Sending request to Gemini API...');
-    
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: systemPrompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.8,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 150,
-          stopSequences: []
-        },
-        safetySettings: [
-          {
-            category: "HARM_CATEGORY_HARASSMENT",
-            threshold: "BLOCK_MEDIUM_AND_ABOVE"
-          }
-        ]
-      })
-    });
+function closePronunciationDrill() {
+  if (pronunciationDrill && pronunciationDrill.listening && recognition) {
+    recognition.stop();
+  }
+  pronunciationDrill = null;
+  pronunciationModeEnabled = false;
+  document.querySelector('[onclick="togglePronunciationMode()"]')?.classList.remove('active');
+  renderPronunciationDrill();
+}
 
-    console.log('Response status:', response.status);
+async function selectDrillTarget(index) {
+  if (!pronunciationDrill || pronunciationDrill.candidates.length === 0) return;
+  const count = pronunciationDrill.candidates.length;
+  pronunciationDrill.index = ((index % count) + count) % count;
+  pronunciationDrill.target = pronunciationDrill.candidates[pronunciationDrill.index];
+  pronunciationDrill.result = null;
+  pronunciationDrill.record = null;
+  renderPronunciationDrill();
+
+  // Show how earlier attempts at this phrase went
+  const record = await loadPronunciationRecord(pronunciationDrill.language, pronunciationDrill.target);
+  if (pronunciationDrill && record && !pronunciationDrill.result) {
+    pronunciationDrill.record = record;
+    renderPronunciationDrill();
+  }
+}
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('API Error Response:', errorData);
-      throw new Error(`Gemini API error: ${response.status} - ${errorData}`);
-    }
+function nextDrillTarget() {
+  if (pronunciationDrill) selectDrillTarget(pronunciationDrill.index + 1);
+}
 
-    const data = await response.json();
-    console.log('Gemini API response:', data);
-    
-    if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-      const aiResponse = data.candidates[0].content.parts[0].text.trim();
-      
-      // Add AI response to conversation history
-      conversationHistory.push({
-        role: 'assistant',
-        message: aiResponse
-      });
-      
-      return aiResponse;
-    } else {
-      console.error('Invalid response format:', data);
-      throw new Error('Invalid response format from Gemini API');
-    }
+function listenToDrillTarget() {
+  if (pronunciationDrill) speakText(pronunciationDrill.target, pronunciationDrill.language);
+}
 
+function recordDrillAttempt() {
+  if (!pronunciationDrill) return;
+  if (!recognition && !initSpeechRecognition()) {
+    alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
+    return;
+  }
+  if (isListening) {
+    recognition.stop();
+    return;
+  }
+  pronunciationDrill.listening = true;
+  recognition.lang = LANGUAGE_CODES[pronunciationDrill.language] || 'en-US';
+  recognition.maxAlternatives = 3;
+  try {
+    recognition.start();
   } catch (error) {
-    console.error('Gemini API Error:', error);
-    
-    // Smart fallback responses based on target language
-    const fallbackResponses = {
-      'Spanish': [
-        '¡Hola! Soy tu compañero de práctica de español. ¿Cómo estás hoy?',
-        '¡Genial conocerte! ¿De qué te gustaría hablar en español?',
-        'Perfecto, vamos a practicar español juntos. ¿Qué hiciste hoy?'
-      ],
-      'French': [
-        'Bonjour! Je suis votre partenaire de pratique français. Comment allez-vous?',
-        'Enchanté! De quoi aimeriez-vous parler en français?',
-        'Parfait, pratiquons le français ensemble. Qu\'avez-vous fait aujourd\'hui?'
-      ],
-      'German': [
-        'Hallo! Ich bin Ihr Deutsch-Übungspartner. Wie geht es Ihnen?',
-        'Schön, Sie kennenzulernen! Worüber möchten Sie auf Deutsch sprechen?',
-        'Prima, lassen Sie uns zusammen Deutsch üben. Was haben Sie heute gemacht?'
-      ],
-      'Italian': [
-        'Ciao! Sono il tuo compagno di pratica italiana. Come stai oggi?',
-        'Piacere di conoscerti! Di cosa ti piacerebbe parlare in italiano?',
-        'Perfetto, pratichiamo l\'italiano insieme. Cosa hai fatto oggi?'
-      ],
-      'Portuguese': [
-        'Olá! Sou seu parceiro de prática de português. Como está hoje?',
-        'Prazer em conhecê-lo! Do que gostaria de falar em português?',
-        'Perfeito, vamos praticar português juntos. O que você fez hoje?'
-      ],
-      'Japanese': [
-        'こんにちは！日本語練習のパートナーです。今日はどうですか？',
-        'はじめまして！何について日本語で話したいですか？',
-        '素晴らしい！一緒に日本語を練習しましょう。今日何をしましたか？'
-      ],
-      'Korean': [
-        '안녕하세요! 한국어 연습 파트너입니다. 오늘 어떠세요?',
-        '만나서 반갑습니다! 한국어로 무엇에 대해 이야기하고 싶으세요?',
-        '좋아요! 함께 한국어를 연습해요. 오늘 뭐 하셨어요?'
-      ],
-      'Chinese': [
-        '你好！我是你的中文练习伙伴。今天怎么样？',
-        '很高兴认识你！你想用中文聊什么？',
-        '太好了！让我们一起练习中文。你今天做了什么？'
-      ],
-      'default': [
-        `Hello! I'm your ${targetLanguage} practice buddy. How are you today?`,
-        `Nice to meet you! What would you like to talk about in ${targetLanguage}?`,
-        `Great! Let's practice ${targetLanguage} together. What did you do today?`
-      ]
-    };
-    
-    const responses = fallbackResponses[targetLanguage] || fallbackResponses['default'];
-    return responses[Math.floor(Math.random() * responses.length)];
+    console.error('Failed to start recognition:', error);
+    pronunciationDrill.listening = false;
+    updateVoiceStatus('Failed to start microphone');
+  }
+  renderPronunciationDrill();
+}
+
+// Called from recognition.onresult with the final result while a drill is listening.
+// The recognizer's alternatives are all scored and the best one counts.
+async function handleDrillResult(alternatives) {
+  const drill = pronunciationDrill;
+  drill.listening = false;
+  recognition.maxAlternatives = 1;
+
+  const results = alternatives.map(alternative => ({
+    transcript: alternative.transcript,
+    ...alignPronunciation(drill.target, alternative.transcript, drill.language)
+  }));
+  const best = results.reduce((a, b) => (b.score > a.score ? b : a));
+  drill.result = best;
+  renderPronunciationDrill();
+
+  const record = await savePronunciationAttempt(drill.language, drill.target, best);
+  if (pronunciationDrill === drill && record) {
+    drill.record = record;
+    renderPronunciationDrill();
   }
 }
 
-// ====== SMART REVIEW SUMMARIES FEATURE ======
+async function loadPronunciationRecord(language, phrase) {
+  if (!storage || !window.auth.currentUser) return null;
+  try {
+    return await storage.pronunciation.get(getPronunciationId(language, phrase));
+  } catch (error) {
+    console.error('Error loading pronunciation history:', error);
+    return null;
+  }
+}
 
-// Generate AI-powered conversation summary
-async function generateConversationSummary(messages, targetLanguage, nativeLanguage) {
+async function savePronunciationAttempt(language, phrase, result) {
+  if (!storage || !window.auth.currentUser) return null;
+  const id = getPronunciationId(language, phrase);
   try {
-    if (!GEMINI_API_KEY || GEMINI_API_KEY === 'YOUR_GEMINI_API_KEY_HERE') {
-      console.warn('Gemini API key not configured for summary generation');
-      return null;
-    }
+    const existing = (await storage.pronunciation.get(id)) || {};
+    const attempts = [...(existing.attempts || []), {
+      score: result.score,
+      transcript: result.transcript,
+      attemptedAt: new Date()
+    }].slice(-PRONUNCIATION_SETTINGS.historySize);
+    const record = {
+      phrase: phrase,
+      language: language,
+      attempts: attempts,
+      attemptCount: (existing.attemptCount || 0) + 1,
+      bestScore: Math.max(existing.bestScore || 0, result.score),
+      lastScore: result.score,
+      updatedAt: new Date()
+    };
+    await storage.pronunciation.save(id, record);
+    return record;
+  } catch (error) {
+    console.error('Error saving pronunciation attempt:', error);
+    return null;
+  }
+}
 
-    if (!messages || messages.length < 2) {
-      console.log('Not enough messages for summary generation');
-      return null;
+function renderDrillAlignment(ops, language) {
+  return ops.map(op => {
+    switch (op.type) {
+      case 'correct':
+        return `<span class="drill-word correct">${escapeHTML(op.expected)}</span>`;
+      case 'close':
+      case 'substituted':
+        return `<span class="drill-word ${op.type}" title="Heard: ${escapeHTML(op.heard)}">${escapeHTML(op.expected)}<small>${escapeHTML(op.heard)}</small></span>`;
+      case 'missing':
+        return `<span class="drill-word missing" title="Not heard">${escapeHTML(op.expected)}</span>`;
+      default:
+        return `<span class="drill-word extra" title="Not in the sentence">+${escapeHTML(op.heard)}</span>`;
     }
+  }).join(isCharacterLevelLanguage(language) ? '' : ' ');
+}
 
-    // Build conversation text for analysis
-    let conversationText = '';
-    messages.forEach(msg => {
-      const speaker = msg.sender === 'user' ? 'Student' : 'AI Tutor';
-      conversationText += `${speaker}: ${msg.message}\n`;
-    });
+function renderPronunciationDrill() {
+  const panel = document.getElementById('pronunciation-drill');
+  if (!panel) return;
+  if (!pronunciationDrill) {
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+    return;
+  }
 
-    const summaryPrompt = `Analyze this ${targetLanguage} language learning conversation and provide 3-5 key takeaways in ${nativeLanguage}. Focus on:
+  const { target, result, record, listening } = pronunciationDrill;
+  const history = record && record.attempts ? record.attempts.slice(-8) : [];
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <div class="drill-header">
+      <strong>🎯 Say this in ${escapeHTML(pronunciationDrill.language)}</strong>
+      <button class="btn-close" onclick="closePronunciationDrill()" title="Close">✖</button>
+    </div>
+    <div class="drill-target">${result ? renderDrillAlignment(result.ops, pronunciationDrill.language) : escapeHTML(target)}</div>
+    ${result ? `
+      <div class="drill-result">
+        <span class="drill-score">${result.score}%</span>
+        <span class="drill-heard">Heard: "${escapeHTML(result.transcript)}"</span>
+        <span class="drill-counts">${result.counts.missing} missing · ${result.counts.substituted + result.counts.close} misheard · ${result.counts.extra} extra</span>
+      </div>
+    ` : ''}
+    ${history.length > 0 ? `
+      <div class="drill-history" title="Last attempts at this phrase">
+        ${history.map(attempt => `<span class="drill-history-bar" style="height: ${Math.max(attempt.score, 4)}%" title="${attempt.score}%"></span>`).join('')}
+        <span class="drill-history-label">Best ${record.bestScore}% · ${record.attemptCount} attempts</span>
+      </div>
+    ` : ''}
+    <div class="drill-actions">
+      <button class="btn-small" onclick="listenToDrillTarget()">🔊 Listen</button>
+      <button class="btn-small btn-primary" onclick="recordDrillAttempt()">${listening ? '🔴 Listening...' : result ? '🎤 Try again' : '🎤 Speak'}</button>
+      <button class="btn-small" onclick="nextDrillTarget()">Next ➡️</button>
+    </div>
+  `;
+}
 
-1. New phrases or vocabulary the student learned
-2. Grammar mistakes and areas for improvement  
-3. Topics discussed and conversation themes
-4. Student's progress and achievements
-5. Specific recommendations for continued learning
+// ====== SHADOWING ======
+// Listen-and-repeat practice. Each sentence is played with speakText, the
+// microphone opens by itself when playback ends, and what the learner said is
+// scored against the sentence (same alignment as the drill) before moving on.
+// Finished sessions are saved with a score per sentence.
 
-Conversation:
-${conversationText}
+const SHADOWING_SETTINGS = {
+  sessionLength: 5,       // sentences when started from the toolbar
+  listenDelayMs: 300,     // pause between playback ending and the mic opening
+  advanceDelayMs: 2500    // time to read the feedback before the next sentence
+};
 
-Provide your response as a JSON object with this structure:
-{
-  "takeaways": [
-    "Today you learned these phrases: [list specific phrases]",
-    "You struggled with [grammar point] - here's a quick guide: [brief explanation]", 
-    "Great job discussing [topic] - you're building confidence in [area]",
-    "Recommendation: Practice [specific skill] next time"
-  ],
-  "newPhrases": ["phrase1", "phrase2"],
-  "grammarPoints": ["point1", "point2"],
-  "topics": ["topic1", "topic2"],
-  "recommendations": ["recommendation1", "recommendation2"]
-}`;
+// { language, source, sentences, results, index, phase, slow, startedAt, timer, saved }
+// phase: 'playing' | 'listening' | 'scored' | 'missed' | 'paused' | 'done'
+let shadowingSession = null;
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: summaryPrompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 500
-        }
-      })
-    });
+// Sentences short enough to repeat; a short phrase is used whole
+function getShadowingSentences(text, language) {
+  const sentences = splitIntoSentences(text).filter(sentence => isDrillableSentence(sentence, language));
+  return sentences.length > 0 ? sentences : [markdownToPlainText(text).trim()].filter(Boolean);
+}
 
-    if (!response.ok) {
-      console.error('Failed to generate summary:', response.statusText);
-      return null;
-    }
+function toggleShadowingMode() {
+  if (shadowingSession) {
+    closeShadowing();
+  } else {
+    const sentences = getDrillCandidates(currentActiveLanguage).slice(0, SHADOWING_SETTINGS.sessionLength);
+    startShadowing(sentences, { language: currentActiveLanguage, source: 'recent' });
+  }
+}
 
-    const data = await response.json();
-    const summaryText = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!summaryText) {
-      console.error('No summary text received from API');
-      return null;
-    }
+function shadowMessage(text) {
+  startShadowing(getShadowingSentences(text, currentActiveLanguage), { language: currentActiveLanguage, source: 'message' });
+}
 
-    // Try to parse JSON response
-    try {
-      const jsonMatch = summaryText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (parseError) {
-      console.warn('Failed to parse JSON summary, using fallback format');
-    }
+function shadowFavorite(favorite) {
+  closeDashboard();
+  startShadowing(getShadowingSentences(favorite.phrase, favorite.language), { language: favorite.language, source: 'favorite' });
+}
 
-    // Fallback: create simple takeaways from text
-    const takeaways = summaryText.split('\n').filter(line => line.trim().length > 0).slice(0, 5);
-    return {
-      takeaways,
-      newPhrases: [],
-      grammarPoints: [],
-      topics: [],
-      recommendations: []
-    };
+function startShadowing(sentences, { language, source }) {
+  if (!('speechSynthesis' in window)) {
+    alert('Text-to-speech is not supported in your browser, so shadowing is unavailable.');
+    return;
+  }
+  if (!recognition && !initSpeechRecognition()) {
+    alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
+    return;
+  }
+  if (sentences.length === 0) {
+    showNotification('Nothing to shadow yet - chat with the tutor first');
+    return;
+  }
 
-  } catch (error) {
-    console.error('Error generating conversation summary:', error);
-    return null;
+  closeShadowing();
+  if (pronunciationDrill) closePronunciationDrill();
+  if (language !== currentActiveLanguage) selectLanguage(language);
+
+  shadowingSession = {
+    language: language,
+    source: source,
+    sentences: sentences,
+    results: [],
+    index: 0,
+    phase: 'playing',
+    slow: slowModeEnabled,
+    startedAt: new Date(),
+    timer: null,
+    saved: false
+  };
+  document.querySelector('[onclick="toggleShadowingMode()"]')?.classList.add('active');
+  playShadowingSentence();
+}
+
+function playShadowingSentence() {
+  const session = shadowingSession;
+  if (!session) return;
+  clearTimeout(session.timer);
+  session.phase = 'playing';
+  session.playbackFailed = false;
+  renderShadowingPanel();
+
+  speakText(session.sentences[session.index], session.language, {
+    slow: session.slow,
+    onEnd: () => {
+      if (shadowingSession !== session || session.phase !== 'playing') return;
+      session.timer = setTimeout(() => listenForShadowing(session), SHADOWING_SETTINGS.listenDelayMs);
+    },
+    // e.g. no voice for the language: let the learner replay or skip
+    onError: () => {
+      if (shadowingSession !== session || session.phase !== 'playing') return;
+      session.phase = 'missed';
+      session.playbackFailed = true;
+      renderShadowingPanel();
+    }
+  });
+}
+
+function listenForShadowing(session) {
+  if (shadowingSession !== session || session.phase !== 'playing') return;
+  session.phase = 'listening';
+  renderShadowingPanel();
+  if (!isListening) {
+    recognition.maxAlternatives = 3;
+    toggleVoiceInput();
   }
 }
 
-// Save conversation summary to Firestore
-async function saveConversationSummary(summary, language, messageCount) {
-  if (!db || !window.auth.currentUser || !summary) return;
-  
-  try {
-    const summaryData = {
-      ...summary,
-      language: language,
-      messageCount: messageCount,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      userId: window.auth.currentUser.uid
-    };
+// Called from recognition.onresult with the final result while shadowing listens
+function handleShadowingResult(alternatives) {
+  const session = shadowingSession;
+  recognition.maxAlternatives = 1;
+  const sentence = session.sentences[session.index];
+  const best = alternatives
+    .map(alternative => ({ transcript: alternative.transcript, ...alignPronunciation(sentence, alternative.transcript, session.language) }))
+    .reduce((a, b) => (b.score > a.score ? b : a));
+
+  session.results[session.index] = { sentence, transcript: best.transcript, score: best.score, ops: best.ops };
+  session.phase = 'scored';
+  renderShadowingPanel();
+
+  // Counts towards the phrase's drill history too
+  savePronunciationAttempt(session.language, sentence, best);
+  session.timer = setTimeout(() => advanceShadowing(session), SHADOWING_SETTINGS.advanceDelayMs);
+}
 
-    await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('summaries')
-      .add(summaryData);
+// Recognition ended without a final result (silence or an error)
+function handleShadowingMissed() {
+  recognition.maxAlternatives = 1;
+  shadowingSession.phase = 'missed';
+  renderShadowingPanel();
+}
 
-    // Save learned vocabulary from this summary
-    if (summary.newPhrases && summary.newPhrases.length > 0) {
-      await saveLearnedVocabulary(summary.newPhrases, language);
-    }
+function advanceShadowing(session = shadowingSession) {
+  if (!session || shadowingSession !== session || session.phase === 'paused') return;
+  clearTimeout(session.timer);
+  if (session.index + 1 >= session.sentences.length) {
+    finishShadowing();
+    return;
+  }
+  session.index++;
+  playShadowingSentence();
+}
 
-    console.log('✅ Conversation summary saved');
-    return true;
-  } catch (error) {
-    console.error('Error saving summary:', error);
-    return false;
+// Stop whatever is playing or listening without ending the session
+function haltShadowingAudio() {
+  if (!shadowingSession) return;
+  clearTimeout(shadowingSession.timer);
+  if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+  if (isListening && recognition) recognition.stop();
+}
+
+function replayShadowingSentence() {
+  if (!shadowingSession) return;
+  haltShadowingAudio();
+  playShadowingSentence();
+}
+
+function skipShadowingSentence() {
+  const session = shadowingSession;
+  if (!session) return;
+  // Change the phase first so recognition ending doesn't count as a miss
+  session.phase = 'scored';
+  haltShadowingAudio();
+  if (!session.results[session.index]) {
+    session.results[session.index] = { sentence: session.sentences[session.index], transcript: '', score: 0, skipped: true };
   }
+  advanceShadowing(session);
 }
 
-// Generate and save summary for current conversation
-async function generateAndSaveSummary(language = null) {
-  const currentLang = language || currentActiveLanguage;
-  const messages = conversationHistoryByLanguage[currentLang] || [];
-  
-  if (messages.length < 2) {
-    showNotification('❌ Need at least 2 messages to generate a summary');
-    return null;
+function toggleShadowingPause() {
+  const session = shadowingSession;
+  if (!session || session.phase === 'done') return;
+  if (session.phase === 'paused') {
+    playShadowingSentence();
+  } else {
+    session.phase = 'paused';
+    haltShadowingAudio();
+    renderShadowingPanel();
   }
+}
 
-  // Show progress notification
-  const progressNotification = document.createElement('div');
-  progressNotification.className = 'notification progress-notification';
-  progressNotification.innerHTML = `
-    <div style="display: flex; align-items: center; gap: 10px;">
-      <div class="spinner"></div>
-      <span>Generating ${currentLang} conversation summary...</span>
-    </div>
-  `;
-  progressNotification.style.cssText = getNotificationBaseStyles();
-  document.body.appendChild(progressNotification);
-  
+function toggleShadowingSlow() {
+  if (!shadowingSession) return;
+  shadowingSession.slow = !shadowingSession.slow;
+  renderShadowingPanel();
+}
+
+function getShadowingAverage(session) {
+  const scored = session.results.filter(result => result && !result.skipped);
+  if (scored.length === 0) return 0;
+  return Math.round(scored.reduce((sum, result) => sum + result.score, 0) / scored.length);
+}
+
+async function finishShadowing() {
+  const session = shadowingSession;
+  if (!session) return;
+  session.phase = 'done';
+  haltShadowingAudio();
+  renderShadowingPanel();
+  await saveShadowingSession(session);
+}
+
+// Close the panel; a session stopped part-way is still saved
+function closeShadowing() {
+  const session = shadowingSession;
+  if (!session) return;
+  session.phase = 'done';
+  haltShadowingAudio();
+  saveShadowingSession(session);
+  shadowingSession = null;
+  document.querySelector('[onclick="toggleShadowingMode()"]')?.classList.remove('active');
+  renderShadowingPanel();
+}
+
+async function saveShadowingSession(session) {
+  if (session.saved || session.results.filter(Boolean).length === 0) return;
+  if (!storage || !window.auth.currentUser) return;
+  session.saved = true;
   try {
-    const targetLanguage = currentLang;
-    const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
-    
-    const summary = await generateConversationSummary(messages, targetLanguage, nativeLanguage);
-    
-    // Remove progress notification
-    progressNotification.remove();
-    
-    if (summary) {
-      await saveConversationSummary(summary, currentLang, messages.length);
-      showSummaryModal(summary, currentLang);
-      showNotification('✅ Summary generated successfully!');
-      return summary;
-    } else {
-      showNotification('❌ Failed to generate summary. Please try again.');
-      return null;
-    }
+    await storage.shadowingSessions.add({
+      language: session.language,
+      source: session.source,
+      slow: session.slow,
+      startedAt: session.startedAt,
+      finishedAt: new Date(),
+      averageScore: getShadowingAverage(session),
+      sentences: session.sentences.map((sentence, index) => {
+        const result = session.results[index];
+        return {
+          sentence: sentence,
+          transcript: result ? result.transcript : '',
+          score: result ? result.score : null,
+          skipped: result ? Boolean(result.skipped) : true
+        };
+      })
+    });
+    console.log('✅ Shadowing session saved');
   } catch (error) {
-    console.error('Error in generateAndSaveSummary:', error);
-    progressNotification.remove();
-    showNotification('❌ Error generating summary. Please check your connection.');
-    return null;
+    session.saved = false;
+    console.error('Error saving shadowing session:', error);
   }
 }
 
-// Show summary in a modal popup
-function showSummaryModal(summary, language) {
-  // Create modal HTML
-  const modalHTML = `
-    <div id="summary-modal" class="summary-modal-overlay">
-      <div class="summary-modal">
-        <div class="summary-header">
-          <h3>📚 ${language} Conversation Summary</h3>
-          <button class="btn-close" onclick="closeSummaryModal()">✖</button>
-        </div>
-        <div class="summary-content">
-          <div class="takeaways-section">
-            <h4>🎯 Key Takeaways</h4>
-            <ul class="takeaways-list">
-              ${summary.takeaways.map(takeaway => `<li>${takeaway}</li>`).join('')}
-            </ul>
-          </div>
-          ${summary.newPhrases && summary.newPhrases.length > 0 ? `
-            <div class="phrases-section">
-              <h4>✨ New Phrases</h4>
-              <div class="phrases-list">
-                ${summary.newPhrases.map(phrase => `<span class="phrase-tag">${phrase}</span>`).join('')}
-              </div>
-            </div>
-          ` : ''}
-          ${summary.recommendations && summary.recommendations.length > 0 ? `
-            <div class="recommendations-section">
-              <h4>💡 Recommendations</h4>
-              <ul class="recommendations-list">
-                ${summary.recommendations.map(rec => `<li>${rec}</li>`).join('')}
-              </ul>
-            </div>
-          ` : ''}
-        </div>
-        <div class="summary-actions">
-          <button class="btn btn-primary" onclick="closeSummaryModal()">Got it!</button>
-        </div>
+function renderShadowingPanel() {
+  const panel = document.getElementById('shadowing-panel');
+  if (!panel) return;
+  const session = shadowingSession;
+  if (!session) {
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+    return;
+  }
+
+  panel.style.display = 'block';
+  if (session.phase === 'done') {
+    panel.innerHTML = `
+      <div class="drill-header">
+        <strong>🔁 Shadowing complete · ${getShadowingAverage(session)}%</strong>
+        <button class="btn-close" onclick="closeShadowing()" title="Close">✖</button>
       </div>
+      <ol class="shadowing-results">
+        ${session.sentences.map((sentence, index) => {
+          const result = session.results[index];
+          return `<li><span>${escapeHTML(sentence)}</span><span class="shadowing-result-score">${result && !result.skipped ? `${result.score}%` : 'skipped'}</span></li>`;
+        }).join('')}
+      </ol>
+    `;
+    return;
+  }
+
+  const sentence = session.sentences[session.index];
+  const result = session.results[session.index];
+  const prompts = {
+    playing: '🔊 Listen...',
+    listening: '🎤 Your turn - repeat it',
+    scored: result && !result.skipped ? `${result.score}%` : '',
+    missed: session.playbackFailed ? "Couldn't play this sentence - replay or skip" : "Didn't catch that - replay or skip",
+    paused: '⏸ Paused'
+  };
+  panel.innerHTML = `
+    <div class="drill-header">
+      <strong>🔁 Shadowing · ${session.index + 1}/${session.sentences.length}</strong>
+      <button class="btn-close" onclick="closeShadowing()" title="Close">✖</button>
+    </div>
+    <div class="drill-target">${session.phase === 'scored' && result && result.ops ? renderDrillAlignment(result.ops, session.language) : escapeHTML(sentence)}</div>
+    <div class="drill-result">
+      <span class="${session.phase === 'scored' ? 'drill-score' : 'shadowing-phase'}">${prompts[session.phase]}</span>
+      ${session.phase === 'scored' && result && result.transcript ? `<span class="drill-heard">Heard: "${escapeHTML(result.transcript)}"</span>` : ''}
+    </div>
+    <div class="drill-actions">
+      <button class="btn-small" onclick="replayShadowingSentence()">🔁 Replay</button>
+      <button class="btn-small" onclick="toggleShadowingPause()">${session.phase === 'paused' ? '▶️ Resume' : '⏸ Pause'}</button>
+      <button class="btn-small" onclick="skipShadowingSentence()">Skip ⏭</button>
+      <button class="btn-small ${session.slow ? 'active' : ''}" onclick="toggleShadowingSlow()">🐢 Slow</button>
+      <button class="btn-small" onclick="finishShadowing()">⏹ Finish</button>
     </div>
   `;
+}
 
-  // Remove existing modal if any
-  const existingModal = document.getElementById('summary-modal');
-  if (existingModal) {
-    existingModal.remove();
-  }
+// ====== READING AIDS ======
+// Optional readings for the CJK languages, shown as <ruby> annotations above
+// the tutor's text: furigana or romaji for Japanese, pinyin for Chinese and
+// Revised Romanization for Korean. Korean is romanized locally; Japanese and
+// Chinese readings come from the AI once per text and are kept on the message
+// (or vocabulary/favorite) as `readings: [{ text, reading }]`, where reading is
+// hiragana for Japanese and tone-marked pinyin for Chinese.
+
+const READING_MODES = {
+  'Japanese': ['off', 'furigana', 'romaji'],
+  'Chinese': ['off', 'pinyin'],
+  'Korean': ['off', 'romanization']
+};
 
-  // Add modal to DOM
-  document.body.insertAdjacentHTML('beforeend', modalHTML);
-}
+const READING_MODE_LABELS = {
+  off: 'Readings off',
+  furigana: 'Furigana',
+  romaji: 'Romaji',
+  pinyin: 'Pinyin',
+  romanization: 'Romanization'
+};
 
-// Close summary modal
-function closeSummaryModal() {
-  const modal = document.getElementById('summary-modal');
-  if (modal) {
-    modal.remove();
-  }
-}
+// Script of each language, to skip texts with nothing to annotate
+const READING_SCRIPTS = {
+  'Japanese': /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  'Chinese': /\p{Script=Han}/u,
+  'Korean': /\p{Script=Hangul}/u
+};
 
-// Load recent summaries for dashboard
-async function loadRecentSummaries() {
-  if (!db || !window.auth.currentUser) return [];
-  
-  try {
-    const snapshot = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('summaries')
-      .orderBy('timestamp', 'desc')
-      .limit(5)
-      .get();
-
-    const summaries = [];
-    snapshot.forEach(doc => {
-      summaries.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+let readingModes = {}; // language -> mode, from preferences.readings
+const readingCache = new Map(); // `${language}|${text}` -> segments
+
+function isReadingLanguage(language) {
+  return language in READING_MODES;
+}
 
-    return summaries;
-  } catch (error) {
-    console.error('Error loading summaries:', error);
-    return [];
-  }
+function getReadingMode(language) {
+  const modes = READING_MODES[language];
+  if (!modes) return 'off';
+  return modes.includes(readingModes[language]) ? readingModes[language] : 'off';
 }
 
-// Load and display summaries in dashboard
-async function loadSummariesList() {
-  const summariesContainer = document.getElementById('summaries-list');
-  if (!summariesContainer) return;
+// The mode exports use: the learner's choice, or the first reading the language has
+function getExportReadingMode(language) {
+  const mode = getReadingMode(language);
+  return mode !== 'off' ? mode : (READING_MODES[language] || ['off'])[1] || 'off';
+}
 
-  try {
-    const summaries = await loadRecentSummaries();
-    
-    if (summaries.length === 0) {
-      summariesContainer.innerHTML = `
-        <div class="empty-state">
-          <p>No summaries yet. Complete a conversation and generate your first summary!</p>
-        </div>
-      `;
-      return;
-    }
+// ---- Korean (Revised Romanization) ----
 
-    let summariesHTML = '';
-    summaries.forEach(summary => {
-      const date = summary.timestamp ? summary.timestamp.toDate().toLocaleDateString() : 'Unknown date';
-      const preview = summary.takeaways && summary.takeaways.length > 0 ? summary.takeaways[0].substring(0, 80) + '...' : 'No preview available';
-      
-      summariesHTML += `
-        <div class="summary-item" onclick="showSummaryDetails('${summary.id}')">
-          <div class="summary-item-header">
-            <span class="summary-language">${summary.language || 'Unknown'}</span>
-            <span class="summary-date">${date}</span>
-          </div>
-          <div class="summary-preview">${preview}</div>
-          <div class="summary-stats">
-            <span>📝 ${summary.takeaways ? summary.takeaways.length : 0} takeaways</span>
-            <span>💬 ${summary.messageCount || 0} messages</span>
-          </div>
-        </div>
-      `;
-    });
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// Final consonant at the end of a syllable, and when it carries over to a following ㅇ
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'p', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+const HANGUL_FINALS_LINKED = ['', 'g', 'kk', 'gs', 'n', 'nj', 'n', 'd', 'r', 'lg', 'lm', 'lb', 'ls', 'lt', 'lp', 'r', 'm', 'b', 'bs', 's', 'ss', 'ng', 'j', 'ch', 'k', 't', 'p', ''];
 
-    summariesContainer.innerHTML = summariesHTML;
-  } catch (error) {
-    console.error('Error loading summaries list:', error);
-    summariesContainer.innerHTML = `
-      <div class="empty-state">
-        <p>Error loading summaries. Please try again.</p>
-      </div>
-    `;
+function romanizeKorean(text) {
+  const syllables = Array.from(text).map(char => {
+    const code = char.codePointAt(0) - 0xAC00;
+    if (code < 0 || code > 11171) return { char };
+    return { initial: Math.floor(code / 588), vowel: Math.floor((code % 588) / 28), final: code % 28 };
+  });
+
+  return syllables.map((syllable, index) => {
+    if (syllable.char !== undefined) return syllable.char;
+    const next = syllables[index + 1];
+    const previous = syllables[index - 1];
+    // A final consonant moves onto a following syllable that starts with silent ㅇ
+    const linksForward = syllable.final > 0 && next && next.initial === 11;
+    const linkedIn = previous && previous.final > 0 && previous.initial !== undefined && syllable.initial === 11;
+    const initial = linkedIn ? '' : assimilateInitial(previous, syllable.initial);
+    const final = linksForward ? HANGUL_FINALS_LINKED[syllable.final] : assimilateFinal(syllable.final, next);
+    return initial + HANGUL_VOWELS[syllable.vowel] + final;
+  }).join('');
+}
+
+// Sound changes across syllables that Revised Romanization spells out:
+// stops become nasals before ㄴ/ㅁ (합니다 -> hamnida) and ㄴ+ㄹ is read ll (신라 -> silla)
+function assimilateFinal(final, next) {
+  const sound = HANGUL_FINALS[final];
+  if (!next || next.initial === undefined) return sound;
+  const nextInitial = HANGUL_INITIALS[next.initial];
+  if (nextInitial === 'n' || nextInitial === 'm') {
+    return { k: 'ng', t: 'n', p: 'm' }[sound] || sound;
   }
+  if (nextInitial === 'r') {
+    if (sound === 'n' || sound === 'l') return 'l';
+    if (sound === 'k') return 'ng';
+    if (sound === 'p') return 'm';
+  }
+  return sound;
 }
 
-// Show summary details in modal
-async function showSummaryDetails(summaryId) {
-  if (!db || !window.auth.currentUser) return;
-  
-  try {
-    const doc = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('summaries')
-      .doc(summaryId)
-      .get();
-
-    if (doc.exists) {
-      const summary = doc.data();
-      showSummaryModal(summary, summary.language);
+function assimilateInitial(previous, initial) {
+  const sound = HANGUL_INITIALS[initial];
+  if (!previous || previous.initial === undefined || previous.final === 0) return sound;
+  const previousSound = HANGUL_FINALS[previous.final];
+  if (sound === 'r') {
+    return previousSound === 'n' || previousSound === 'l' ? 'l' : 'n';
+  }
+  if (sound === 'n' && previousSound === 'l') return 'l';
+  return sound;
+}
+
+// ---- Japanese (Hepburn romaji from kana) ----
+
+const KANA_ROMAJI = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ゔ': 'vu', 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o'
+};
+const SMALL_YA = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+// Particles written with one kana but read as another
+const PARTICLE_ROMAJI = { 'は': 'wa', 'へ': 'e', 'を': 'o' };
+
+function kanaToRomaji(text) {
+  const kana = Array.from(katakanaToHiragana(String(text || '')));
+  let romaji = '';
+  for (let i = 0; i < kana.length; i++) {
+    const char = kana[i];
+    const next = kana[i + 1];
+    if (char === 'っ') {
+      // Double the next consonant (っち -> tchi)
+      const following = KANA_ROMAJI[next] || '';
+      romaji += following.startsWith('ch') ? 't' : following.charAt(0);
+    } else if (char === 'ー') {
+      const vowel = romaji.match(/[aeiou](?!.*[aeiou])/);
+      romaji += vowel ? vowel[0] : '';
+    } else if (char === 'ん') {
+      romaji += next && /^[aeiouy]/.test(KANA_ROMAJI[next] || '') ? "n'" : 'n';
+    } else if (KANA_ROMAJI[char] && SMALL_YA[next] && KANA_ROMAJI[char].endsWith('i')) {
+      // きゃ -> kya, しゃ -> sha, じゃ -> ja
+      const stem = KANA_ROMAJI[char].slice(0, -1);
+      romaji += (/^(sh|ch|j)$/.test(stem) ? stem : `${stem}y`) + SMALL_YA[next];
+      i++;
+    } else {
+      romaji += KANA_ROMAJI[char] || char;
     }
-  } catch (error) {
-    console.error('Error loading summary details:', error);
-    showNotification('❌ Error loading summary details');
   }
+  return romaji;
 }
 
-// Generate weekly summary (foundation for future email feature)
-async function generateWeeklySummary() {
-  if (!db || !window.auth.currentUser) return null;
-  
-  try {
-    const oneWeekAgo = new Date();
-    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-    
-    // Get all summaries from the past week
-    const snapshot = await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('summaries')
-      .where('timestamp', '>=', oneWeekAgo)
-      .orderBy('timestamp', 'desc')
-      .get();
-
-    const weeklySummaries = [];
-    snapshot.forEach(doc => {
-      weeklySummaries.push(doc.data());
-    });
+// ---- Segments ----
 
-    if (weeklySummaries.length === 0) {
-      return null;
-    }
+// Ask the AI to split Japanese/Chinese text into words with readings
+async function fetchReadingSegments(text, language) {
+  const readingKind = language === 'Japanese' ? 'reading in hiragana' : 'pinyin with tone marks';
+  const prompt = `Give the reading of this ${language} text for a language learner.
+Split the text into words, in order, covering all of it except spaces and punctuation. For each word give its ${readingKind}.
 
-    // Aggregate data across all languages
-    const languageStats = {};
-    let totalMessages = 0;
-    const allTakeaways = [];
-    const allRecommendations = [];
+Respond ONLY with a JSON array: [{"text": "word exactly as written", "reading": "..."}]
 
-    weeklySummaries.forEach(summary => {
-      const lang = summary.language;
-      if (!languageStats[lang]) {
-        languageStats[lang] = { conversations: 0, messages: 0 };
-      }
-      languageStats[lang].conversations++;
-      languageStats[lang].messages += summary.messageCount || 0;
-      totalMessages += summary.messageCount || 0;
-      
-      if (summary.takeaways) {
-        allTakeaways.push(...summary.takeaways);
-      }
-      if (summary.recommendations) {
-        allRecommendations.push(...summary.recommendations);
-      }
-    });
+Text: ${text}`;
 
-    const weeklyReport = {
-      weekStart: oneWeekAgo.toLocaleDateString(),
-      weekEnd: new Date().toLocaleDateString(),
-      totalConversations: weeklySummaries.length,
-      totalMessages: totalMessages,
-      languageStats: languageStats,
-      topTakeaways: allTakeaways.slice(0, 5), // Top 5 takeaways
-      topRecommendations: allRecommendations.slice(0, 3), // Top 3 recommendations
-      generatedAt: new Date()
-    };
+  const resultText = await generateAIText(prompt, 'reading');
+  const jsonMatch = resultText.match(/\[[\s\S]*\]/);
+  const segments = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+  return segments
+    .filter(segment => segment && typeof segment.text === 'string' && typeof segment.reading === 'string')
+    .map(segment => ({ text: segment.text.trim(), reading: segment.reading.trim() }))
+    .filter(segment => segment.text);
+}
 
-    // Save weekly summary
-    await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('weeklySummaries')
-      .add({
-        ...weeklyReport,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp()
-      });
+// Korean words romanized locally, one segment per Hangul run
+function getKoreanSegments(text) {
+  return (String(text).match(/\p{Script=Hangul}+/gu) || [])
+    .map(word => ({ text: word, reading: romanizeKorean(word) }));
+}
 
-    return weeklyReport;
-  } catch (error) {
-    console.error('Error generating weekly summary:', error);
-    return null;
+// Segments for a text, from `owner.readings`, the cache or the AI.
+// `persist(segments)` is called when new segments were fetched.
+async function getReadingSegments(text, language, owner = {}, persist = null) {
+  const plainText = markdownToPlainText(text);
+  if (language === 'Korean') return getKoreanSegments(plainText);
+  if (Array.isArray(owner.readings)) return owner.readings;
+
+  const key = `${language}|${plainText}`;
+  if (!readingCache.has(key)) {
+    readingCache.set(key, fetchReadingSegments(plainText, language).catch(error => {
+      readingCache.delete(key);
+      throw error;
+    }));
   }
+  const segments = await readingCache.get(key);
+  owner.readings = segments;
+  if (persist) {
+    persist(segments).catch(error => console.error('Error saving readings:', error));
+  }
+  return segments;
 }
 
-// Show weekly summary modal (for testing)
-function showWeeklySummaryModal(weeklyReport) {
-  if (!weeklyReport) return;
-  
-  const languageStatsHTML = Object.entries(weeklyReport.languageStats)
-    .map(([lang, stats]) => `
-      <div class="weekly-language-stat">
-        <strong>${lang}:</strong> ${stats.conversations} conversations, ${stats.messages} messages
-      </div>
-    `).join('');
+// The segments to annotate for a mode, with the reading to show above each
+function getReadingAnnotations(segments, language, mode) {
+  const script = READING_SCRIPTS[language];
+  return segments
+    .filter(segment => script.test(segment.text))
+    .map(segment => {
+      if (mode === 'furigana') {
+        // Kana needs no furigana
+        return /\p{Script=Han}/u.test(segment.text) ? segment : null;
+      }
+      if (mode === 'romaji') {
+        return { text: segment.text, reading: PARTICLE_ROMAJI[segment.text] || kanaToRomaji(segment.reading || segment.text) };
+      }
+      return segment;
+    })
+    .filter(Boolean);
+}
 
-  const modalHTML = `
-    <div id="weekly-summary-modal" class="summary-modal-overlay">
-      <div class="summary-modal">
-        <div class="summary-header">
-          <h3>📅 Weekly Learning Summary</h3>
-          <button class="btn-close" onclick="closeWeeklySummaryModal()">✖</button>
-        </div>
-        <div class="summary-content">
-          <div class="weekly-overview">
-            <h4>📊 Week Overview (${weeklyReport.weekStart} - ${weeklyReport.weekEnd})</h4>
-            <div class="weekly-stats">
-              <div class="weekly-stat">Total Conversations: <strong>${weeklyReport.totalConversations}</strong></div>
-              <div class="weekly-stat">Total Messages: <strong>${weeklyReport.totalMessages}</strong></div>
-            </div>
-          </div>
-          
-          <div class="weekly-languages">
-            <h4>🌍 Languages Practiced</h4>
-            ${languageStatsHTML}
-          </div>
-          
-          ${weeklyReport.topTakeaways.length > 0 ? `
-            <div class="weekly-takeaways">
-              <h4>🎯 Top Learnings This Week</h4>
-              <ul class="takeaways-list">
-                ${weeklyReport.topTakeaways.map(takeaway => `<li>${takeaway}</li>`).join('')}
-              </ul>
-            </div>
-          ` : ''}
-          
-          ${weeklyReport.topRecommendations.length > 0 ? `
-            <div class="weekly-recommendations">
-              <h4>💡 Focus Areas for Next Week</h4>
-              <ul class="recommendations-list">
-                ${weeklyReport.topRecommendations.map(rec => `<li>${rec}</li>`).join('')}
-              </ul>
-            </div>
-          ` : ''}
-        </div>
-        <div class="summary-actions">
-          <button class="btn btn-primary" onclick="closeWeeklySummaryModal()">Great Progress!</button>
-        </div>
-      </div>
-    </div>
-  `;
+// One line of reading for flashcards and exports
+function formatReadingLine(segments, language, mode) {
+  if (mode === 'off') return '';
+  if (mode === 'furigana') {
+    return segments.map(segment => katakanaToHiragana(segment.reading || segment.text)).join('');
+  }
+  return getReadingAnnotations(segments, language, mode).map(segment => segment.reading).join(' ');
+}
 
-  document.body.insertAdjacentHTML('beforeend', modalHTML);
+// Wrap each annotated segment found in the element's text in <ruby>, in order
+function applyReadingsToElement(element, annotations) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  let next = 0;
+  nodes.forEach((node, nodeIndex) => {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+    while (next < annotations.length) {
+      const annotation = annotations[next];
+      const at = text.indexOf(annotation.text, cursor);
+      if (at === -1) {
+        // Not in this node: leave it for a later one, or drop it if it appears nowhere
+        const laterText = nodes.slice(nodeIndex + 1).map(later => later.nodeValue).join('');
+        if (laterText.includes(annotation.text)) break;
+        next++;
+        continue;
+      }
+      fragment.append(text.slice(cursor, at));
+      const ruby = document.createElement('ruby');
+      const rt = document.createElement('rt');
+      rt.textContent = annotation.reading;
+      ruby.append(annotation.text, rt);
+      fragment.append(ruby);
+      cursor = at + annotation.text.length;
+      next++;
+    }
+    if (cursor > 0) {
+      fragment.append(text.slice(cursor));
+      node.replaceWith(fragment);
+    }
+  });
 }
 
-// Close weekly summary modal
-function closeWeeklySummaryModal() {
-  const modal = document.getElementById('weekly-summary-modal');
-  if (modal) {
-    modal.remove();
+// Render (or clear) the readings on a tutor message bubble
+async function applyMessageReadings(messageDiv, language = currentActiveLanguage) {
+  const entry = messageDetails.get(messageDiv);
+  const textElement = messageDiv.querySelector('.message-text');
+  if (!entry || !textElement || entry.sender !== 'ai') return;
+
+  const mode = getReadingMode(language);
+  if (textElement.classList.contains('with-readings')) {
+    textElement.innerHTML = renderMarkdown(entry.message);
+    textElement.classList.remove('with-readings');
+  }
+  if (mode === 'off' || !READING_SCRIPTS[language].test(entry.message)) return;
+
+  try {
+    const segments = await getReadingSegments(entry.message, language, entry, segments =>
+      (entry.id && storage ? storage.messages.save(entry.id, { readings: segments }) : Promise.resolve()));
+    // The mode may have changed, or the bubble been removed, while readings loaded
+    if (!messageDiv.isConnected || getReadingMode(language) !== mode || textElement.classList.contains('with-readings')) return;
+    applyReadingsToElement(textElement, getReadingAnnotations(segments, language, mode));
+    textElement.classList.add('with-readings');
+  } catch (error) {
+    console.error('Error loading readings:', error);
   }
 }
 
-// Make functions globally accessible (required for HTML onclick handlers)
-window.signUp = signUp;
-window.signIn = signIn;
-window.signOut = signOut;
-window.sendMessage = sendMessage;
-window.clearChat = clearChat;
-window.handleKeyPress = handleKeyPress;
-window.changeLanguage = changeLanguage;
-window.openDashboard = openDashboard;
-window.closeDashboard = closeDashboard;
-window.speakMessage = speakMessage;
-window.favoriteMessage = favoriteMessage;
-window.generateAndSaveSummary = generateAndSaveSummary;
-window.closeSummaryModal = closeSummaryModal;
-window.showSummaryDetails = showSummaryDetails;
-window.generateWeeklySummary = generateWeeklySummary;
-window.closeWeeklySummaryModal = closeWeeklySummaryModal;
+// Readings for a vocabulary item or favorite, fetched once and kept on the item
+async function getItemReadingLine(item, repositoryName, language, mode = getExportReadingMode(language)) {
+  if (!isReadingLanguage(language) || mode === 'off' || !READING_SCRIPTS[language].test(item.phrase || '')) return '';
+  const segments = await getReadingSegments(item.phrase, language, item, segments =>
+    (item.id && storage ? storage[repositoryName].update(item.id, { readings: segments }) : Promise.resolve()));
+  return formatReadingLine(segments, language, mode);
+}
 
-// ====== COMPLETE WEB SPEECH API IMPLEMENTATION ======
+// The readings button only shows for the CJK languages
+function updateReadingToggle(language = currentActiveLanguage) {
+  const button = document.getElementById('readingToggle');
+  if (!button) return;
+  button.style.display = isReadingLanguage(language) ? '' : 'none';
+  const mode = getReadingMode(language);
+  button.textContent = `🈂 ${READING_MODE_LABELS[mode]}`;
+  button.classList.toggle('active', mode !== 'off');
+}
 
-// Voice recognition variables
+function cycleReadingMode(language = currentActiveLanguage) {
+  const modes = READING_MODES[language];
+  if (!modes) return;
+  const mode = modes[(modes.indexOf(getReadingMode(language)) + 1) % modes.length];
+  readingModes[language] = mode;
+  updateReadingToggle(language);
+  document.querySelectorAll('#chat-messages .message.ai').forEach(messageDiv => applyMessageReadings(messageDiv, language));
 
-// Initialize Speech Recognition
-function initSpeechRecognition() {
-  if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    recognition = new SpeechRecognition();
-    // Configure recognition
-    recognition.continuous = false;
-    recognition.interimResults = true;
-    recognition.maxAlternatives = 1;
-    // Set language based on selected target language
-    updateRecognitionLanguage();
-    // Event handlers
-    recognition.onstart = () => {
-      isListening = true;
-      updateMicButton(true);
-      updateVoiceStatus('🎤 Listening...');
-      console.log('Voice recognition started');
-    };
-    recognition.onresult = (event) => {
-      const transcript = event.results[0][0].transcript;
-      const confidence = event.results[0][0].confidence;
-      document.getElementById('messageInput').value = transcript;
-      if (event.results[0].isFinal) {
-        console.log(`Final transcript: ${transcript} (confidence: ${confidence})`);
-        updateVoiceStatus(`Recognized: "${transcript}"`);
-        // Auto-send in pronunciation mode
-        if (pronunciationModeEnabled && confidence > 0.7) {
-          setTimeout(() => sendMessage(), 500);
-        }
-      }
-    };
-    recognition.onerror = (event) => {
-      console.error('Speech recognition error:', event.error);
-      isListening = false;
-      updateMicButton(false);
-      let errorMessage = '';
-      switch(event.error) {
-        case 'no-speech':
-          errorMessage = 'No speech detected. Try again.';
-          break;
-        case 'not-allowed':
-          errorMessage = 'Microphone access denied.';
-          break;
-        case 'network':
-          errorMessage = 'Network error. Check connection.';
-          break;
-        default:
-          errorMessage = `Error: ${event.error}`;
-      }
-      updateVoiceStatus(errorMessage);
-    };
-    recognition.onend = () => {
-      isListening = false;
-      updateMicButton(false);
-      updateVoiceStatus('');
-      console.log('Voice recognition ended');
-    };
-    return true;
+  if (storage && window.auth.currentUser) {
+    storage.preferences.update({ [`readings.${language}`]: mode }).catch(console.error);
+  }
+}
+
+// ====== WORD LOOKUP ======
+// Clicking a word in a chat bubble opens a popover with its translation, part
+// of speech, dictionary form and an example. Lookups are cached in localStorage
+// per language so the same word never costs a second AI call.
+
+const LOOKUP_SETTINGS = {
+  cachePrefix: 'languageBuddy:lookups:',
+  maxCachedWords: 500, // per language; the oldest lookups are dropped first
+  maxWordLength: 40
+};
+
+let wordPopover = null; // { word, language, result, anchor }
+
+function getLookupCache(language) {
+  try {
+    return JSON.parse(localStorage.getItem(LOOKUP_SETTINGS.cachePrefix + language) || '{}');
+  } catch (error) {
+    return {};
   }
-  return false;
 }
 
-// Update recognition language
-function updateRecognitionLanguage() {
-  if (!recognition) return;
-  const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
-  recognition.lang = LANGUAGE_CODES[targetLanguage] || 'en-US';
-  console.log('Recognition language set to:', recognition.lang);
+function setCachedLookup(language, key, result) {
+  const cache = getLookupCache(language);
+  delete cache[key]; // re-adding moves it to the end, so it is evicted last
+  cache[key] = result;
+  const keys = Object.keys(cache);
+  keys.slice(0, Math.max(keys.length - LOOKUP_SETTINGS.maxCachedWords, 0)).forEach(oldKey => delete cache[oldKey]);
+  try {
+    localStorage.setItem(LOOKUP_SETTINGS.cachePrefix + language, JSON.stringify(cache));
+  } catch (error) {
+    console.error('Error caching word lookup:', error);
+  }
 }
 
-// Toggle voice input
-function toggleVoiceInput() {
-  if (!recognition) {
-    if (!initSpeechRecognition()) {
-      alert('Speech recognition is not supported in your browser. Please use Chrome, Edge, or Safari.');
-      return;
-    }
+// The word under a click, using the text node and offset at that point
+function getWordAtPoint(x, y, language) {
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    if (position) ({ offsetNode: node, offset } = position);
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    if (range) ({ startContainer: node, startOffset: offset } = range);
   }
-  if (isListening) {
-    recognition.stop();
-  } else {
-    updateRecognitionLanguage();
-    try {
-      recognition.start();
-    } catch (error) {
-      console.error('Failed to start recognition:', error);
-      updateVoiceStatus('Failed to start microphone');
+  if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+  return findWordAt(node.nodeValue, offset, language);
+}
+
+// Word boundaries come from Intl.Segmenter where available, which also splits
+// Japanese and Chinese text that has no spaces
+function findWordAt(text, offset, language) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(LANGUAGE_CODES[language] || undefined, { granularity: 'word' });
+    for (const segment of segmenter.segment(text)) {
+      const end = segment.index + segment.segment.length;
+      if (offset >= segment.index && offset <= end && segment.isWordLike) {
+        // A click right after a word lands on its end offset; prefer the word that starts there
+        if (offset === end && /[\p{L}\p{N}]/u.test(text.charAt(offset))) continue;
+        return segment.segment;
+      }
     }
+    return null;
   }
+  const isWordChar = char => /[\p{L}\p{M}\p{N}'’-]/u.test(char);
+  let start = offset;
+  let end = offset;
+  while (start > 0 && isWordChar(text.charAt(start - 1))) start--;
+  while (end < text.length && isWordChar(text.charAt(end))) end++;
+  const word = text.slice(start, end).replace(/^['’-]+|['’-]+$/g, '');
+  return word || null;
 }
 
-// Update mic button appearance
-function updateMicButton(listening) {
-  const micBtn = document.getElementById('micButton');
-  if (!micBtn) return;
-  if (listening) {
-    micBtn.classList.add('listening');
-    micBtn.innerHTML = '🔴';
-    micBtn.title = 'Stop listening';
-  } else {
-    micBtn.classList.remove('listening');
-    micBtn.innerHTML = '🎤';
-    micBtn.title = 'Start voice input';
+// Look up a word in the context of the sentence it was clicked in
+async function lookupWord(word, language, context = '') {
+  const nativeLanguage = document.getElementById('nativeLanguage')?.value || 'English';
+  const key = `${nativeLanguage}|${word.toLocaleLowerCase(LANGUAGE_CODES[language] || undefined)}`;
+  const cached = getLookupCache(language)[key];
+  if (cached) return cached;
+
+  const prompt = `You are a ${language} dictionary for a learner whose native language is ${nativeLanguage}.
+Look up the ${language} word "${word}"${context ? ` as used in: "${context}"` : ''}.
+
+Respond ONLY with JSON:
+{"lemma": "dictionary form in ${language}", "partOfSpeech": "noun/verb/adjective/...", "translation": "short ${nativeLanguage} translation", "example": "a short ${language} example sentence using the word", "exampleTranslation": "the example in ${nativeLanguage}"}`;
+
+  const resultText = await generateAIText(prompt, 'lookup');
+  const jsonMatch = resultText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Lookup response was not JSON');
+  const parsed = JSON.parse(jsonMatch[0]);
+  const result = {
+    lemma: String(parsed.lemma || word).trim(),
+    partOfSpeech: String(parsed.partOfSpeech || '').trim(),
+    translation: String(parsed.translation || '').trim(),
+    example: String(parsed.example || '').trim(),
+    exampleTranslation: String(parsed.exampleTranslation || '').trim()
+  };
+  setCachedLookup(language, key, result);
+  return result;
+}
+
+// Click handler on each bubble's .message-text
+function handleWordClick(event, messageDiv) {
+  // Leave text selection, corrections' tooltips and furigana alone
+  if (window.getSelection && !window.getSelection().isCollapsed) return;
+  if (event.target.closest('rt, button, a')) return;
+
+  const language = currentActiveLanguage;
+  const word = getWordAtPoint(event.clientX, event.clientY, language);
+  if (!word || word.length > LOOKUP_SETTINGS.maxWordLength || !/[\p{L}]/u.test(word)) {
+    closeWordPopover();
+    return;
   }
+
+  const entry = messageDetails.get(messageDiv);
+  const sentences = entry ? splitIntoSentences(markdownToPlainText(entry.message)) : [];
+  const context = sentences.find(sentence => sentence.includes(word)) || '';
+  openWordPopover(word, language, context, { x: event.clientX, y: event.clientY });
 }
 
-// Update voice status
-function updateVoiceStatus(status) {
-  const statusElement = document.getElementById('voice-status');
-  if (statusElement) {
-    statusElement.textContent = status;
-    statusElement.style.display = status ? 'block' : 'none';
+async function openWordPopover(word, language, context, anchor) {
+  wordPopover = { word: word, language: language, result: null, error: false, anchor: anchor };
+  const popover = wordPopover;
+  renderWordPopover();
+
+  try {
+    popover.result = await lookupWord(word, language, context);
+  } catch (error) {
+    console.error('Error looking up word:', error);
+    popover.error = true;
   }
+  // Another word may have been clicked meanwhile
+  if (wordPopover === popover) renderWordPopover();
 }
 
-// ====== TEXT TO SPEECH IMPLEMENTATION ======
+function closeWordPopover() {
+  wordPopover = null;
+  document.getElementById('word-popover')?.remove();
+}
 
-function speakText(text, language) {
-  if (!('speechSynthesis' in window)) {
-    console.log('Text-to-speech not supported');
+function renderWordPopover() {
+  document.getElementById('word-popover')?.remove();
+  if (!wordPopover) return;
+  const { word, language, result, error, anchor } = wordPopover;
+
+  const popoverDiv = document.createElement('div');
+  popoverDiv.id = 'word-popover';
+  popoverDiv.className = 'word-popover';
+  let body;
+  if (error) {
+    body = '<div class="word-popover-status">Lookup unavailable. Please try again.</div>';
+  } else if (!result) {
+    body = '<div class="word-popover-status">Looking up...</div>';
+  } else {
+    const showLemma = result.lemma && result.lemma.toLowerCase() !== word.toLowerCase();
+    body = `
+      <div class="word-popover-translation">${escapeHTML(result.translation || '—')}</div>
+      <div class="word-popover-meta">
+        ${result.partOfSpeech ? `<span class="word-popover-pos">${escapeHTML(result.partOfSpeech)}</span>` : ''}
+        ${showLemma ? `<span>from <strong>${escapeHTML(result.lemma)}</strong></span>` : ''}
+      </div>
+      ${result.example ? `
+        <div class="word-popover-example">
+          <div>${escapeHTML(result.example)}</div>
+          ${result.exampleTranslation ? `<div class="word-popover-example-translation">${escapeHTML(result.exampleTranslation)}</div>` : ''}
+        </div>
+      ` : ''}
+    `;
+  }
+  popoverDiv.innerHTML = `
+    <div class="word-popover-header">
+      <span class="word-popover-word">${escapeHTML(word)}</span>
+      <button class="word-popover-close" data-action="close" title="Close">✖</button>
+    </div>
+    ${body}
+    <div class="word-popover-actions">
+      <button class="btn-small" data-action="speak" title="Listen">🔊 Listen</button>
+      ${result ? '<button class="btn-small" data-action="save" title="Save to vocabulary">📚 Save to vocabulary</button>' : ''}
+    </div>
+  `;
+  popoverDiv.addEventListener('click', event => {
+    event.stopPropagation();
+    const action = event.target.closest('[data-action]')?.dataset.action;
+    if (action === 'close') closeWordPopover();
+    if (action === 'speak') speakText(word, language);
+    if (action === 'save') saveLookupToVocabulary();
+  });
+  document.body.appendChild(popoverDiv);
+
+  // Below the click, kept inside the window
+  const margin = 8;
+  const width = popoverDiv.offsetWidth;
+  const height = popoverDiv.offsetHeight;
+  const left = Math.min(Math.max(anchor.x - width / 2, margin), window.innerWidth - width - margin);
+  const below = anchor.y + 16;
+  const top = below + height > window.innerHeight - margin ? Math.max(anchor.y - height - 16, margin) : below;
+  popoverDiv.style.left = `${left}px`;
+  popoverDiv.style.top = `${top}px`;
+}
+
+// Saved through the same path as the summaries' new phrases, with the translation
+async function saveLookupToVocabulary() {
+  if (!wordPopover || !wordPopover.result) return;
+  if (!storage || !window.auth.currentUser) {
+    showNotification('Please sign in to save vocabulary');
     return;
   }
-  
-  // Wait for any pending speech to complete before starting new one
-  if (window.speechSynthesis.speaking) {
-    window.speechSynthesis.cancel();
-    // Small delay to ensure cancellation completes
-    setTimeout(() => speakText(text, language), 100);
+  const { word, language, result } = wordPopover;
+  const phrase = result.lemma || word;
+  const known = (learnedVocabulary[language] || []).some(item => item.phrase.toLowerCase() === phrase.toLowerCase());
+  if (known) {
+    showNotification(`"${phrase}" is already in your vocabulary`);
     return;
   }
-  
-  const utterance = new SpeechSynthesisUtterance(text);
-  utterance.lang = LANGUAGE_CODES[language] || 'en-US';
-  utterance.rate = slowModeEnabled ? 0.7 : 0.9;
-  utterance.pitch = 1;
-  utterance.volume = 1;
-  utterance.onstart = () => {
-    console.log('Speaking:', text.substring(0, 50) + '...');
-    updateVoiceStatus('🔊 Speaking...');
-  };
-  utterance.onend = () => {
-    console.log('Finished speaking');
-    updateVoiceStatus('');
-  };
-  utterance.onerror = (event) => {
-    // Only log non-interruption errors to reduce console spam
-    if (event.error !== 'interrupted') {
-      console.error('Speech synthesis error:', event.error);
+  const details = result.translation ? { [phrase]: { translation: result.translation } } : {};
+  const saved = await saveLearnedVocabulary([phrase], language, details);
+  showNotification(saved ? `📚 Saved "${phrase}" to vocabulary` : `📥 "${phrase}" will be saved when you're back online`);
+  closeWordPopover();
+}
+
+// Outside clicks and scrolling the chat close the popover
+function setupWordLookup() {
+  document.addEventListener('click', event => {
+    if (wordPopover && !event.target.closest('#word-popover, .message-text')) {
+      closeWordPopover();
     }
-    updateVoiceStatus('');
-  };
-  window.speechSynthesis.speak(utterance);
+  });
+  document.addEventListener('scroll', () => {
+    if (wordPopover) closeWordPopover();
+  }, true);
 }
 
-// Toggle auto-speak mode
-function toggleAutoSpeak() {
-  autoSpeakEnabled = !autoSpeakEnabled;
-  const btn = event.target;
-  if (autoSpeakEnabled) {
-    btn.classList.add('active');
-    updateVoiceStatus('🔊 Auto-speak enabled');
-  } else {
-    btn.classList.remove('active');
-    updateVoiceStatus('Auto-speak disabled');
-  }
-  // Save preference
-  if (window.auth.currentUser && db) {
-    db.collection('users').doc(window.auth.currentUser.uid).update({
-      'preferences.autoSpeak': autoSpeakEnabled
-    }).catch(console.error);
+// ====== GRAMMAR EXPLANATION MODE ======
+// With grammar mode on, questions go to an explainer instead of the
+// conversation tutor: the answer comes back in the learner's native language
+// as a structured card (rule, conjugation/declension tables, examples, common
+// mistakes) and is kept in a per-language grammar notebook.
+
+const GRAMMAR_SETTINGS = {
+  contextMessages: 4, // recent chat turns sent along, for "why was that wrong?"
+  maxTables: 3,
+  maxExamples: 6
+};
+
+let grammarModeEnabled = false;
+let isExplainingGrammar = false;
+
+function toggleGrammarMode() {
+  grammarModeEnabled = !grammarModeEnabled;
+  document.getElementById('grammarToggle')?.classList.toggle('active', grammarModeEnabled);
+  const messageInput = document.getElementById('messageInput');
+  if (messageInput) {
+    messageInput.placeholder = grammarModeEnabled
+      ? 'Ask about a grammar point, e.g. "When do I use the subjunctive?"'
+      : 'Type or speak your message...';
   }
-}
 
-// Toggle slow mode
-function toggleSlowMode() {
-  slowModeEnabled = !slowModeEnabled;
-  const btn = event.target;
-  if (slowModeEnabled) {
-    btn.classList.add('active');
-    updateVoiceStatus('🐢 Slow mode enabled');
+  if (grammarModeEnabled) {
+    updateVoiceStatus('📖 Grammar mode on');
+    addSystemMessage('Grammar mode on: ask about any rule and it will be explained in your language. Explanations are saved to your grammar notebook.', [
+      { label: '📒 Open notebook', onClick: () => openGrammarNotebook() }
+    ]);
   } else {
-    btn.classList.remove('active');
-    updateVoiceStatus('Normal speed');
+    updateVoiceStatus('Grammar mode off');
+    addSystemMessage('Grammar mode off - back to conversation practice.');
   }
 }
 
-// Toggle pronunciation mode
-function togglePronunciationMode() {
-  pronunciationModeEnabled = !pronunciationModeEnabled;
-  const btn = event.target;
-  if (pronunciationModeEnabled) {
-    btn.classList.add('active');
-    updateVoiceStatus('🎯 Pronunciation mode active');
-    addSystemMessage('Pronunciation Mode Active! I\'ll focus on helping you with pronunciation. Try speaking clearly and I\'ll give you feedback.');
-  } else {
-    btn.classList.remove('active');
-    updateVoiceStatus('Pronunciation mode off');
+// Called by sendMessage while grammar mode is on
+async function askGrammarQuestion(question, language, nativeLanguage) {
+  if (isExplainingGrammar) return;
+  isExplainingGrammar = true;
+
+  // Earlier turns, before the question is added to the chat
+  const context = getRecentChatTurns(GRAMMAR_SETTINGS.contextMessages);
+  // The question is not a conversation turn, so it stays out of the tutor's history
+  addMessage(question, 'user', false, false);
+  showTypingIndicator();
+
+  try {
+    const explanation = await explainGrammar(question, language, nativeLanguage, context);
+    hideTypingIndicator();
+    const note = {
+      language: language,
+      question: question,
+      ...explanation,
+      createdAt: new Date()
+    };
+    addGrammarCard(note);
+    await saveGrammarNote(note);
+  } catch (error) {
+    hideTypingIndicator();
+    console.error('Error explaining grammar:', error);
+    addSystemMessage('Sorry, I couldn\'t put that explanation together. Please try asking again.');
+  } finally {
+    isExplainingGrammar = false;
   }
 }
 
-// ====== ENHANCED MESSAGE FUNCTIONS ======
+function getRecentChatTurns(count) {
+  return Array.from(document.querySelectorAll('#chat-messages .message.user, #chat-messages .message.ai'))
+    .map(messageDiv => messageDetails.get(messageDiv))
+    .filter(Boolean)
+    .slice(-count);
+}
 
+async function explainGrammar(question, language, nativeLanguage, context = []) {
+  const contextText = context.length > 0
+    ? `\nRecent conversation, in case the question refers to it:\n${context.map(entry =>
+      `${entry.sender === 'user' ? 'Student' : 'Tutor'}: ${markdownToPlainText(entry.message)}`).join('\n')}\n`
+    : '';
 
+  const prompt = `You are a ${language} grammar teacher. Your student's native language is ${nativeLanguage}. ${getLevelInstruction(language)}.
+${contextText}
+Student's question: ${question}
 
-// Speak a specific message
-function speakMessage(message, sender) {
-    const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
-    speakText(message, targetLanguage);
+Explain the grammar point in ${nativeLanguage}. Write every ${language} form and example in ${language}.
+Respond ONLY with JSON:
+{
+  "topic": "short name of the grammar point, in ${nativeLanguage}",
+  "summary": "one sentence answer in ${nativeLanguage}",
+  "rule": "the rule explained in ${nativeLanguage}; short paragraphs or '-' bullet lists, **bold** allowed",
+  "tables": [{"title": "e.g. Present tense of hablar", "headers": ["Person", "Form"], "rows": [["yo", "hablo"]]}],
+  "examples": [{"sentence": "${language} example", "translation": "${nativeLanguage} translation", "note": "optional short note"}],
+  "mistakes": ["common mistake and how to avoid it, in ${nativeLanguage}"]
 }
+Use "tables" for conjugations, declensions or other paradigms (at most ${GRAMMAR_SETTINGS.maxTables}; leave it empty if none apply). Give 3-${GRAMMAR_SETTINGS.maxExamples} examples.`;
 
-// Favorite a message
-async function favoriteMessage(message, sender) {
-    if (!db || !window.auth.currentUser) {
-        alert('Please sign in to save favorites');
-        return;
-    }
-    
-    const targetLanguage = document.getElementById('targetLanguage')?.value || 'Spanish';
-    
-    try {
-        await db.collection('users')
-            .doc(window.auth.currentUser.uid)
-            .collection('favorites')
-            .add({
-                phrase: message,
-                sender: sender,
-                language: targetLanguage,
-                savedAt: firebase.firestore.FieldValue.serverTimestamp()
-            });
-        
-        // Visual feedback
-        alert('⭐ Phrase saved to favorites!');
-    } catch (error) {
-        console.error('Error saving favorite:', error);
-    }
+  const resultText = await generateAIText(prompt, 'grammar');
+  const jsonMatch = resultText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Grammar explanation was not JSON');
+  return normalizeGrammarExplanation(JSON.parse(jsonMatch[0]));
 }
 
-async function removeFavorite(favoriteId) {
-  if (!db || !window.auth.currentUser) return;
-  try {
-    await db.collection('users')
-      .doc(window.auth.currentUser.uid)
-      .collection('favorites')
-      .doc(favoriteId)
-      .delete();
-    loadFavorites();
-    showNotification('🗑️ Favorite removed');
-  } catch (error) {
-    console.error('Error removing favorite:', error);
-  }
+// Keep only the fields and shapes the card renders
+function normalizeGrammarExplanation(parsed) {
+  const text = value => (value == null ? '' : String(value).trim());
+  const list = value => (Array.isArray(value) ? value : []);
+  return {
+    topic: text(parsed.topic) || 'Grammar point',
+    summary: text(parsed.summary),
+    rule: text(parsed.rule),
+    tables: list(parsed.tables)
+      .filter(table => table && Array.isArray(table.rows) && table.rows.length > 0)
+      .slice(0, GRAMMAR_SETTINGS.maxTables)
+      .map(table => ({
+        title: text(table.title),
+        headers: list(table.headers).map(text),
+        rows: table.rows.filter(Array.isArray).map(row => row.map(text))
+      })),
+    examples: list(parsed.examples)
+      .filter(example => example && text(example.sentence))
+      .slice(0, GRAMMAR_SETTINGS.maxExamples)
+      .map(example => ({
+        sentence: text(example.sentence),
+        translation: text(example.translation),
+        note: text(example.note)
+      })),
+    mistakes: list(parsed.mistakes).map(text).filter(Boolean)
+  };
 }
 
-function addSystemMessage(message) {
+// Card body shared by the chat and the notebook. Everything is model output, so
+// it goes through the escaping renderers.
+function renderGrammarCard(note) {
+  const tables = note.tables.map(table => `
+    <table class="grammar-table">
+      ${table.title ? `<caption>${renderInlineMarkdown(table.title)}</caption>` : ''}
+      ${table.headers.length > 0 ? `<thead><tr>${table.headers.map(header => `<th>${renderInlineMarkdown(header)}</th>`).join('')}</tr></thead>` : ''}
+      <tbody>
+        ${table.rows.map(row => `<tr>${row.map(cell => `<td>${renderInlineMarkdown(cell)}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>
+  `).join('');
+
+  const examples = note.examples.map((example, index) => `
+    <li>
+      <button class="grammar-example-speak" data-example="${index}" title="Listen">🔊</button>
+      <div>
+        <div class="grammar-example-sentence">${renderInlineMarkdown(example.sentence)}</div>
+        ${example.translation ? `<div class="grammar-example-translation">${renderInlineMarkdown(example.translation)}</div>` : ''}
+        ${example.note ? `<div class="grammar-example-note">${renderInlineMarkdown(example.note)}</div>` : ''}
+      </div>
+    </li>
+  `).join('');
+
+  return `
+    <div class="grammar-card-header">
+      <h4>📖 ${escapeHTML(note.topic)}</h4>
+      <span class="grammar-card-language">${escapeHTML(note.language)}</span>
+    </div>
+    ${note.summary ? `<p class="grammar-summary">${renderInlineMarkdown(note.summary)}</p>` : ''}
+    ${note.rule ? `<div class="grammar-section"><h5>Rule</h5>${renderMarkdown(note.rule)}</div>` : ''}
+    ${tables ? `<div class="grammar-section grammar-tables">${tables}</div>` : ''}
+    ${examples ? `<div class="grammar-section"><h5>Examples</h5><ul class="grammar-examples">${examples}</ul></div>` : ''}
+    ${note.mistakes.length > 0 ? `
+      <div class="grammar-section"><h5>Watch out</h5>
+        <ul class="grammar-mistakes">${note.mistakes.map(mistake => `<li>${renderInlineMarkdown(mistake)}</li>`).join('')}</ul>
+      </div>
+    ` : ''}
+  `;
+}
+
+function bindGrammarCard(element, note) {
+  element.querySelectorAll('.grammar-example-speak').forEach(button => {
+    button.addEventListener('click', event => {
+      event.stopPropagation();
+      const example = note.examples[Number(button.dataset.example)];
+      if (example) speakText(markdownToPlainText(example.sentence), note.language);
+    });
+  });
+}
+
+function addGrammarCard(note) {
   const chatMessages = document.getElementById('chat-messages');
+  if (!chatMessages) return;
   const messageDiv = document.createElement('div');
-  messageDiv.className = 'message system-message';
+  messageDiv.className = 'message ai grammar-message';
   messageDiv.innerHTML = `
-    <div class="system-content">
-      <span class="system-icon">ℹ️</span>
-      <span>${message}</span>
+    <div class="message-content grammar-card">
+      ${renderGrammarCard(note)}
+      <div class="grammar-card-footer">
+        <button class="btn-small" data-action="notebook">📒 Grammar notebook</button>
+      </div>
     </div>
   `;
+  bindGrammarCard(messageDiv, note);
+  messageDiv.querySelector('[data-action="notebook"]').addEventListener('click', () => openGrammarNotebook(note.language));
   chatMessages.appendChild(messageDiv);
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
-function showNotification(message) {
-  const notification = document.createElement('div');
-  notification.className = 'notification';
-  notification.textContent = message;
-  notification.style.cssText = getNotificationBaseStyles() + `
-    animation: slideInRight 0.3s ease;
+// ---- Notebook ----
+
+async function saveGrammarNote(note) {
+  if (!storage || !window.auth.currentUser) return;
+  try {
+    note.id = await storage.grammarNotes.add(note);
+  } catch (error) {
+    console.error('Error saving grammar note:', error);
+    showNotification('❌ Could not save this explanation to your notebook');
+  }
+}
+
+async function openGrammarNotebook(language = currentActiveLanguage) {
+  if (!storage || !window.auth.currentUser) {
+    showNotification('Please sign in to use the grammar notebook');
+    return;
+  }
+  const languages = Object.keys(LANGUAGE_CODES).filter(option => option !== 'English');
+  const modalHTML = `
+    <div id="grammar-notebook-modal" class="summary-modal-overlay">
+      <div class="summary-modal">
+        <div class="summary-header">
+          <h3>📒 Grammar Notebook</h3>
+          <button class="btn-close" onclick="closeGrammarNotebook()">✖</button>
+        </div>
+        <div class="summary-content">
+          <div class="grammar-notebook-options">
+            <select id="grammar-notebook-language">
+              ${languages.map(option => `<option value="${option}" ${option === language ? 'selected' : ''}>${option}</option>`).join('')}
+            </select>
+            <input type="search" id="grammar-notebook-search" placeholder="Search topics and questions...">
+          </div>
+          <div id="grammar-notebook-list" class="grammar-notebook-list">Loading...</div>
+        </div>
+      </div>
+    </div>
   `;
-  document.body.appendChild(notification);
-  setTimeout(() => {
-    notification.style.animation = 'slideOutRight 0.3s ease';
-    setTimeout(() => notification.remove(), 300);
-  }, 3000);
+
+  closeGrammarNotebook();
+  document.body.insertAdjacentHTML('beforeend', modalHTML);
+  document.getElementById('grammar-notebook-language').addEventListener('change', event => loadGrammarNotebook(event.target.value));
+  document.getElementById('grammar-notebook-search').addEventListener('input', filterGrammarNotebook);
+  await loadGrammarNotebook(language);
+}
+
+function closeGrammarNotebook() {
+  const modal = document.getElementById('grammar-notebook-modal');
+  if (modal) {
+    modal.remove();
+  }
 }
 
-// ====== PRONUNCIATION FEEDBACK ======
+async function loadGrammarNotebook(language) {
+  const list = document.getElementById('grammar-notebook-list');
+  if (!list) return;
+  list.textContent = 'Loading...';
 
-function analyzePronunciation(transcript, confidence) {
-  if (!pronunciationModeEnabled) return;
-  let feedback = '';
-  if (confidence > 0.9) {
-    feedback = '🎉 Excellent pronunciation!';
-  } else if (confidence > 0.7) {
-    feedback = '👍 Good pronunciation! Keep practicing.';
-  } else if (confidence > 0.5) {
-    feedback = '🤔 Try speaking more clearly. Focus on each syllable.';
-  } else {
-    feedback = '💪 Keep trying! Speak slowly and clearly.';
+  let notes;
+  try {
+    notes = await storage.grammarNotes.listByLanguage(language);
+  } catch (error) {
+    console.error('Error loading grammar notebook:', error);
+    list.textContent = 'Could not load your notebook. Please try again.';
+    return;
+  }
+  if (notes.length === 0) {
+    list.innerHTML = `<p class="grammar-notebook-empty">No ${escapeHTML(language)} explanations yet. Turn on 📖 Grammar mode and ask about any rule.</p>`;
+    return;
+  }
+
+  list.innerHTML = '';
+  notes.forEach(stored => {
+    const note = { ...normalizeGrammarExplanation(stored), id: stored.id, language: stored.language, question: stored.question || '' };
+    const details = document.createElement('details');
+    details.className = 'grammar-note';
+    details.dataset.search = `${note.topic} ${note.question} ${note.summary}`.toLowerCase();
+    details.innerHTML = `
+      <summary>
+        <span class="grammar-note-topic">${escapeHTML(note.topic)}</span>
+        <span class="grammar-note-date">${stored.createdAt ? new Date(stored.createdAt).toLocaleDateString() : ''}</span>
+      </summary>
+      <div class="grammar-card">
+        ${note.question ? `<p class="grammar-note-question">❓ ${escapeHTML(note.question)}</p>` : ''}
+        ${renderGrammarCard(note)}
+        <div class="grammar-card-footer">
+          <button class="btn-small grammar-note-delete">🗑️ Delete</button>
+        </div>
+      </div>
+    `;
+    bindGrammarCard(details, note);
+    details.querySelector('.grammar-note-delete').addEventListener('click', () => removeGrammarNote(note, details));
+    list.appendChild(details);
+  });
+  filterGrammarNotebook();
+}
+
+function filterGrammarNotebook() {
+  const query = (document.getElementById('grammar-notebook-search')?.value || '').trim().toLowerCase();
+  document.querySelectorAll('#grammar-notebook-list .grammar-note').forEach(details => {
+    details.style.display = !query || details.dataset.search.includes(query) ? '' : 'none';
+  });
+}
+
+async function removeGrammarNote(note, element) {
+  if (!confirm(`Delete "${note.topic}" from your grammar notebook?`)) return;
+  try {
+    await storage.grammarNotes.remove(note.id);
+    element.remove();
+    showNotification('🗑️ Removed from your grammar notebook');
+  } catch (error) {
+    console.error('Error deleting grammar note:', error);
+    showNotification('❌ Could not delete that note');
   }
-  addSystemMessage(feedback);
 }
 
 // ====== VOICE FEATURES INITIALIZATION ======
@@ -2480,22 +8407,45 @@ function initializeVoiceFeatures() {
 }
 
 // ====== USER PREFERENCES LOADING ======
+// Per-user settings and progress back to their defaults, so nothing carries over
+// to the next account signed in from this tab
+function resetUserPreferences() {
+  autoSpeakEnabled = false;
+  readingModes = {};
+  learningGoals = {};
+  unlockedAchievements = {};
+  streakSettings = { ...STREAK_DEFAULTS };
+  weeklyDigestEnabled = false;
+  userLevels = {};
+}
+
 async function loadUserPreferences(user) {
-  if (!db || !user) return;
+  if (!storage || !user) return;
   
+  resetUserPreferences();
   try {
-    const userDoc = await db.collection('users').doc(user.uid).get();
-    if (userDoc.exists) {
-      const prefs = userDoc.data().preferences || {};
+    const profile = await storage.profile.get();
+    if (profile) {
+      const prefs = profile.preferences || {};
       autoSpeakEnabled = prefs.autoSpeak || false;
-      // Update UI
-      if (autoSpeakEnabled) {
-        document.querySelector('[onclick="toggleAutoSpeak()"]')?.classList.add('active');
-      }
+      readingModes = prefs.readings || {};
+      learningGoals = profile.goals || {};
+      unlockedAchievements = profile.achievements || {};
+      streakSettings = { ...STREAK_DEFAULTS, ...(prefs.streak || {}) };
+      weeklyDigestEnabled = prefs.weeklyDigest?.enabled === true;
+      userLevels = profile.levels || {};
     }
   } catch (error) {
     console.error('Error loading preferences:', error);
   }
+
+  // Update UI
+  document.querySelector('[onclick="toggleAutoSpeak()"]')?.classList.toggle('active', autoSpeakEnabled);
+  updateReadingToggle();
+  updateWeeklyDigestToggle();
+  if (getReadingMode(currentActiveLanguage) !== 'off') {
+    document.querySelectorAll('#chat-messages .message.ai').forEach(messageDiv => applyMessageReadings(messageDiv));
+  }
 }
 
 // ====== KEYBOARD SHORTCUTS ======
@@ -2511,6 +8461,20 @@ function setupKeyboardShortcuts() {
       e.preventDefault();
       toggleAutoSpeak();
     }
+    // Flashcard review controls
+    if (reviewSession) {
+      handleReviewKeydown(e);
+      return;
+    }
+    // Escape: Stop the tutor reply that is streaming in
+    if (e.key === 'Escape' && activeReplyController && !isShowingSuggestions) {
+      cancelAIReply();
+    }
+    
+    // Escape: Close the word lookup popover
+    if (e.key === 'Escape' && wordPopover) {
+      closeWordPopover();
+    }
   });
 }
 
@@ -7,4 +7,30 @@ const firebaseConfig = {
     appId: "YOUR_APP_ID"
 };
 
-const GEMINI_API_KEY = 'YOUR_GEMINI_API_KEY_HERE';
\ No newline at end of file
+const GEMINI_API_KEY = 'YOUR_GEMINI_API_KEY_HERE';
+
+// AI provider used by the tutor and summaries
+// provider: 'gemini', 'openai' (any OpenAI-compatible API), 'ollama', 'proxy' or 'mock'
+// model/baseUrl are optional - each provider has a sensible default
+const AI_CONFIG = {
+    provider: 'gemini',
+    model: 'gemini-1.5-flash',
+    apiKey: GEMINI_API_KEY,
+    baseUrl: '',
+    stream: true // show tutor replies token by token (set false to wait for the full reply)
+};
+
+// Examples:
+// { provider: 'openai', model: 'gpt-4o-mini', apiKey: 'sk-...' }
+// { provider: 'openai', baseUrl: 'http://localhost:1234/v1', model: 'local-model' }
+// { provider: 'ollama', baseUrl: 'http://localhost:11434', model: 'llama3.1' }
+// { provider: 'proxy', baseUrl: 'http://localhost:8787/api/ai' }  // server/proxy.js holds the key
+// { provider: 'proxy', baseUrl: 'https://YOUR_PROXY_HOST/api/ai' }  // the deployed proxy
+// { provider: 'mock' }  // canned replies, no network needed
+
+// Where learner data is kept
+// backend: 'firestore' (synced to your Firebase project) or 'local' (this browser
+// only, no Firebase account needed - sign in with any email, no password check)
+const STORAGE_CONFIG = {
+    backend: 'firestore'
+};
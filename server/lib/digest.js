@@ -0,0 +1,204 @@
+// ====== WEEKLY DIGEST REPORT & TEMPLATE ======
+// Builds a learner's weekly report from their conversation summaries (the same
+// aggregation as generateWeeklySummary in app.js) and renders it as an HTML and
+// plain-text email. Unsubscribe links carry an HMAC of the uid so they work
+// without signing in.
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APP_NAME = 'AI Language Buddy';
+
+// ====== REPORT ======
+// Key of the UTC week (its Monday) a date falls in - one digest per user per week
+function getWeekKey(date = new Date()) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+function formatDay(date, timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en', { month: 'short', day: 'numeric', timeZone: timeZone || 'UTC' }).format(date);
+  } catch (error) {
+    // Unknown timezone saved in preferences
+    return new Intl.DateTimeFormat('en', { month: 'short', day: 'numeric', timeZone: 'UTC' }).format(date);
+  }
+}
+
+// summaries: the week's conversation summaries; previousReport: the latest
+// weeklySummaries document before this week (for the comparison line), if any
+function buildWeeklyReport({ summaries, previousReport = null, profile = {}, now = new Date() }) {
+  const weekStart = new Date(now.getTime() - 7 * DAY_MS);
+  const timeZone = profile.preferences?.streak?.timeZone || null;
+
+  const languageStats = {};
+  let totalMessages = 0;
+  const allTakeaways = [];
+  const allRecommendations = [];
+  const newPhrases = [];
+
+  summaries.forEach(summary => {
+    const lang = summary.language || 'Unknown';
+    if (!languageStats[lang]) {
+      languageStats[lang] = { conversations: 0, messages: 0 };
+    }
+    languageStats[lang].conversations++;
+    languageStats[lang].messages += summary.messageCount || 0;
+    totalMessages += summary.messageCount || 0;
+
+    if (Array.isArray(summary.takeaways)) allTakeaways.push(...summary.takeaways);
+    if (Array.isArray(summary.recommendations)) allRecommendations.push(...summary.recommendations);
+    if (Array.isArray(summary.newPhrases)) newPhrases.push(...summary.newPhrases);
+  });
+
+  const stats = profile.stats || {};
+  return {
+    weekKey: getWeekKey(now),
+    weekStart: formatDay(weekStart, timeZone),
+    weekEnd: formatDay(now, timeZone),
+    totalConversations: summaries.length,
+    totalMessages: totalMessages,
+    languageStats: languageStats,
+    topTakeaways: allTakeaways.slice(0, 5),
+    topRecommendations: allRecommendations.slice(0, 3),
+    newPhrases: [...new Set(newPhrases.filter(phrase => typeof phrase === 'string'))].slice(0, 8),
+    previousConversations: previousReport ? previousReport.totalConversations || 0 : null,
+    streak: stats.streak || 0,
+    longestStreak: stats.longestStreak || 0,
+    generatedAt: now
+  };
+}
+
+// ====== UNSUBSCRIBE TOKENS ======
+function createUnsubscribeToken(uid, secret) {
+  return crypto.createHmac('sha256', secret).update(`weekly-digest:unsubscribe:${uid}`).digest('base64url');
+}
+
+function verifyUnsubscribeToken(uid, token, secret) {
+  if (!uid || typeof token !== 'string' || !secret) return false;
+  const expected = Buffer.from(createUnsubscribeToken(uid, secret));
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function buildUnsubscribeUrl(baseUrl, uid, secret) {
+  const params = new URLSearchParams({ uid, token: createUnsubscribeToken(uid, secret) });
+  return `${baseUrl.replace(/\/$/, '')}/api/digest/unsubscribe?${params}`;
+}
+
+// ====== TEMPLATE ======
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function describeChange(report) {
+  if (report.previousConversations === null) return '';
+  const change = report.totalConversations - report.previousConversations;
+  if (change > 0) return `That's ${plural(change, 'conversation')} more than last week.`;
+  if (change < 0) return `That's ${plural(-change, 'conversation')} fewer than last week - keep going!`;
+  return 'Same as last week - nice and steady.';
+}
+
+// Returns { subject, html, text } for one learner's report
+function renderDigestEmail(report, { appUrl = '', unsubscribeUrl = '' } = {}) {
+  const greeting = 'Hi there,';
+  const overview = `You had ${plural(report.totalConversations, 'conversation')} and sent ${plural(report.totalMessages, 'message')} this week.`;
+  const change = describeChange(report);
+  const streakLine = report.streak > 0
+    ? `🔥 Current streak: ${plural(report.streak, 'day')} (best: ${plural(report.longestStreak, 'day')})`
+    : '';
+  const languages = Object.entries(report.languageStats)
+    .sort((a, b) => b[1].conversations - a[1].conversations);
+
+  const subject = `📅 Your week in ${APP_NAME}: ${plural(report.totalConversations, 'conversation')}`;
+
+  // ---- Plain text ----
+  const textSection = (title, items) => (items.length ? `\n${title}\n${items.map(item => `  - ${item}`).join('\n')}\n` : '');
+  const text = [
+    greeting,
+    '',
+    `Your weekly summary (${report.weekStart} - ${report.weekEnd})`,
+    '',
+    [overview, change].filter(Boolean).join(' '),
+    streakLine,
+    textSection('Languages practiced', languages.map(([lang, stats]) => `${lang}: ${plural(stats.conversations, 'conversation')}, ${plural(stats.messages, 'message')}`)),
+    textSection('Top learnings this week', report.topTakeaways),
+    textSection('New phrases', report.newPhrases),
+    textSection('Focus areas for next week', report.topRecommendations),
+    appUrl ? `Keep practicing: ${appUrl}` : '',
+    '',
+    unsubscribeUrl ? `You're receiving this because you turned on the weekly digest. Unsubscribe: ${unsubscribeUrl}` : ''
+  ].join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+
+  // ---- HTML (inline styles - most mail clients ignore <style> blocks) ----
+  const htmlList = (title, items) => (items.length ? `
+        <h3 style="margin: 24px 0 8px; font-size: 16px; color: #333;">${escapeHTML(title)}</h3>
+        <ul style="margin: 0; padding-left: 20px; color: #444; line-height: 1.6;">
+          ${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}
+        </ul>` : '');
+  const languageRows = languages.map(([lang, stats]) => `
+            <tr>
+              <td style="padding: 6px 0; color: #333;"><strong>${escapeHTML(lang)}</strong></td>
+              <td style="padding: 6px 0; color: #666; text-align: right;">${plural(stats.conversations, 'conversation')}, ${plural(stats.messages, 'message')}</td>
+            </tr>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHTML(subject)}</title>
+  </head>
+  <body style="margin: 0; padding: 0; background: #f4f5fb; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+    <div style="max-width: 560px; margin: 0 auto; padding: 24px 16px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #fff; border-radius: 12px 12px 0 0; padding: 24px;">
+        <h1 style="margin: 0; font-size: 22px;">📅 Weekly Learning Summary</h1>
+        <p style="margin: 6px 0 0; opacity: 0.9;">${escapeHTML(report.weekStart)} - ${escapeHTML(report.weekEnd)}</p>
+      </div>
+      <div style="background: #fff; border-radius: 0 0 12px 12px; padding: 24px;">
+        <p style="margin: 0 0 12px; color: #333;">${escapeHTML(greeting)}</p>
+        <p style="margin: 0 0 12px; color: #333;">${escapeHTML(overview)} ${escapeHTML(change)}</p>
+        ${streakLine ? `<p style="margin: 0 0 12px; color: #333;">${escapeHTML(streakLine)}</p>` : ''}
+        ${languageRows ? `
+        <h3 style="margin: 24px 0 8px; font-size: 16px; color: #333;">🌍 Languages practiced</h3>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse: collapse;">${languageRows}
+        </table>` : ''}
+        ${htmlList('🎯 Top learnings this week', report.topTakeaways)}
+        ${htmlList('🆕 New phrases', report.newPhrases)}
+        ${htmlList('💡 Focus areas for next week', report.topRecommendations)}
+        ${appUrl ? `
+        <p style="margin: 28px 0 0; text-align: center;">
+          <a href="${escapeHTML(appUrl)}" style="display: inline-block; background: #667eea; color: #fff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-weight: 600;">Keep practicing</a>
+        </p>` : ''}
+      </div>
+      ${unsubscribeUrl ? `
+      <p style="margin: 16px 0 0; font-size: 12px; color: #888; text-align: center;">
+        You're receiving this because you turned on the weekly digest in ${APP_NAME}.
+        <a href="${escapeHTML(unsubscribeUrl)}" style="color: #888;">Unsubscribe</a>
+      </p>` : ''}
+    </div>
+  </body>
+</html>
+`;
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  buildUnsubscribeUrl,
+  buildWeeklyReport,
+  createUnsubscribeToken,
+  getWeekKey,
+  renderDigestEmail,
+  verifyUnsubscribeToken
+};
@@ -0,0 +1,106 @@
+// ====== FIREBASE ID TOKEN VERIFICATION ======
+// Verifies the ID tokens issued by Firebase Auth (window.auth.currentUser.getIdToken())
+// using Google's public signing certificates, without pulling in firebase-admin.
+
+const crypto = require('crypto');
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const CLOCK_SKEW_SECONDS = 300;
+
+let cachedCerts = null;
+let certsExpireAt = 0;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = 401;
+  }
+}
+
+// Fetch (and cache) the current signing certificates, keyed by key id
+async function getSigningCerts() {
+  if (cachedCerts && Date.now() < certsExpireAt) {
+    return cachedCerts;
+  }
+
+  const response = await fetch(CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Firebase signing certificates: ${response.status}`);
+  }
+
+  // Respect Cache-Control max-age so rotated keys are picked up
+  const cacheControl = response.headers.get('cache-control') || '';
+  const maxAge = Number((cacheControl.match(/max-age=(\d+)/) || [])[1]) || 3600;
+
+  cachedCerts = await response.json();
+  certsExpireAt = Date.now() + maxAge * 1000;
+  return cachedCerts;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed ID token');
+  }
+}
+
+// Verify a Firebase ID token and return the signed-in user
+async function verifyIdToken(idToken, projectId) {
+  if (!idToken) {
+    throw new AuthError('Missing ID token');
+  }
+
+  const parts = idToken.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed ID token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+
+  if (header.alg !== 'RS256') {
+    throw new AuthError('ID token has an unexpected signing algorithm');
+  }
+
+  const certs = await getSigningCerts();
+  const cert = certs[header.kid];
+  if (!cert) {
+    throw new AuthError('ID token was signed with an unknown key');
+  }
+
+  const verifier = crypto.createVerify('RSA-SHA256');
+  verifier.update(`${headerSegment}.${payloadSegment}`);
+  if (!verifier.verify(cert, Buffer.from(signatureSegment, 'base64url'))) {
+    throw new AuthError('ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== projectId) {
+    throw new AuthError('ID token was issued for a different project');
+  }
+  if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new AuthError('ID token has an unexpected issuer');
+  }
+  if (!payload.exp || payload.exp < now - CLOCK_SKEW_SECONDS) {
+    throw new AuthError('ID token has expired');
+  }
+  if (!payload.iat || payload.iat > now + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('ID token was issued in the future');
+  }
+  if (!payload.sub) {
+    throw new AuthError('ID token has no subject');
+  }
+
+  return {
+    uid: payload.sub,
+    email: payload.email || null
+  };
+}
+
+module.exports = {
+  AuthError,
+  verifyIdToken
+};
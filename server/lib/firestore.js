@@ -0,0 +1,227 @@
+// ====== FIRESTORE REST CLIENT ======
+// Just enough of the Firestore REST API for server-side jobs: list users, query
+// a user's sub-collections and write documents back. Authenticates as a service
+// account (signed JWT -> OAuth access token) without pulling in firebase-admin.
+// Set FIRESTORE_EMULATOR_HOST to talk to the local emulator instead.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const TOKEN_SCOPE = 'https://www.googleapis.com/auth/datastore';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+class FirestoreError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FirestoreError';
+    this.status = status;
+  }
+}
+
+function loadServiceAccount(filePath) {
+  if (!filePath) {
+    throw new FirestoreError('No service account configured (set FIREBASE_SERVICE_ACCOUNT)', 500);
+  }
+  const account = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!account.client_email || !account.private_key) {
+    throw new FirestoreError(`${filePath} is not a service account key file`, 500);
+  }
+  return account;
+}
+
+// ====== VALUE CONVERSION ======
+// Firestore REST wraps every value in a typed object ({ stringValue: 'x' } ...)
+function encodeValue(value) {
+  if (value === null || value === undefined) return { nullValue: null };
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(encodeValue) } };
+  return { mapValue: { fields: encodeFields(value) } };
+}
+
+function encodeFields(data) {
+  const fields = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined) fields[key] = encodeValue(value);
+  });
+  return fields;
+}
+
+function decodeValue(value) {
+  if ('nullValue' in value) return null;
+  if ('booleanValue' in value) return value.booleanValue;
+  if ('integerValue' in value) return Number(value.integerValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('timestampValue' in value) return new Date(value.timestampValue);
+  if ('stringValue' in value) return value.stringValue;
+  if ('referenceValue' in value) return value.referenceValue;
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(decodeValue);
+  if ('mapValue' in value) return decodeFields(value.mapValue.fields || {});
+  return null;
+}
+
+function decodeFields(fields = {}) {
+  const data = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    data[key] = decodeValue(value);
+  });
+  return data;
+}
+
+// REST documents carry their full resource name; keep just the id like the client SDK
+function toDoc(document) {
+  return {
+    id: document.name.split('/').pop(),
+    ...decodeFields(document.fields)
+  };
+}
+
+// Turn { 'preferences.weeklyDigest.enabled': false } into nested fields plus an
+// update mask, the REST equivalent of the SDK's update() with dotted paths
+function expandFieldPaths(updates) {
+  const data = {};
+  Object.entries(updates).forEach(([fieldPath, value]) => {
+    const keys = fieldPath.split('.');
+    let target = data;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return data;
+}
+
+// ====== CLIENT ======
+function createFirestoreClient({ projectId, serviceAccountFile = null, emulatorHost = null }) {
+  const origin = emulatorHost ? `http://${emulatorHost}` : 'https://firestore.googleapis.com';
+  const documentsPath = `projects/${projectId}/databases/(default)/documents`;
+  const baseUrl = `${origin}/v1/${documentsPath}`;
+
+  let serviceAccount = null;
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  async function getAccessToken() {
+    // The emulator accepts this fixed token with full admin rights
+    if (emulatorHost) return 'owner';
+    if (accessToken && Date.now() < tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return accessToken;
+    }
+
+    serviceAccount = serviceAccount || loadServiceAccount(serviceAccountFile);
+    const tokenUri = serviceAccount.token_uri || DEFAULT_TOKEN_URI;
+    const now = Math.floor(Date.now() / 1000);
+    const segment = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+    const unsigned = `${segment({ alg: 'RS256', typ: 'JWT' })}.${segment({
+      iss: serviceAccount.client_email,
+      scope: TOKEN_SCOPE,
+      aud: tokenUri,
+      iat: now,
+      exp: now + 3600
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(serviceAccount.private_key, 'base64url');
+
+    const response = await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`
+      })
+    });
+    if (!response.ok) {
+      throw new FirestoreError(`Service account token request failed: ${response.status} - ${await response.text()}`, response.status);
+    }
+
+    const data = await response.json();
+    accessToken = data.access_token;
+    tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    return accessToken;
+  }
+
+  async function request(method, url, body) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (response.status === 404 && method === 'GET') {
+      return null;
+    }
+    if (!response.ok) {
+      throw new FirestoreError(`Firestore ${method} failed: ${response.status} - ${await response.text()}`, response.status);
+    }
+    return response.json();
+  }
+
+  return {
+    async getDocument(docPath) {
+      const document = await request('GET', `${baseUrl}/${docPath}`);
+      return document ? toDoc(document) : null;
+    },
+
+    // Page through every document of a collection
+    async listDocuments(collectionPath, { pageSize = 300 } = {}) {
+      const docs = [];
+      let pageToken = '';
+      do {
+        const params = new URLSearchParams({ pageSize: String(pageSize) });
+        if (pageToken) params.set('pageToken', pageToken);
+        const data = await request('GET', `${baseUrl}/${collectionPath}?${params}`);
+        (data?.documents || []).forEach(document => docs.push(toDoc(document)));
+        pageToken = data?.nextPageToken || '';
+      } while (pageToken);
+      return docs;
+    },
+
+    // Query a sub-collection of parentPath (e.g. 'users/abc').
+    // options: { where: [[field, op, value]], orderBy: [field, 'asc'|'desc'], limit } - same shape as app.js
+    async query(parentPath, collection, options = {}) {
+      const operators = { '==': 'EQUAL', '<': 'LESS_THAN', '<=': 'LESS_THAN_OR_EQUAL', '>': 'GREATER_THAN', '>=': 'GREATER_THAN_OR_EQUAL' };
+      const filters = (options.where || []).map(([field, op, value]) => ({
+        fieldFilter: { field: { fieldPath: field }, op: operators[op], value: encodeValue(value) }
+      }));
+
+      const structuredQuery = { from: [{ collectionId: collection }] };
+      if (filters.length === 1) structuredQuery.where = filters[0];
+      if (filters.length > 1) structuredQuery.where = { compositeFilter: { op: 'AND', filters } };
+      if (options.orderBy) {
+        structuredQuery.orderBy = [{
+          field: { fieldPath: options.orderBy[0] },
+          direction: options.orderBy[1] === 'desc' ? 'DESCENDING' : 'ASCENDING'
+        }];
+      }
+      if (options.limit) structuredQuery.limit = options.limit;
+
+      const results = await request('POST', `${baseUrl}/${parentPath}:runQuery`, { structuredQuery });
+      return results.filter(result => result.document).map(result => toDoc(result.document));
+    },
+
+    async addDocument(collectionPath, data) {
+      const document = await request('POST', `${baseUrl}/${collectionPath}`, { fields: encodeFields(data) });
+      return document.name.split('/').pop();
+    },
+
+    // Update dotted field paths on an existing document, leaving the rest untouched
+    async updateFields(docPath, updates) {
+      const params = new URLSearchParams({ 'currentDocument.exists': 'true' });
+      Object.keys(updates).forEach(fieldPath => params.append('updateMask.fieldPaths', fieldPath));
+      await request('PATCH', `${baseUrl}/${docPath}?${params}`, { fields: encodeFields(expandFieldPaths(updates)) });
+    }
+  };
+}
+
+module.exports = {
+  FirestoreError,
+  createFirestoreClient
+};
@@ -0,0 +1,102 @@
+// ====== GEMINI UPSTREAM ======
+// Server-side Gemini calls - the API key only ever lives in the proxy's environment.
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+class UpstreamError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+function buildGeminiBody(prompt, settings) {
+  return {
+    contents: [{
+      parts: [{
+        text: prompt
+      }]
+    }],
+    generationConfig: {
+      temperature: settings.temperature,
+      topK: settings.topK,
+      topP: settings.topP,
+      maxOutputTokens: settings.maxOutputTokens
+    },
+    safetySettings: [
+      {
+        category: 'HARM_CATEGORY_HARASSMENT',
+        threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+      }
+    ]
+  };
+}
+
+async function generateContent({ apiKey, model, prompt, settings }) {
+  const response = await fetch(`${GEMINI_BASE_URL}/models/${model}:generateContent?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildGeminiBody(prompt, settings))
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new UpstreamError(`Gemini API error: ${response.status} - ${errorText}`, response.status);
+  }
+
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (typeof text !== 'string') {
+    throw new UpstreamError('Invalid response format from Gemini API', 502);
+  }
+  return text;
+}
+
+// Stream a reply with streamGenerateContent (SSE), calling onText for each piece
+async function streamGenerateContent({ apiKey, model, prompt, settings, onText, signal }) {
+  const response = await fetch(`${GEMINI_BASE_URL}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildGeminiBody(prompt, settings)),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new UpstreamError(`Gemini API error: ${response.status} - ${errorText}`, response.status);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let outputChars = 0;
+
+  const handleLine = line => {
+    if (!line.startsWith('data:')) return;
+    const data = JSON.parse(line.slice(5).trim());
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (text) {
+      outputChars += text.length;
+      onText(text);
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.map(line => line.trim()).filter(Boolean).forEach(handleLine);
+  }
+  if (buffer.trim()) handleLine(buffer.trim());
+
+  return outputChars;
+}
+
+module.exports = {
+  UpstreamError,
+  generateContent,
+  streamGenerateContent
+};
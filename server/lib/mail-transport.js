@@ -0,0 +1,277 @@
+// ====== MAIL TRANSPORTS ======
+// Pluggable delivery for outgoing email. Every transport has the same shape:
+// send({ from, to, subject, html, text, headers }) -> { messageId }.
+//   smtp    - plain SMTP with STARTTLS/implicit TLS and AUTH PLAIN (no nodemailer)
+//   file    - writes each message as an .eml file (open it in any mail client)
+//   console - prints the plain-text part, for local testing
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+class MailError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'MailError';
+    this.code = code;
+  }
+}
+
+// ====== MIME ======
+// Encode a header value as RFC 2047 when it isn't plain ASCII (emoji in subjects)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function getDomain(address) {
+  return (address.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+}
+
+// Build a multipart/alternative message; returns { messageId, raw }
+function buildMimeMessage({ from, to, subject, html, text, headers = {} }) {
+  const messageId = `<${crypto.randomUUID()}@${getDomain(from)}>`;
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ];
+
+  return { messageId, raw: lines.join('\r\n') };
+}
+
+function getAddress(mailbox) {
+  return (mailbox.match(/<([^>]+)>/) || [null, mailbox])[1].trim();
+}
+
+// ====== SMTP ======
+// One short-lived connection per message - the digest job sends a handful a week.
+// Credentials are only ever sent over TLS; allowInsecureAuth lifts that for a
+// local test server that can't do STARTTLS.
+function createSmtpTransport({ host, port = 587, secure = port === 465, user = null, pass = null, allowInsecureAuth = false, clientName = 'localhost' }) {
+  if (!host) {
+    throw new MailError('SMTP_HOST is required for the smtp transport');
+  }
+
+  function openSession() {
+    let socket = null;
+    let buffer = '';
+    let waiting = null;
+    let failure = null;
+
+    // Resolve with the next complete reply ("250-..." lines end at "250 ...")
+    function readReply() {
+      return new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        waiting = { resolve, reject };
+        processBuffer();
+      });
+    }
+
+    function processBuffer() {
+      if (!waiting) return;
+      const lines = buffer.split('\r\n');
+      const endIndex = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+      if (endIndex === -1 || endIndex === lines.length - 1) return;
+
+      const replyLines = lines.slice(0, endIndex + 1);
+      buffer = lines.slice(endIndex + 1).join('\r\n');
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({
+        code: Number(replyLines[endIndex].slice(0, 3)),
+        lines: replyLines.map(line => line.slice(4))
+      });
+    }
+
+    function attach(newSocket) {
+      socket = newSocket;
+      socket.setEncoding('utf8');
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new MailError('SMTP connection timed out')));
+      socket.on('data', chunk => {
+        buffer += chunk;
+        processBuffer();
+      });
+      socket.on('error', error => {
+        failure = error;
+        if (waiting) waiting.reject(error);
+        waiting = null;
+      });
+      socket.on('close', () => {
+        failure = failure || new MailError('SMTP connection closed unexpectedly');
+        if (waiting) waiting.reject(failure);
+        waiting = null;
+      });
+    }
+
+    function connect() {
+      return new Promise((resolve, reject) => {
+        const onConnect = () => resolve();
+        const newSocket = secure
+          ? tls.connect({ host, port, servername: host }, onConnect)
+          : net.connect({ host, port }, onConnect);
+        newSocket.once('error', reject);
+        attach(newSocket);
+      });
+    }
+
+    // Upgrade the plain connection after STARTTLS
+    function upgrade() {
+      return new Promise((resolve, reject) => {
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('close');
+        socket.removeAllListeners('error');
+        const secured = tls.connect({ socket, servername: host }, () => resolve());
+        secured.once('error', reject);
+        buffer = '';
+        attach(secured);
+      });
+    }
+
+    async function command(line, expected) {
+      socket.write(`${line}\r\n`);
+      const reply = await readReply();
+      if (!expected.includes(reply.code)) {
+        const shown = line.startsWith('AUTH') ? 'AUTH' : line;
+        throw new MailError(`SMTP ${shown} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+      }
+      return reply;
+    }
+
+    return {
+      connect,
+      upgrade,
+      readReply,
+      command,
+      close() {
+        if (socket && !socket.destroyed) socket.end();
+      }
+    };
+  }
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const { messageId, raw } = buildMimeMessage(message);
+      const session = openSession();
+
+      try {
+        await session.connect();
+        const greeting = await session.readReply();
+        if (greeting.code !== 220) {
+          throw new MailError(`SMTP server refused the connection: ${greeting.code} ${greeting.lines.join(' ')}`, greeting.code);
+        }
+
+        const hello = await session.command(`EHLO ${clientName}`, [250]);
+        if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+          await session.command('STARTTLS', [220]);
+          await session.upgrade();
+          await session.command(`EHLO ${clientName}`, [250]);
+        } else if (!secure && user && !allowInsecureAuth) {
+          // Missing (or stripped) STARTTLS - don't send the password in cleartext
+          throw new MailError(`SMTP server ${host} does not offer STARTTLS; refusing to send credentials unencrypted (set SMTP_SECURE=true for implicit TLS)`);
+        }
+
+        if (user) {
+          const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+          await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await session.command(`MAIL FROM:<${getAddress(message.from)}>`, [250]);
+        await session.command(`RCPT TO:<${getAddress(message.to)}>`, [250, 251]);
+        await session.command('DATA', [354]);
+        // Dot-stuff lines starting with "." so they aren't read as the end of DATA
+        await session.command(`${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+      } finally {
+        session.close();
+      }
+
+      return { messageId };
+    }
+  };
+}
+
+// ====== FILE & CONSOLE ======
+function createFileTransport({ directory }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      const { messageId, raw } = buildMimeMessage(message);
+      const safeRecipient = getAddress(message.to).replace(/[^\w.@-]/g, '_');
+      const filePath = path.join(directory, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.eml`);
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(filePath, raw);
+      console.log(`📁 Wrote ${filePath}`);
+      return { messageId, filePath };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      const { messageId } = buildMimeMessage(message);
+      console.log([
+        '─'.repeat(60),
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text.trim(),
+        '─'.repeat(60)
+      ].join('\n'));
+      return { messageId };
+    }
+  };
+}
+
+// Pick a transport by name: 'smtp', 'file' or 'console'
+function createMailTransport(name, options = {}) {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport(options.smtp || {});
+    case 'file':
+      return createFileTransport(options.file || {});
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new MailError(`Unknown mail transport "${name}" (use smtp, file or console)`);
+  }
+}
+
+module.exports = {
+  MailError,
+  buildMimeMessage,
+  createMailTransport
+};
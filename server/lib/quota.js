@@ -0,0 +1,78 @@
+// ====== PER-USER DAILY QUOTAS ======
+// Counts AI requests per user per UTC day. Counts are kept in memory and, when
+// a file path is given, saved to disk so a restart doesn't reset everyone's limit.
+
+const fs = require('fs');
+const path = require('path');
+
+function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function createQuotaTracker({ dailyLimit, filePath = null }) {
+  let usage = { day: getDayKey(), counts: {} };
+  let saveTimer = null;
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      usage = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error('Could not read quota file, starting fresh:', error.message);
+    }
+  }
+
+  // Start a new day's counts once the UTC date changes
+  function rollOver() {
+    const today = getDayKey();
+    if (usage.day !== today) {
+      usage = { day: today, counts: {} };
+    }
+  }
+
+  function scheduleSave() {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFile(filePath, JSON.stringify(usage), error => {
+        if (error) console.error('Failed to save quota file:', error.message);
+      });
+    }, 1000);
+  }
+
+  return {
+    // Reserve one request for a user; returns false when the limit is reached
+    consume(uid) {
+      rollOver();
+      const used = usage.counts[uid] || 0;
+      if (used >= dailyLimit) {
+        return false;
+      }
+      usage.counts[uid] = used + 1;
+      scheduleSave();
+      return true;
+    },
+
+    // Give a request back (e.g. the upstream model failed)
+    refund(uid) {
+      rollOver();
+      if (usage.counts[uid] > 0) {
+        usage.counts[uid] -= 1;
+        scheduleSave();
+      }
+    },
+
+    getUsage(uid) {
+      rollOver();
+      return {
+        used: usage.counts[uid] || 0,
+        limit: dailyLimit,
+        resetsAt: `${usage.day}T23:59:59Z`
+      };
+    }
+  };
+}
+
+module.exports = {
+  createQuotaTracker
+};
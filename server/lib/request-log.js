@@ -0,0 +1,24 @@
+// ====== REQUEST LOGGING ======
+// One JSON object per line so the log is easy to grep or load into a sheet.
+
+const fs = require('fs');
+const path = require('path');
+
+function createRequestLogger(filePath) {
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  const stream = filePath ? fs.createWriteStream(filePath, { flags: 'a' }) : null;
+
+  return function logRequest(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+    console.log(line);
+    if (stream) {
+      stream.write(line + '\n');
+    }
+  };
+}
+
+module.exports = {
+  createRequestLogger
+};
@@ -0,0 +1,361 @@
+// ====== LANGUAGE BUDDY AI PROXY ======
+// Small Node server that sits between the browser and Gemini so the API key
+// never ships to the client. Every request must carry the Firebase ID token of
+// the signed-in user; requests are counted against a per-user daily quota and
+// logged. It also serves the unsubscribe links of the weekly digest emails
+// (see weekly-digest.js).
+//
+// Run with: node --env-file=server/.env server/proxy.js   (Node 20.6+)
+
+const http = require('http');
+const path = require('path');
+const { AuthError, verifyIdToken } = require('./lib/firebase-auth');
+const { createQuotaTracker } = require('./lib/quota');
+const { createRequestLogger } = require('./lib/request-log');
+const { UpstreamError, generateContent, streamGenerateContent } = require('./lib/gemini');
+const { FirestoreError, createFirestoreClient } = require('./lib/firestore');
+const { verifyUnsubscribeToken } = require('./lib/digest');
+
+// ====== CONFIGURATION ======
+const config = {
+  port: Number(process.env.PORT) || 8787,
+  geminiApiKey: process.env.GEMINI_API_KEY,
+  firebaseProjectId: process.env.FIREBASE_PROJECT_ID,
+  allowedOrigins: (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  allowedModels: (process.env.ALLOWED_MODELS || 'gemini-1.5-flash').split(',').map(model => model.trim()).filter(Boolean),
+  dailyRequestLimit: Number(process.env.DAILY_REQUEST_LIMIT) || 200,
+  maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS) || 1024,
+  maxPromptChars: Number(process.env.MAX_PROMPT_CHARS) || 20000,
+  quotaFile: process.env.QUOTA_FILE || path.join(__dirname, 'data', 'quota.json'),
+  logFile: process.env.LOG_FILE || path.join(__dirname, '..', 'logs', 'proxy-requests.log'),
+  digestSecret: process.env.DIGEST_SECRET,
+  serviceAccountFile: process.env.FIREBASE_SERVICE_ACCOUNT || process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  firestoreEmulatorHost: process.env.FIRESTORE_EMULATOR_HOST || null
+};
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const quota = createQuotaTracker({ dailyLimit: config.dailyRequestLimit, filePath: config.quotaFile });
+const logRequest = createRequestLogger(config.logFile);
+
+// Only needed for digest unsubscribes, so it's created on first use
+let firestore = null;
+function getFirestore() {
+  firestore = firestore || createFirestoreClient({
+    projectId: config.firebaseProjectId,
+    serviceAccountFile: config.serviceAccountFile,
+    emulatorHost: config.firestoreEmulatorHost
+  });
+  return firestore;
+}
+
+// ====== HTTP HELPERS ======
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (!origin) return;
+  // No ALLOWED_ORIGINS means any origin (handy for local development only)
+  if (config.allowedOrigins.length === 0 || config.allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  }
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, code, message) {
+  sendJSON(res, status, { error: { code, message } });
+}
+
+function sendHTML(res, status, title, message, extraHTML = '') {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+  <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 16px; color: #333; text-align: center;">
+    <h2>${title}</h2>
+    <p>${message}</p>
+    ${extraHTML}
+  </body>
+</html>`);
+}
+
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Verify the Authorization: Bearer <Firebase ID token> header
+async function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer (.+)$/);
+  return verifyIdToken(match ? match[1] : '', config.firebaseProjectId);
+}
+
+// Only pass through known generation settings, capped to the server limits
+function sanitizeSettings(settings = {}) {
+  const number = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+  return {
+    temperature: Math.min(Math.max(number(settings.temperature, 0.7), 0), 2),
+    topK: Math.round(Math.min(Math.max(number(settings.topK, 40), 1), 100)),
+    topP: Math.min(Math.max(number(settings.topP, 0.95), 0), 1),
+    maxOutputTokens: Math.round(Math.min(Math.max(number(settings.maxOutputTokens, 500), 1), config.maxOutputTokens))
+  };
+}
+
+// Authenticate, validate the body and reserve quota - shared by generate and stream.
+// Returns null when an error response has already been sent.
+async function prepareAIRequest(req, res) {
+  const user = await authenticate(req);
+  const body = await readJSONBody(req);
+
+  const prompt = typeof body.prompt === 'string' ? body.prompt : '';
+  const model = body.model || config.allowedModels[0];
+  const preset = typeof body.preset === 'string' ? body.preset.slice(0, 40) : 'unknown';
+
+  if (!prompt) {
+    sendError(res, 400, 'invalid-request', 'A prompt is required');
+    return null;
+  }
+  if (prompt.length > config.maxPromptChars) {
+    sendError(res, 413, 'prompt-too-long', `Prompts are limited to ${config.maxPromptChars} characters`);
+    return null;
+  }
+  if (!config.allowedModels.includes(model)) {
+    sendError(res, 400, 'model-not-allowed', `Model "${model}" is not available through this proxy`);
+    return null;
+  }
+  if (!quota.consume(user.uid)) {
+    logRequest({ uid: user.uid, email: user.email, preset, model, status: 429 });
+    sendError(res, 429, 'quota-exceeded', 'Daily AI request limit reached. Please try again tomorrow.');
+    return null;
+  }
+
+  return { user, prompt, model, preset, settings: sanitizeSettings(body.settings) };
+}
+
+// ====== ROUTES ======
+async function handleGenerate(req, res) {
+  const startedAt = Date.now();
+  const request = await prepareAIRequest(req, res);
+  if (!request) return;
+  const { user, prompt, model, preset, settings } = request;
+
+  try {
+    const text = await generateContent({
+      apiKey: config.geminiApiKey,
+      model,
+      prompt,
+      settings
+    });
+
+    logRequest({
+      uid: user.uid,
+      email: user.email,
+      preset,
+      model,
+      status: 200,
+      latencyMs: Date.now() - startedAt,
+      promptChars: prompt.length,
+      outputChars: text.length
+    });
+    sendJSON(res, 200, { text, usage: quota.getUsage(user.uid) });
+  } catch (error) {
+    // Don't charge the user for our upstream failures
+    quota.refund(user.uid);
+    throw error;
+  }
+}
+
+// Stream the reply back as Server-Sent Events: data: {"text": "..."} per chunk
+async function handleStream(req, res) {
+  const startedAt = Date.now();
+  const request = await prepareAIRequest(req, res);
+  if (!request) return;
+  const { user, prompt, model, preset, settings } = request;
+
+  // Stop generating (and paying for) tokens if the learner cancels
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const sendEvent = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  let status = 200;
+  let outputChars = 0;
+  try {
+    outputChars = await streamGenerateContent({
+      apiKey: config.geminiApiKey,
+      model,
+      prompt,
+      settings,
+      signal: controller.signal,
+      onText: text => sendEvent({ text })
+    });
+    sendEvent({ done: true, usage: quota.getUsage(user.uid) });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      status = 499;
+    } else {
+      status = 502;
+      quota.refund(user.uid);
+      console.error('❌ Stream error:', error.message);
+      sendEvent({ error: { status: 502, message: 'The AI model is unavailable right now. Please try again.' } });
+    }
+  }
+  res.end();
+
+  logRequest({
+    uid: user.uid,
+    email: user.email,
+    preset,
+    model,
+    status,
+    stream: true,
+    latencyMs: Date.now() - startedAt,
+    promptChars: prompt.length,
+    outputChars
+  });
+}
+
+async function handleUsage(req, res) {
+  const user = await authenticate(req);
+  sendJSON(res, 200, { usage: quota.getUsage(user.uid) });
+}
+
+// Weekly digest unsubscribe links: GET shows a confirmation button (so mail
+// scanners that prefetch links don't unsubscribe anyone), POST unsubscribes -
+// which is also what one-click List-Unsubscribe clients send.
+function readUnsubscribeParams(req) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const uid = params.get('uid') || '';
+  const token = params.get('token') || '';
+  return { uid, token, valid: verifyUnsubscribeToken(uid, token, config.digestSecret) };
+}
+
+async function handleUnsubscribePage(req, res) {
+  const { uid, token, valid } = readUnsubscribeParams(req);
+  if (!valid) {
+    return sendHTML(res, 400, 'Invalid link', 'This unsubscribe link is invalid or incomplete.');
+  }
+  const action = `?${new URLSearchParams({ uid, token })}`;
+  sendHTML(res, 200, 'Weekly digest', 'Stop receiving the weekly progress email?', `
+    <form method="POST" action="${action.replace(/&/g, '&amp;')}">
+      <button type="submit" style="background: #667eea; color: #fff; border: none; border-radius: 8px; padding: 12px 24px; font-size: 16px; cursor: pointer;">Unsubscribe</button>
+    </form>`);
+}
+
+async function handleUnsubscribe(req, res) {
+  const { uid, valid } = readUnsubscribeParams(req);
+  if (!valid) {
+    return sendHTML(res, 400, 'Invalid link', 'This unsubscribe link is invalid or incomplete.');
+  }
+
+  try {
+    await getFirestore().updateFields(`users/${uid}`, {
+      'preferences.weeklyDigest.enabled': false,
+      'preferences.weeklyDigest.unsubscribedAt': new Date()
+    });
+  } catch (error) {
+    // A 404 means the account is gone - nothing left to send to. Anything else
+    // stays in the server log; the visitor isn't signed in and gets a plain page.
+    if (!(error instanceof FirestoreError) || error.status !== 404) {
+      console.error('❌ Unsubscribe failed:', error);
+      logRequest({ uid, path: '/api/digest/unsubscribe', status: 500, error: error.message });
+      return sendHTML(res, 500, 'Something went wrong', 'We couldn\'t update your email settings. Please try the link again later, or turn the digest off from the dashboard in the app.');
+    }
+  }
+
+  logRequest({ uid, path: '/api/digest/unsubscribe', status: 200 });
+  sendHTML(res, 200, 'Unsubscribed', 'You won\'t receive the weekly digest any more. You can turn it back on from the dashboard in the app.');
+}
+
+const routes = {
+  'GET /api/health': (req, res) => sendJSON(res, 200, { ok: true }),
+  'GET /api/ai/usage': handleUsage,
+  'POST /api/ai/generate': handleGenerate,
+  'POST /api/ai/stream': handleStream,
+  'GET /api/digest/unsubscribe': handleUnsubscribePage,
+  'POST /api/digest/unsubscribe': handleUnsubscribe
+};
+
+// ====== SERVER ======
+const server = http.createServer(async (req, res) => {
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  const handler = routes[`${req.method} ${pathname}`];
+  if (!handler) {
+    return sendError(res, 404, 'not-found', 'Not found');
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      logRequest({ path: pathname, status: 401, error: error.message });
+      return sendError(res, 401, 'unauthenticated', error.message);
+    }
+    if (error instanceof UpstreamError) {
+      logRequest({ path: pathname, status: 502, error: error.message });
+      return sendError(res, 502, 'upstream-error', 'The AI model is unavailable right now. Please try again.');
+    }
+    if (error.status) {
+      return sendError(res, error.status, 'invalid-request', error.message);
+    }
+    console.error('❌ Proxy error:', error);
+    sendError(res, 500, 'internal', 'Internal server error');
+  }
+});
+
+if (require.main === module) {
+  if (!config.geminiApiKey || !config.firebaseProjectId) {
+    console.error('❌ GEMINI_API_KEY and FIREBASE_PROJECT_ID must be set (see server/.env.example)');
+    process.exit(1);
+  }
+  if (config.allowedOrigins.length === 0) {
+    console.warn('⚠️ ALLOWED_ORIGINS is not set - accepting requests from any origin');
+  }
+  if (!config.digestSecret) {
+    console.warn('⚠️ DIGEST_SECRET is not set - weekly digest unsubscribe links will be rejected');
+  }
+  server.listen(config.port, () => {
+    console.log(`✅ AI proxy listening on http://localhost:${config.port}`);
+  });
+}
+
+module.exports = {
+  server
+};
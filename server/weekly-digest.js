@@ -0,0 +1,175 @@
+// ====== WEEKLY PROGRESS DIGEST JOB ======
+// Emails every learner who opted in (preferences.weeklyDigest.enabled) a report
+// of their past week, built from their conversation summaries. Each report is
+// also saved to users/{uid}/weeklySummaries, and preferences.weeklyDigest.lastSentWeek
+// keeps a re-run in the same week from sending twice.
+//
+// Run weekly, e.g. from cron on Monday morning:
+//   node --env-file=server/.env server/weekly-digest.js [--dry-run] [--force] [--user <uid>]
+//
+//   --dry-run   build and print the emails without sending or saving anything
+//   --force     send even if this week's digest already went out
+//   --user      only process one user
+
+const path = require('path');
+const { createFirestoreClient } = require('./lib/firestore');
+const { buildUnsubscribeUrl, buildWeeklyReport, getWeekKey, renderDigestEmail } = require('./lib/digest');
+const { createMailTransport } = require('./lib/mail-transport');
+
+// ====== CONFIGURATION ======
+const config = {
+  firebaseProjectId: process.env.FIREBASE_PROJECT_ID,
+  serviceAccountFile: process.env.FIREBASE_SERVICE_ACCOUNT || process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  firestoreEmulatorHost: process.env.FIRESTORE_EMULATOR_HOST || null,
+  transport: process.env.DIGEST_TRANSPORT || 'console',
+  from: process.env.DIGEST_FROM || 'AI Language Buddy <digest@localhost>',
+  secret: process.env.DIGEST_SECRET,
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${Number(process.env.PORT) || 8787}`,
+  appUrl: process.env.APP_URL || '',
+  outboxDir: process.env.DIGEST_OUTBOX_DIR || path.join(__dirname, 'data', 'outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : Number(process.env.SMTP_PORT) === 465,
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    // Local test servers only - lets credentials go over a connection without TLS
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { dryRun: false, force: false, user: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--force') options.force = true;
+    else if (argv[i] === '--user') options.user = argv[++i] || null;
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+}
+
+// ====== PER-USER DIGEST ======
+// Returns 'sent' or the reason the user was skipped
+async function processUser({ firestore, transport, profile, now, options }) {
+  const digest = profile.preferences?.weeklyDigest || {};
+  const weekKey = getWeekKey(now);
+
+  if (!digest.enabled) return 'not opted in';
+  if (!profile.email) return 'no email address';
+  if (digest.lastSentWeek === weekKey && !options.force) return 'already sent this week';
+
+  const userPath = `users/${profile.id}`;
+  const summaries = await firestore.query(userPath, 'summaries', {
+    where: [['timestamp', '>=', new Date(now.getTime() - 7 * DAY_MS)]],
+    orderBy: ['timestamp', 'desc']
+  });
+  if (summaries.length === 0) return 'no summaries this week';
+
+  // Compare with the latest report from before this week (the in-app Weekly
+  // Report button also saves one)
+  const [previousReport] = await firestore.query(userPath, 'weeklySummaries', {
+    where: [['timestamp', '<', new Date(now.getTime() - 6 * DAY_MS)]],
+    orderBy: ['timestamp', 'desc'],
+    limit: 1
+  });
+
+  const report = buildWeeklyReport({ summaries, previousReport, profile, now });
+  const unsubscribeUrl = buildUnsubscribeUrl(config.publicUrl, profile.id, config.secret);
+  const email = renderDigestEmail(report, { appUrl: config.appUrl, unsubscribeUrl });
+
+  await transport.send({
+    from: config.from,
+    to: profile.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+
+  if (!options.dryRun) {
+    await firestore.addDocument(`${userPath}/weeklySummaries`, {
+      ...report,
+      source: 'email-digest',
+      timestamp: now
+    });
+    await firestore.updateFields(userPath, {
+      'preferences.weeklyDigest.lastSentAt': now,
+      'preferences.weeklyDigest.lastSentWeek': weekKey
+    });
+  }
+  return 'sent';
+}
+
+async function runWeeklyDigest(options) {
+  const firestore = createFirestoreClient({
+    projectId: config.firebaseProjectId,
+    serviceAccountFile: config.serviceAccountFile,
+    emulatorHost: config.firestoreEmulatorHost
+  });
+  // A dry run never delivers anything, whatever DIGEST_TRANSPORT says
+  const transport = createMailTransport(options.dryRun ? 'console' : config.transport, {
+    smtp: config.smtp,
+    file: { directory: config.outboxDir }
+  });
+
+  const now = new Date();
+  const profiles = options.user
+    ? [await firestore.getDocument(`users/${options.user}`)].filter(Boolean)
+    : await firestore.listDocuments('users');
+
+  const results = { sent: 0, skipped: 0, failed: 0 };
+  for (const profile of profiles) {
+    try {
+      const outcome = await processUser({ firestore, transport, profile, now, options });
+      if (outcome === 'sent') {
+        results.sent++;
+        console.log(`✅ ${profile.id}: digest sent via ${transport.name}`);
+      } else {
+        results.skipped++;
+        console.log(`⏭️ ${profile.id}: skipped (${outcome})`);
+      }
+    } catch (error) {
+      // One bad mailbox or document shouldn't stop everyone else's digest
+      results.failed++;
+      console.error(`❌ ${profile.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`📅 Weekly digest ${options.dryRun ? '(dry run) ' : ''}done: ${results.sent} sent, ${results.skipped} skipped, ${results.failed} failed`);
+  return results;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (!config.firebaseProjectId || !config.secret) {
+    console.error('❌ FIREBASE_PROJECT_ID and DIGEST_SECRET must be set (see server/.env.example)');
+    process.exit(1);
+  }
+  if (!config.serviceAccountFile && !config.firestoreEmulatorHost) {
+    console.error('❌ FIREBASE_SERVICE_ACCOUNT must point to a service account key file (or set FIRESTORE_EMULATOR_HOST)');
+    process.exit(1);
+  }
+
+  runWeeklyDigest(options)
+    .then(results => process.exit(results.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Weekly digest failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runWeeklyDigest
+};
@@ -0,0 +1,77 @@
+// ====== LANGUAGE BUDDY SERVICE WORKER ======
+// Caches the app shell so the app still opens without a connection.
+// App files are network-first (so deploys show up straight away) and fall back
+// to the cache; the Firebase SDK from the CDN is cache-first since its URL is
+// versioned. Firestore, auth and AI requests are never cached.
+
+const CACHE_NAME = 'language-buddy-v1';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'app.js',
+  'config.prod.js'
+];
+
+const CDN_HOSTS = ['www.gstatic.com'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    // Offline navigation to any page: serve the app itself
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}